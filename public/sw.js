@@ -0,0 +1,119 @@
+/**
+ * Service worker: offline app shell and recently viewed data
+ *
+ *   - Page loads: network first, falling back to the cached app shell
+ *   - Built assets (/assets/*, content-hashed) and icons: cache first
+ *   - GET /api/chats/*: network first, falling back to the last copy seen
+ *   - Presigned S3 images (try-on images): network first, since they expire
+ *   - Other images (user photos through the image proxy, product photos): cached
+ *     copy first, refreshed in the background
+ * Only successful responses are cached, except in the image cache: product images
+ * from other sites load without CORS and come back opaque (status unknown). Those
+ * are still cached so they show offline; they're never served ahead of a working
+ * network for presigned URLs, a background refresh replaces them otherwise, and
+ * IMAGE_LIMIT caps how many (padded-size) entries the image cache keeps.
+ *
+ * Sending while offline is handled by the app itself (src/services/offlineQueue.js).
+ * The page posts { type: 'clear-user-data' } on sign-out to drop cached chats and images.
+ * Bump VERSION to discard every cache of the previous worker.
+ */
+
+const VERSION = 'v3';
+const SHELL_CACHE = `aura-shell-${VERSION}`;
+const DATA_CACHE = `aura-data-${VERSION}`;
+const IMAGE_CACHE = `aura-images-${VERSION}`;
+const IMAGE_LIMIT = 200;
+
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then((cache) => cache.addAll(SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(names.filter((name) => !current.includes(name)).map((name) => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'clear-user-data') {
+        event.waitUntil(Promise.all([caches.delete(DATA_CACHE), caches.delete(IMAGE_CACHE)]));
+    }
+});
+
+// Presigned URLs carry their signature in the query string
+const isPresigned = (url) => url.searchParams.has('X-Amz-Signature') || url.searchParams.has('Signature');
+
+const store = async (cache, key, response, limit) => {
+    // Only the image cache has a limit, and only it takes opaque responses
+    if (!response.ok && !(limit && response.type === 'opaque')) return;
+    await cache.put(key, response);
+    if (limit) {
+        const keys = await cache.keys();
+        // Keys are in insertion order, so the oldest go first
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((old) => cache.delete(old)));
+    }
+};
+
+const networkFirst = async (request, cacheName, { fallbackUrl, limit } = {}) => {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        store(cache, fallbackUrl || request, response.clone(), limit).catch(() => {});
+        return response;
+    } catch (error) {
+        const cached = await cache.match(fallbackUrl || request);
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+const cacheFirst = async (request, cacheName) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    await store(cache, request, response.clone());
+    return response;
+};
+
+const staleWhileRevalidate = async (event, cacheName, limit) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+    const refresh = fetch(event.request).then(async (response) => {
+        await store(cache, event.request, response.clone(), limit);
+        return response;
+    });
+    if (!cached) return refresh;
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        // Every route is the same single-page app, so one cached shell serves them all
+        event.respondWith(networkFirst(request, SHELL_CACHE, { fallbackUrl: '/index.html' }));
+    } else if (url.origin === self.location.origin && (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname))) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    } else if (url.pathname.startsWith('/api/chats/')) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (request.destination === 'image') {
+        // A presigned URL gets a new signature on every refresh: cache it under the bare object URL
+        event.respondWith(isPresigned(url)
+            ? networkFirst(request, IMAGE_CACHE, { fallbackUrl: `${url.origin}${url.pathname}`, limit: IMAGE_LIMIT })
+            : staleWhileRevalidate(event, IMAGE_CACHE, IMAGE_LIMIT));
+    }
+});
@@ -1,21 +1,45 @@
-import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import React, { useEffect } from 'react';
+import { BrowserRouter as Router, Routes, Route, Navigate, useNavigate } from 'react-router-dom';
 import Login from './pages/Login';
+import MagicLink from './pages/MagicLink';
 import Dashboard from './pages/Dashboard';
 import Chat from './pages/Chat';
+import SessionProvider from './components/SessionProvider';
+import RouteGuard from './components/RouteGuard';
+import OfflineBanner from './components/OfflineBanner';
+import { AUTH_EXPIRED_EVENT } from './services/auth';
+
+// Sends the user back to login when the session can no longer be refreshed
+function AuthExpiryListener() {
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    // The session store is already cleared by the time this fires
+    const handleExpired = () => navigate('/login', { replace: true });
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, [navigate]);
+
+  return null;
+}
 
 function App() {
   return (
-    <Router>
-      <div className="min-h-screen bg-background text-foreground font-sans antialiased selection:bg-primary selection:text-white">
-        <Routes>
-          <Route path="/" element={<Navigate to="/login" replace />} />
-          <Route path="/login" element={<Login />} />
-          <Route path="/dashboard" element={<Dashboard />} />
-          <Route path="/chat" element={<Chat />} />
-        </Routes>
-      </div>
-    </Router>
+    <SessionProvider>
+      <Router>
+        <AuthExpiryListener />
+        <OfflineBanner />
+        <div className="min-h-screen bg-background text-foreground font-sans antialiased selection:bg-primary selection:text-white">
+          <Routes>
+            <Route path="/" element={<RouteGuard requires={['auth']}><Navigate to="/dashboard" replace /></RouteGuard>} />
+            <Route path="/login" element={<RouteGuard guestOnly><Login /></RouteGuard>} />
+            <Route path="/auth/magic" element={<MagicLink />} />
+            <Route path="/dashboard" element={<RouteGuard requires={['auth']}><Dashboard /></RouteGuard>} />
+            <Route path="/chat/:chatId?" element={<RouteGuard requires={['auth', 'photo', 'profile']}><Chat /></RouteGuard>} />
+          </Routes>
+        </div>
+      </Router>
+    </SessionProvider>
   );
 }
 
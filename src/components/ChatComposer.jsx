@@ -0,0 +1,134 @@
+import React, { useLayoutEffect, useRef, useState } from 'react';
+import { Mic, MicOff, SendHorizontal } from 'lucide-react';
+import { loadDraft, saveDraft } from '../services/drafts';
+
+const isSpeechSupported = typeof window !== 'undefined'
+    && ('SpeechRecognition' in window || 'webkitSpeechRecognition' in window);
+
+// Whether the caret sits on the first/last line, where arrow keys would otherwise just move it
+const isCaretOnFirstLine = (el) => el.selectionStart === el.selectionEnd && !el.value.slice(0, el.selectionStart).includes('\n');
+const isCaretOnLastLine = (el) => el.selectionStart === el.selectionEnd && !el.value.slice(el.selectionEnd).includes('\n');
+
+// Message input of a chat: typed text (Enter sends, Shift+Enter adds a line,
+// ↑/↓ recall sent messages) next to the voice button. Mount it with `key={chatId}`
+// so every chat gets its own draft.
+const ChatComposer = ({ chatId, history, disabled, isSending, isRecording, onSend, onStartRecording, onStopRecording }) => {
+    const [text, setText] = useState(() => loadDraft(chatId));
+    // Position in `history` while recalling sent messages, and the text typed before that
+    const [historyIndex, setHistoryIndex] = useState(null);
+    const [stashedText, setStashedText] = useState('');
+    const textareaRef = useRef(null);
+
+    // Grow with the content up to the max height, then scroll
+    useLayoutEffect(() => {
+        const el = textareaRef.current;
+        if (!el) return;
+        el.style.height = 'auto';
+        el.style.height = `${el.scrollHeight}px`;
+    }, [text]);
+
+    const updateText = (value) => {
+        setText(value);
+        setHistoryIndex(null);
+        saveDraft(chatId, value);
+    };
+
+    const canSend = Boolean(text.trim()) && !disabled && !isSending && !isRecording;
+
+    const send = () => {
+        if (!canSend) return;
+        onSend(text.trim());
+        updateText('');
+    };
+
+    const recall = (index) => {
+        if (index === null) {
+            setText(stashedText);
+        } else {
+            if (historyIndex === null) setStashedText(text);
+            setText(history[index]);
+        }
+        setHistoryIndex(index);
+    };
+
+    const handleKeyDown = (e) => {
+        // Enter while an IME is composing confirms the composition, it doesn't send
+        if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+            e.preventDefault();
+            send();
+        } else if (e.key === 'ArrowUp' && history.length > 0 && (historyIndex !== null || !text) && isCaretOnFirstLine(e.currentTarget)) {
+            e.preventDefault();
+            recall(historyIndex === null ? history.length - 1 : Math.max(0, historyIndex - 1));
+        } else if (e.key === 'ArrowDown' && historyIndex !== null && isCaretOnLastLine(e.currentTarget)) {
+            e.preventDefault();
+            recall(historyIndex + 1 < history.length ? historyIndex + 1 : null);
+        }
+    };
+
+    return (
+        <div className="p-6 bg-black/50 backdrop-blur-xl border-t border-white/10 z-10">
+            <div className="max-w-4xl mx-auto space-y-2">
+                <form
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        send();
+                    }}
+                    className="flex items-end gap-2 p-2 border rounded-2xl bg-white/5 border-white/10 focus-within:border-purple-500/50"
+                >
+                    <textarea
+                        ref={textareaRef}
+                        value={text}
+                        onChange={(e) => updateText(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                        disabled={disabled}
+                        rows={1}
+                        placeholder={isRecording ? 'Listening...' : 'Message Aura...'}
+                        aria-label="Message"
+                        className="flex-1 px-3 py-2 overflow-y-auto text-sm text-white bg-transparent outline-none resize-none max-h-40 placeholder:text-zinc-500 disabled:opacity-50"
+                    />
+                    {isSpeechSupported && (
+                        <button
+                            type="button"
+                            onClick={isRecording ? onStopRecording : onStartRecording}
+                            disabled={disabled || isSending}
+                            className={`p-2.5 rounded-xl transition-all ${
+                                isRecording
+                                    ? 'bg-red-600 hover:bg-red-700 text-white animate-pulse'
+                                    : 'text-zinc-400 hover:text-white hover:bg-white/10'
+                            } disabled:opacity-50`}
+                            title={isRecording ? 'Stop recording and send' : 'Speak your message'}
+                        >
+                            {isRecording ? <MicOff className="w-5 h-5" /> : <Mic className="w-5 h-5" />}
+                        </button>
+                    )}
+                    <button
+                        type="submit"
+                        disabled={!canSend}
+                        className="p-2.5 text-white bg-purple-600 rounded-xl transition-colors hover:bg-purple-700 disabled:opacity-50 disabled:hover:bg-purple-600"
+                        title="Send message"
+                    >
+                        <SendHorizontal className="w-5 h-5" />
+                    </button>
+                </form>
+
+                {isRecording ? (
+                    <div className="flex items-center justify-center gap-2 text-red-400 text-sm">
+                        <div className="w-2 h-2 bg-red-500 rounded-full animate-pulse" />
+                        <span>Recording... Click the microphone again to stop and send</span>
+                    </div>
+                ) : isSending ? (
+                    <div className="flex items-center justify-center gap-2 text-purple-400 text-sm">
+                        <div className="w-2 h-2 bg-purple-500 rounded-full animate-pulse" />
+                        <span>Sending message...</span>
+                    </div>
+                ) : (
+                    <p className="text-xs text-zinc-500 text-center">
+                        Enter to send, Shift+Enter for a new line, ↑ for your previous messages
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ChatComposer;
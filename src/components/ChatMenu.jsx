@@ -0,0 +1,165 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Archive, ArchiveRestore, ChevronLeft, Download, FileCode, FileText, MoreVertical, Pencil, Pin, PinOff, Printer, Trash2 } from 'lucide-react';
+import { getChatName } from '../lib/chatSessions';
+
+const itemClassName = 'flex items-center w-full gap-2 px-3 py-2 text-sm text-left rounded-lg text-zinc-300 hover:bg-white/5 hover:text-white';
+
+// "⋮" menu of a chat session: rename, pin, archive, export and delete (after confirming)
+const ChatMenu = ({ chat, onRename, onTogglePin, onToggleArchive, onExport, onDelete, align = 'right' }) => {
+    const [mode, setMode] = useState(null); // null (closed) | 'menu' | 'rename' | 'export' | 'delete'
+    const [name, setName] = useState('');
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        if (!mode) return undefined;
+        const handlePointerDown = (e) => {
+            if (!containerRef.current?.contains(e.target)) setMode(null);
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setMode(null);
+        };
+        document.addEventListener('pointerdown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('pointerdown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [mode]);
+
+    const run = (action) => {
+        setMode(null);
+        action();
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        const trimmed = name.trim();
+        if (trimmed && trimmed !== getChatName(chat)) {
+            onRename(trimmed);
+        }
+        setMode(null);
+    };
+
+    return (
+        // Clicks inside must not select the sidebar item the menu sits on
+        <div ref={containerRef} className="relative" onClick={(e) => e.stopPropagation()}>
+            <button
+                onClick={() => setMode(mode ? null : 'menu')}
+                className="p-2 transition-colors rounded-lg text-zinc-400 hover:text-white"
+                title="Chat options"
+            >
+                <MoreVertical className="w-5 h-5" />
+            </button>
+
+            {mode && (
+                <div className={`absolute z-30 p-1 mt-1 border shadow-xl w-56 bg-zinc-900 border-white/10 rounded-xl ${align === 'right' ? 'right-0' : 'left-0'}`}>
+                    {mode === 'menu' && (
+                        <>
+                            <button
+                                onClick={() => {
+                                    setName(getChatName(chat));
+                                    setMode('rename');
+                                }}
+                                className={itemClassName}
+                            >
+                                <Pencil className="w-4 h-4" />
+                                Rename
+                            </button>
+                            <button onClick={() => run(onTogglePin)} className={itemClassName}>
+                                {chat.pinned ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+                                {chat.pinned ? 'Unpin' : 'Pin to top'}
+                            </button>
+                            <button onClick={() => run(onToggleArchive)} className={itemClassName}>
+                                {chat.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+                                {chat.archived ? 'Unarchive' : 'Archive'}
+                            </button>
+                            <button onClick={() => setMode('export')} className={itemClassName}>
+                                <Download className="w-4 h-4" />
+                                Export
+                            </button>
+                            <button
+                                onClick={() => setMode('delete')}
+                                className={`${itemClassName} text-red-400 hover:text-red-300`}
+                            >
+                                <Trash2 className="w-4 h-4" />
+                                Delete
+                            </button>
+                        </>
+                    )}
+
+                    {mode === 'rename' && (
+                        <form onSubmit={handleRename} className="p-2 space-y-2">
+                            <input
+                                autoFocus
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                maxLength={80}
+                                className="w-full px-2 py-1.5 text-sm text-white border rounded-lg outline-none bg-white/5 border-white/10 focus:border-purple-500/50"
+                            />
+                            <div className="flex justify-end gap-2">
+                                <button
+                                    type="button"
+                                    onClick={() => setMode(null)}
+                                    className="px-3 py-1 text-xs font-medium rounded-lg text-zinc-400 hover:bg-white/5"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    type="submit"
+                                    className="px-3 py-1 text-xs font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700"
+                                >
+                                    Save
+                                </button>
+                            </div>
+                        </form>
+                    )}
+
+                    {mode === 'export' && (
+                        <>
+                            <button onClick={() => setMode('menu')} className={`${itemClassName} text-zinc-500`}>
+                                <ChevronLeft className="w-4 h-4" />
+                                Export
+                            </button>
+                            <button onClick={() => run(() => onExport('markdown'))} className={itemClassName}>
+                                <FileText className="w-4 h-4" />
+                                Markdown
+                            </button>
+                            <button onClick={() => run(() => onExport('json'))} className={itemClassName}>
+                                <FileCode className="w-4 h-4" />
+                                JSON
+                            </button>
+                            <button onClick={() => run(() => onExport('pdf'))} className={itemClassName}>
+                                <Printer className="w-4 h-4" />
+                                Print / Save as PDF
+                            </button>
+                        </>
+                    )}
+
+                    {mode === 'delete' && (
+                        <div className="p-2 space-y-2">
+                            <p className="text-sm text-zinc-300">
+                                Delete "{getChatName(chat)}"? Its messages can't be recovered.
+                            </p>
+                            <div className="flex justify-end gap-2">
+                                <button
+                                    onClick={() => setMode(null)}
+                                    className="px-3 py-1 text-xs font-medium rounded-lg text-zinc-400 hover:bg-white/5"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    onClick={() => run(onDelete)}
+                                    className="px-3 py-1 text-xs font-medium text-white bg-red-600 rounded-lg hover:bg-red-700"
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ChatMenu;
@@ -0,0 +1,200 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertCircle, Bot, CloudOff, Heart, RotateCw, User } from 'lucide-react';
+import { getMessageProducts } from '../lib/chatMessages';
+import MarkdownContent from './MarkdownContent';
+
+// How long a product card stays highlighted after its title is clicked in the text
+const PRODUCT_HIGHLIGHT_MS = 1500;
+
+// One row of the chat: a progress notice, or a user/assistant bubble with its
+// delivery state and product cards. Assistant text is rendered as Markdown,
+// with the products it mentions linked to their cards.
+const ChatMessage = ({ msg, isTarget, isSending, onRetry, onDiscard, onLike }) => {
+    const productsRef = useRef(null);
+    const [highlightedProduct, setHighlightedProduct] = useState(null);
+    const products = getMessageProducts(msg);
+
+    useEffect(() => {
+        if (highlightedProduct === null) return undefined;
+        const timer = setTimeout(() => setHighlightedProduct(null), PRODUCT_HIGHLIGHT_MS);
+        return () => clearTimeout(timer);
+    }, [highlightedProduct]);
+
+    const showProduct = (index) => {
+        const card = productsRef.current?.children[index];
+        if (!card) return;
+        card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        setHighlightedProduct(index);
+    };
+
+    const cursor = msg.streaming && <span className="inline-block w-1.5 h-4 ml-0.5 align-middle bg-purple-400 animate-pulse" />;
+
+    if (msg.type === 'progress') {
+        // Progress message (agent started/completed)
+        return (
+            <div className="flex justify-center my-2">
+                <div className="px-4 py-2 bg-zinc-800/50 border border-zinc-700/50 rounded-full text-xs text-zinc-400">
+                    {msg.content}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className={`flex gap-4 ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+            {msg.role === 'assistant' && (
+                <div className="w-8 h-8 rounded-full bg-purple-500/20 flex items-center justify-center border border-purple-500/30">
+                    <Bot className="w-4 h-4 text-purple-400" />
+                </div>
+            )}
+
+            <div
+                className={`max-w-[80%] p-4 rounded-2xl ${msg.role === 'user'
+                    ? 'bg-purple-600 text-white rounded-tr-sm'
+                    : 'bg-zinc-900 border border-white/10 text-zinc-100 rounded-tl-sm'
+                    } ${isTarget ? 'ring-2 ring-yellow-400/70' : ''} ${msg.status === 'pending' || msg.status === 'queued' ? 'opacity-70' : ''} ${msg.status === 'failed' ? 'ring-1 ring-red-500/70' : ''}`}
+            >
+                {msg.streaming && !msg.content ? (
+                    // Waiting for the first streamed token
+                    <div className="flex items-center gap-1 py-1">
+                        <div className="w-2 h-2 bg-purple-400 rounded-full animate-bounce" />
+                        <div className="w-2 h-2 bg-purple-400 rounded-full animate-bounce [animation-delay:150ms]" />
+                        <div className="w-2 h-2 bg-purple-400 rounded-full animate-bounce [animation-delay:300ms]" />
+                    </div>
+                ) : msg.role === 'assistant' ? (
+                    <MarkdownContent
+                        content={msg.content}
+                        products={products}
+                        onProductClick={showProduct}
+                        trailing={cursor}
+                    />
+                ) : (
+                    <p className="text-sm leading-relaxed whitespace-pre-wrap">
+                        {msg.content}
+                        {cursor}
+                    </p>
+                )}
+
+                {msg.status === 'queued' && (
+                    <p className="flex items-center gap-1 mt-2 text-xs text-white/80">
+                        <CloudOff className="w-3.5 h-3.5" />
+                        Sends when you're back online
+                    </p>
+                )}
+
+                {msg.status === 'failed' && (
+                    <div className="flex flex-wrap items-center gap-3 pt-2 mt-2 text-xs border-t border-white/20">
+                        <span className="flex items-center flex-1 gap-1 text-red-200">
+                            <AlertCircle className="w-3.5 h-3.5 shrink-0" />
+                            Not sent: {msg.error}
+                        </span>
+                        <button
+                            onClick={() => onRetry(msg)}
+                            disabled={isSending}
+                            className="flex items-center gap-1 font-medium hover:underline disabled:opacity-50"
+                        >
+                            <RotateCw className="w-3.5 h-3.5" />
+                            Retry
+                        </button>
+                        <button onClick={() => onDiscard(msg)} className="font-medium text-white/70 hover:underline">
+                            Discard
+                        </button>
+                    </div>
+                )}
+
+                {/* Display ranked_products (prioritized) or styled_products (fallback) */}
+                {products.length > 0 && (
+                    <div ref={productsRef} className="mt-4 space-y-4">
+                        {products.map((product, productIdx) => (
+                            <div
+                                key={product.id || productIdx}
+                                className={`bg-zinc-800/50 border rounded-xl p-4 hover:border-purple-500/50 transition-all ${highlightedProduct === productIdx
+                                    ? 'border-purple-500 ring-2 ring-purple-500/40'
+                                    : 'border-white/10'
+                                    }`}
+                            >
+                                <div className="flex gap-4">
+                                    {/* Merged Image */}
+                                    {product.merged_image_url && (
+                                        <div className="flex-shrink-0">
+                                            <img
+                                                src={product.merged_image_url}
+                                                alt={product.title || 'Product'}
+                                                className="w-32 h-32 object-cover rounded-lg border border-white/10"
+                                                onError={(e) => {
+                                                    // Fallback to product image if merged image fails
+                                                    if (product.image && e.target.src !== product.image) {
+                                                        e.target.src = product.image;
+                                                    }
+                                                }}
+                                            />
+                                        </div>
+                                    )}
+
+                                    {/* Product Details */}
+                                    <div className="flex-1 min-w-0">
+                                        <h3 className="font-semibold text-white mb-2 line-clamp-2">
+                                            {product.title || 'Product'}
+                                        </h3>
+
+                                        <div className="flex items-center gap-4 mb-2">
+                                            {product.price && (
+                                                <span className="text-lg font-bold text-purple-400">
+                                                    {product.price}
+                                                </span>
+                                            )}
+                                            {product.rating && (
+                                                <span className="text-sm text-zinc-400">
+                                                    ⭐ {product.rating}
+                                                </span>
+                                            )}
+                                        </div>
+
+                                        {product.source && (
+                                            <p className="text-xs text-zinc-500 mb-2">
+                                                From {product.source}
+                                            </p>
+                                        )}
+
+                                        {product.link && (
+                                            <a
+                                                href={product.link}
+                                                target="_blank"
+                                                rel="noopener noreferrer"
+                                                className="inline-flex items-center gap-2 px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white text-sm rounded-lg transition-colors"
+                                            >
+                                                View Product
+                                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
+                                                </svg>
+                                            </a>
+                                        )}
+
+                                        {/* Like button */}
+                                        {product.id && (
+                                            <button
+                                                onClick={() => onLike(product.id)}
+                                                className="mt-2 p-2 text-zinc-400 hover:text-red-500 transition-colors"
+                                                title="Like this product"
+                                            >
+                                                <Heart className="w-5 h-5" />
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {msg.role === 'user' && (
+                <div className="w-8 h-8 rounded-full bg-zinc-800 flex items-center justify-center border border-white/10">
+                    <User className="w-4 h-4 text-zinc-400" />
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ChatMessage;
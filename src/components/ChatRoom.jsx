@@ -1,45 +1,49 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { useChatTransport } from '../hooks/useChatTransport';
 
 const ChatRoom = ({ username, room, onLeave }) => {
     const [messages, setMessages] = useState([]);
     const [inputMessage, setInputMessage] = useState('');
-    const ws = useRef(null);
+    const [isSending, setIsSending] = useState(false);
     const messagesEndRef = useRef(null);
 
-    useEffect(() => {
-        // Connect to WebSocket
-        // Note: In production, use an environment variable for the backend URL
-        // WebSocket not used - using REST API instead
-        // ws.current = new WebSocket(`wss://aura-ai-997596012968.us-central1.run.app/ws/${room}/${username}`);
-
-        ws.current.onopen = () => {
-            console.log('Connected to WebSocket');
-        };
+    // Real-time over WebSocket, falls back to the REST chat API when the socket is down
+    const { transport, status } = useChatTransport(`user_${username}`, room);
 
-        ws.current.onmessage = (event) => {
-            setMessages((prev) => [...prev, event.data]);
-        };
-
-        ws.current.onclose = () => {
-            console.log('Disconnected from WebSocket');
-        };
+    useEffect(() => {
+        if (!transport) return undefined;
 
-        return () => {
-            if (ws.current) {
-                ws.current.close();
-            }
-        };
-    }, [username, room]);
+        // Messages pushed by the server that aren't replies to our own (e.g. other room members)
+        return transport.subscribe((frame) => {
+            const content = frame.content ?? frame.message ?? frame.data?.response;
+            if (!content) return;
+            setMessages((prev) => [...prev, { sender: frame.sender || frame.user_id || 'room', content }]);
+        });
+    }, [transport]);
 
     useEffect(() => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
     }, [messages]);
 
-    const sendMessage = (e) => {
+    const sendMessage = async (e) => {
         e.preventDefault();
-        if (inputMessage && ws.current) {
-            ws.current.send(inputMessage);
-            setInputMessage('');
+        const text = inputMessage.trim();
+        if (!text || !transport || isSending) return;
+
+        setMessages((prev) => [...prev, { sender: username, content: text }]);
+        setInputMessage('');
+        setIsSending(true);
+
+        try {
+            const response = await transport.send(text);
+            if (response?.response) {
+                setMessages((prev) => [...prev, { sender: 'assistant', content: response.response }]);
+            }
+        } catch (error) {
+            console.error('Failed to send message:', error);
+            setMessages((prev) => [...prev, { sender: 'system', content: `Error: ${error.message}` }]);
+        } finally {
+            setIsSending(false);
         }
     };
 
@@ -49,7 +53,9 @@ const ChatRoom = ({ username, room, onLeave }) => {
             <div className="flex items-center justify-between px-6 py-4 bg-white shadow-sm">
                 <div>
                     <h1 className="text-xl font-bold text-gray-800">Room: {room}</h1>
-                    <p className="text-sm text-gray-500">Logged in as: {username}</p>
+                    <p className="text-sm text-gray-500">
+                        Logged in as: {username} · {status === 'websocket' ? 'live' : status === 'connecting' ? 'connecting…' : 'HTTP fallback'}
+                    </p>
                 </div>
                 <button
                     onClick={onLeave}
@@ -63,8 +69,12 @@ const ChatRoom = ({ username, room, onLeave }) => {
             <div className="flex-1 p-6 overflow-y-auto">
                 <div className="space-y-4">
                     {messages.map((msg, index) => (
-                        <div key={index} className="p-3 bg-white rounded-lg shadow-sm w-fit max-w-[80%]">
-                            <p className="text-gray-800">{msg}</p>
+                        <div
+                            key={index}
+                            className={`p-3 rounded-lg shadow-sm w-fit max-w-[80%] ${msg.sender === username ? 'ml-auto bg-blue-50' : 'bg-white'}`}
+                        >
+                            <p className="text-xs text-gray-400">{msg.sender}</p>
+                            <p className="text-gray-800 whitespace-pre-wrap">{msg.content}</p>
                         </div>
                     ))}
                     <div ref={messagesEndRef} />
@@ -83,9 +93,10 @@ const ChatRoom = ({ username, room, onLeave }) => {
                     />
                     <button
                         type="submit"
-                        className="px-6 py-2 text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        disabled={isSending}
+                        className="px-6 py-2 text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
                     >
-                        Send
+                        {isSending ? 'Sending...' : 'Send'}
                     </button>
                 </form>
             </div>
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Bot, ShoppingBag, User } from 'lucide-react';
+import { highlightMatches } from '../lib/chatSearch';
+
+const Highlighted = ({ text, terms }) => highlightMatches(text, terms).map((part, i) => (
+    part.match
+        ? <mark key={i} className="px-0.5 text-white rounded bg-purple-500/40">{part.text}</mark>
+        : <React.Fragment key={i}>{part.text}</React.Fragment>
+));
+
+// Sidebar list of search hits; selecting one opens the chat at that message
+const ChatSearchResults = ({ results, onSelect }) => {
+    if (results.length === 0) {
+        return <p className="px-4 py-8 text-sm text-center text-zinc-500">No matching messages or products</p>;
+    }
+
+    return results.map((result) => {
+        const Icon = result.kind === 'product' ? ShoppingBag : result.role === 'user' ? User : Bot;
+        return (
+            <button
+                key={`${result.chatId}-${result.messageIndex}-${result.kind}-${result.snippet}`}
+                onClick={() => onSelect(result)}
+                className="w-full px-4 py-3 text-left transition-all rounded-xl text-zinc-400 hover:bg-white/5 hover:text-zinc-200"
+            >
+                <span className="flex items-center gap-2 mb-1 text-xs text-zinc-500">
+                    <Icon className="w-3 h-3 shrink-0" />
+                    <span className="truncate">{result.chatName}</span>
+                </span>
+                <span className="block text-sm line-clamp-2">
+                    <Highlighted text={result.snippet} terms={result.terms} />
+                </span>
+            </button>
+        );
+    });
+};
+
+export default ChatSearchResults;
@@ -0,0 +1,164 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown } from '../lib/markdown';
+
+const ALIGN_CLASSES = { left: 'text-left', center: 'text-center', right: 'text-right' };
+const HEADING_CLASSES = {
+    1: 'text-base font-semibold text-white',
+    2: 'text-base font-semibold text-white',
+    3: 'text-sm font-semibold text-white',
+};
+
+const renderInline = (nodes, onProductClick) => nodes.map((node, i) => {
+    switch (node.type) {
+        case 'text':
+            return node.value;
+        case 'br':
+            return <br key={i} />;
+        case 'strong':
+            return <strong key={i} className="font-semibold text-white">{renderInline(node.children, onProductClick)}</strong>;
+        case 'em':
+            return <em key={i}>{renderInline(node.children, onProductClick)}</em>;
+        case 'del':
+            return <del key={i} className="text-zinc-400">{renderInline(node.children, onProductClick)}</del>;
+        case 'code':
+            return <code key={i} className="px-1 py-0.5 text-xs rounded bg-black/40 text-purple-200">{node.value}</code>;
+        case 'link':
+            return (
+                <a
+                    key={i}
+                    href={node.href}
+                    target="_blank"
+                    rel="noopener noreferrer nofollow"
+                    className="text-purple-300 underline underline-offset-2 hover:text-purple-200"
+                >
+                    {renderInline(node.children, onProductClick)}
+                </a>
+            );
+        case 'product':
+            if (!onProductClick) return <React.Fragment key={i}>{renderInline(node.children)}</React.Fragment>;
+            return (
+                <button
+                    key={i}
+                    type="button"
+                    onClick={() => onProductClick(node.index)}
+                    className="text-left underline decoration-purple-400/60 decoration-dotted underline-offset-2 hover:text-purple-200"
+                    title="Show product"
+                >
+                    {renderInline(node.children, onProductClick)}
+                </button>
+            );
+        default:
+            return null;
+    }
+});
+
+const renderBlocks = (blocks, onProductClick, trailing = null) => blocks.map((block, i) => {
+    // The streaming cursor goes at the end of the last line of text
+    const tail = i === blocks.length - 1 ? trailing : null;
+    switch (block.type) {
+        case 'paragraph':
+            return <p key={i}>{renderInline(block.children, onProductClick)}{tail}</p>;
+        case 'heading': {
+            // Message headings sit below the page's own, so they start at <h3>
+            const Heading = `h${Math.min(block.level + 2, 6)}`;
+            return (
+                <Heading key={i} className={HEADING_CLASSES[block.level] || 'text-sm font-medium text-zinc-300'}>
+                    {renderInline(block.children, onProductClick)}
+                    {tail}
+                </Heading>
+            );
+        }
+        case 'list': {
+            const List = block.ordered ? 'ol' : 'ul';
+            return (
+                <React.Fragment key={i}>
+                    <List
+                        start={block.ordered && block.start !== 1 ? block.start : undefined}
+                        className={`pl-5 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'} marker:text-zinc-500`}
+                    >
+                        {block.items.map((item, itemIdx) => (
+                            <li key={itemIdx} className="pl-1 space-y-1">
+                                {renderBlocks(item, onProductClick)}
+                            </li>
+                        ))}
+                    </List>
+                    {tail}
+                </React.Fragment>
+            );
+        }
+        case 'table':
+            return (
+                <React.Fragment key={i}>
+                    <div className="overflow-x-auto">
+                        <table className="text-xs border-collapse">
+                            <thead>
+                                <tr>
+                                    {block.header.map((cell, column) => (
+                                        <th
+                                            key={column}
+                                            className={`px-3 py-1.5 font-semibold text-white border border-white/10 bg-white/5 ${ALIGN_CLASSES[block.align[column]] || 'text-left'}`}
+                                        >
+                                            {renderInline(cell, onProductClick)}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {block.rows.map((row, rowIdx) => (
+                                    <tr key={rowIdx}>
+                                        {row.map((cell, column) => (
+                                            <td
+                                                key={column}
+                                                className={`px-3 py-1.5 border border-white/10 ${ALIGN_CLASSES[block.align[column]] || ''}`}
+                                            >
+                                                {renderInline(cell, onProductClick)}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {tail}
+                </React.Fragment>
+            );
+        case 'code':
+            return (
+                <React.Fragment key={i}>
+                    <pre className="p-3 overflow-x-auto text-xs rounded-lg bg-black/40 text-zinc-200">
+                        <code>{block.value}</code>
+                    </pre>
+                    {tail}
+                </React.Fragment>
+            );
+        case 'blockquote':
+            return (
+                <blockquote key={i} className="pl-3 space-y-2 border-l-2 border-purple-500/50 text-zinc-300">
+                    {renderBlocks(block.children, onProductClick, tail)}
+                </blockquote>
+            );
+        case 'hr':
+            return (
+                <React.Fragment key={i}>
+                    <hr className="border-white/10" />
+                    {tail}
+                </React.Fragment>
+            );
+        default:
+            return null;
+    }
+});
+
+// Assistant message text rendered from Markdown (see lib/markdown.js). Never
+// uses raw HTML; product titles in the text call onProductClick(productIndex).
+const MarkdownContent = ({ content, products, onProductClick, trailing = null }) => {
+    const blocks = useMemo(() => parseMarkdown(content, { products }), [content, products]);
+
+    return (
+        <div className="space-y-3 text-sm leading-relaxed break-words">
+            {blocks.length > 0 ? renderBlocks(blocks, onProductClick, trailing) : trailing}
+        </div>
+    );
+};
+
+export default MarkdownContent;
@@ -0,0 +1,71 @@
+import React, { useEffect, useRef } from 'react';
+import { Loader2 } from 'lucide-react';
+import { useVirtualList } from '../hooks/useVirtualList';
+import { getMessageKey } from '../lib/chatMessages';
+
+// Older history starts loading this close to the top
+const LOAD_OLDER_THRESHOLD = 400;
+
+// Scrolling message list that renders only what's on screen and pages in
+// older history at the top. Mount it with `key={chatId}` so every chat opens
+// at its latest message.
+const MessageList = ({ messages, hasMore, isLoadingOlder, olderError, onLoadOlder, targetKey, renderMessage }) => {
+    const keys = messages.map(getMessageKey);
+    const { scrollRef, onScroll, measureRef, start, end, paddingTop, paddingBottom, scrollToKey } = useVirtualList({ keys });
+    const scrolledTargetRef = useRef(null);
+    const hasTarget = Boolean(targetKey) && keys.includes(targetKey);
+
+    const loadOlderIfNeeded = () => {
+        // After a failure only the retry button loads again, instead of retrying on every scroll
+        if (!hasMore || isLoadingOlder || olderError) return;
+        const nearTop = (scrollRef.current?.scrollTop ?? 0) < LOAD_OLDER_THRESHOLD;
+        // A linked message older than what's loaded: keep paging back until it shows up
+        if (nearTop || (targetKey && !hasTarget)) onLoadOlder();
+    };
+
+    // Also when the loaded messages don't fill the screen, so there's nothing to scroll
+    useEffect(loadOlderIfNeeded);
+
+    // Jump to a linked message (e.g. a search hit) once it's loaded, once per target
+    useEffect(() => {
+        if (hasTarget && scrolledTargetRef.current !== targetKey && scrollToKey(targetKey)) {
+            scrolledTargetRef.current = targetKey;
+        }
+    }, [hasTarget, targetKey, scrollToKey]);
+
+    return (
+        <div
+            ref={scrollRef}
+            onScroll={() => {
+                onScroll();
+                loadOlderIfNeeded();
+            }}
+            className="flex-1 overflow-y-auto p-6 [overflow-anchor:none]"
+        >
+            {olderError && !isLoadingOlder ? (
+                <div className="flex items-center justify-center gap-2 pb-6 text-sm text-red-400">
+                    <span>{olderError}</span>
+                    <button onClick={onLoadOlder} className="font-medium text-zinc-300 hover:text-white hover:underline">
+                        Retry
+                    </button>
+                </div>
+            ) : (hasMore || isLoadingOlder) && (
+                <div className="flex justify-center pb-6 text-zinc-500">
+                    <Loader2 className={`w-5 h-5 ${isLoadingOlder ? 'animate-spin' : ''}`} />
+                </div>
+            )}
+            <div style={{ paddingTop, paddingBottom }}>
+                {messages.slice(start, end).map((msg, offset) => {
+                    const index = start + offset;
+                    return (
+                        <div key={keys[index]} ref={measureRef} data-virtual-key={keys[index]} className="pb-6">
+                            {renderMessage(msg, index)}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default MessageList;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { CloudOff, RefreshCw, X } from 'lucide-react';
+import { removeQueued } from '../services/offlineQueue';
+import { useOfflineQueue, useOnlineStatus } from '../hooks/useOfflineQueue';
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Describes what's waiting, e.g. "2 messages and 1 photo"
+const describeQueued = (items) => {
+    const messages = items.filter((item) => item.kind === 'message').length;
+    const photos = items.filter((item) => item.kind === 'photo').length;
+    return [messages && pluralize(messages, 'message'), photos && pluralize(photos, 'photo')].filter(Boolean).join(' and ');
+};
+
+// Connection state and offline queue, pinned to the top of every page.
+// Failed messages are handled in their chat; failed photos can be discarded here.
+const OfflineBanner = () => {
+    const online = useOnlineStatus();
+    const { items, replaying } = useOfflineQueue();
+    const queued = items.filter((item) => item.status === 'queued');
+    const failedPhotos = items.filter((item) => item.kind === 'photo' && item.status === 'failed');
+
+    if (online && queued.length === 0 && failedPhotos.length === 0) return null;
+
+    return (
+        <div className="fixed z-50 flex flex-col items-center gap-2 -translate-x-1/2 top-4 left-1/2" role="status">
+            {(!online || queued.length > 0) && (
+                <div className="flex items-center gap-2 px-4 py-2 text-sm border shadow-xl bg-zinc-900 border-white/10 rounded-full text-zinc-200">
+                    {online ? (
+                        <RefreshCw className={`w-4 h-4 text-purple-400 ${replaying ? 'animate-spin' : ''}`} />
+                    ) : (
+                        <CloudOff className="w-4 h-4 text-yellow-400" />
+                    )}
+                    <span>
+                        {online ? `Sending ${describeQueued(queued)}...` : "You're offline"}
+                        {!online && queued.length > 0 && (
+                            <span className="text-zinc-400"> · {describeQueued(queued)} waiting to send</span>
+                        )}
+                    </span>
+                </div>
+            )}
+            {failedPhotos.map((item) => (
+                <div
+                    key={item.id}
+                    className="flex items-center gap-3 px-4 py-2 text-sm border shadow-xl bg-zinc-900 border-red-500/30 rounded-xl text-red-300"
+                >
+                    <span className="truncate max-w-xs">
+                        {item.file?.name || 'Photo'} couldn't be uploaded: {item.error}
+                    </span>
+                    <button
+                        onClick={() => removeQueued(item.id)}
+                        className="p-1 rounded-lg text-zinc-400 hover:text-white hover:bg-white/5 transition-colors"
+                        title="Discard"
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default OfflineBanner;
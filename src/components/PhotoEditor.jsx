@@ -0,0 +1,261 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { RotateCcw, RotateCw, X } from 'lucide-react';
+import {
+    clampEdit,
+    DEFAULT_EDIT,
+    drawEdit,
+    exportEdit,
+    FRAME_PRESETS,
+    getFrameAspect,
+    MAX_STRAIGHTEN_DEGREES,
+    MAX_ZOOM,
+} from '../lib/photoEdit';
+
+const PREVIEW_HEIGHT = 420;
+
+// Crop/rotate/straighten a photo inside a try-on frame before it is uploaded
+const PhotoEditor = ({ file, title, subtitle, saveLabel = 'Save & upload', onSave, onSkip, skipLabel, onCancel }) => {
+    const [image, setImage] = useState(null);
+    const [loadError, setLoadError] = useState('');
+    const [presetKey, setPresetKey] = useState('full');
+    const [edit, setEdit] = useState(DEFAULT_EDIT);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const canvasRef = useRef(null);
+    const dragRef = useRef(null);
+
+    const preset = FRAME_PRESETS[presetKey];
+    const aspect = image ? getFrameAspect(preset, image, edit.quarterTurns) : preset.aspect || 1;
+    const previewWidth = Math.round(PREVIEW_HEIGHT * aspect);
+
+    useEffect(() => {
+        let cancelled = false;
+        let bitmap = null;
+        createImageBitmap(file, { imageOrientation: 'from-image' })
+            .then((result) => {
+                bitmap = result;
+                if (cancelled) {
+                    bitmap.close();
+                    return;
+                }
+                setImage(bitmap);
+                setEdit(DEFAULT_EDIT);
+            })
+            .catch((error) => {
+                console.error('Failed to open photo for editing:', error);
+                if (!cancelled) setLoadError('This photo could not be opened for editing.');
+            });
+        return () => {
+            cancelled = true;
+            bitmap?.close();
+        };
+    }, [file]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !image) return;
+        const pixelRatio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(previewWidth * pixelRatio);
+        canvas.height = Math.round(PREVIEW_HEIGHT * pixelRatio);
+        drawEdit(canvas.getContext('2d'), image, edit, canvas.width, canvas.height);
+    }, [image, edit, previewWidth]);
+
+    const updateEdit = (patch) => setEdit((prev) => clampEdit({ ...prev, ...patch }));
+
+    const rotate = (direction) => updateEdit({ quarterTurns: (edit.quarterTurns + direction + 4) % 4, offsetX: 0, offsetY: 0 });
+
+    // Drag to pan the photo under the frame
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { x: e.clientX, y: e.clientY, offsetX: edit.offsetX, offsetY: edit.offsetY };
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        updateEdit({
+            offsetX: drag.offsetX + (e.clientX - drag.x) / previewWidth,
+            offsetY: drag.offsetY + (e.clientY - drag.y) / PREVIEW_HEIGHT,
+        });
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    const handleWheel = (e) => {
+        updateEdit({ zoom: edit.zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1) });
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        try {
+            onSave(await exportEdit(image, edit, aspect, file.name));
+        } catch (error) {
+            console.error('Failed to export edited photo:', error);
+            setLoadError('The edited photo could not be saved. Please try again.');
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/80 backdrop-blur-sm">
+            <div className="w-full max-w-3xl p-6 border bg-zinc-900 border-white/10 rounded-2xl">
+                <div className="flex items-start justify-between mb-4">
+                    <div>
+                        <h2 className="text-lg font-semibold text-white">{title || 'Frame your photo'}</h2>
+                        <p className="text-sm text-zinc-500">
+                            {subtitle || 'Line up your head and feet with the guides for the best try-on results'}
+                        </p>
+                    </div>
+                    <button
+                        onClick={onCancel}
+                        className="p-2 transition-colors rounded-lg hover:bg-white/5 text-zinc-400 hover:text-white"
+                        title="Close"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="flex flex-col gap-6 md:flex-row">
+                    {/* Preview with guides */}
+                    <div className="flex items-center justify-center flex-1 min-h-[420px] bg-black rounded-xl overflow-hidden">
+                        {loadError ? (
+                            <p className="text-sm text-red-400">{loadError}</p>
+                        ) : !image ? (
+                            <p className="text-sm text-zinc-500 animate-pulse">Loading photo...</p>
+                        ) : (
+                            <div
+                                className="relative cursor-grab active:cursor-grabbing touch-none"
+                                style={{ width: previewWidth, height: PREVIEW_HEIGHT, maxWidth: '100%' }}
+                                onPointerDown={handlePointerDown}
+                                onPointerMove={handlePointerMove}
+                                onPointerUp={handlePointerUp}
+                                onPointerCancel={handlePointerUp}
+                                onWheel={handleWheel}
+                            >
+                                <canvas ref={canvasRef} className="w-full h-full" />
+                                {preset.guides.map((guide) => (
+                                    <div
+                                        key={guide.label}
+                                        className="absolute inset-x-0 border-t border-dashed pointer-events-none border-purple-400/80"
+                                        style={{ top: `${guide.at * 100}%` }}
+                                    >
+                                        <span className="absolute left-2 -top-5 px-1.5 py-0.5 text-[10px] rounded bg-black/60 text-purple-200">
+                                            {guide.label}
+                                        </span>
+                                    </div>
+                                ))}
+                                {/* Centre line helps keep the body upright */}
+                                {preset.guides.length > 0 && (
+                                    <div className="absolute inset-y-0 border-l border-dashed pointer-events-none left-1/2 border-white/20" />
+                                )}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Controls */}
+                    <div className="w-full space-y-5 md:w-56">
+                        <div>
+                            <p className="mb-2 text-xs font-medium uppercase text-zinc-500">Framing</p>
+                            <div className="flex flex-wrap gap-2">
+                                {Object.entries(FRAME_PRESETS).map(([key, option]) => (
+                                    <button
+                                        key={key}
+                                        onClick={() => {
+                                            setPresetKey(key);
+                                            updateEdit({ offsetX: 0, offsetY: 0 });
+                                        }}
+                                        className={`px-3 py-1.5 text-xs font-medium rounded-lg border transition-colors ${key === presetKey
+                                            ? 'border-purple-500 bg-purple-500/10 text-purple-300'
+                                            : 'border-white/10 text-zinc-400 hover:bg-white/5'
+                                            }`}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div>
+                            <p className="mb-2 text-xs font-medium uppercase text-zinc-500">Rotate</p>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={() => rotate(-1)}
+                                    className="p-2 transition-colors border rounded-lg border-white/10 text-zinc-400 hover:bg-white/5 hover:text-white"
+                                    title="Rotate left"
+                                >
+                                    <RotateCcw className="w-4 h-4" />
+                                </button>
+                                <button
+                                    onClick={() => rotate(1)}
+                                    className="p-2 transition-colors border rounded-lg border-white/10 text-zinc-400 hover:bg-white/5 hover:text-white"
+                                    title="Rotate right"
+                                >
+                                    <RotateCw className="w-4 h-4" />
+                                </button>
+                            </div>
+                        </div>
+
+                        <label className="block">
+                            <span className="flex justify-between mb-2 text-xs font-medium uppercase text-zinc-500">
+                                Straighten <span>{edit.straighten.toFixed(1)}°</span>
+                            </span>
+                            <input
+                                type="range"
+                                min={-MAX_STRAIGHTEN_DEGREES}
+                                max={MAX_STRAIGHTEN_DEGREES}
+                                step={0.5}
+                                value={edit.straighten}
+                                onChange={(e) => updateEdit({ straighten: Number(e.target.value) })}
+                                className="w-full accent-purple-500"
+                            />
+                        </label>
+
+                        <label className="block">
+                            <span className="flex justify-between mb-2 text-xs font-medium uppercase text-zinc-500">
+                                Zoom <span>{edit.zoom.toFixed(1)}x</span>
+                            </span>
+                            <input
+                                type="range"
+                                min={1}
+                                max={MAX_ZOOM}
+                                step={0.05}
+                                value={edit.zoom}
+                                onChange={(e) => updateEdit({ zoom: Number(e.target.value) })}
+                                className="w-full accent-purple-500"
+                            />
+                        </label>
+
+                        <button
+                            onClick={() => setEdit(DEFAULT_EDIT)}
+                            className="text-xs font-medium transition-colors text-zinc-500 hover:text-zinc-300"
+                        >
+                            Reset
+                        </button>
+                    </div>
+                </div>
+
+                <div className="flex justify-end gap-2 mt-6">
+                    {onSkip && (
+                        <button
+                            onClick={onSkip}
+                            className="px-4 py-2 text-sm font-medium transition-colors rounded-lg text-zinc-400 hover:bg-white/5 hover:text-white"
+                        >
+                            {skipLabel || 'Upload without editing'}
+                        </button>
+                    )}
+                    <button
+                        onClick={handleSave}
+                        disabled={!image || isSaving}
+                        className="px-4 py-2 text-sm font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+                    >
+                        {isSaving ? 'Saving...' : saveLabel}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PhotoEditor;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useUser } from '../hooks/useUser';
+import { DEFAULT_SIGNED_IN_PATH, getUnmetRequirement, ROUTE_REQUIREMENTS } from '../lib/routeGuards';
+
+/**
+ * Renders a route only when its requirements are met (see lib/routeGuards.js).
+ * Otherwise redirects with { returnTo, reason } in the location state; returnTo
+ * survives the whole chain (e.g. /chat → /login → /dashboard). Guest-only
+ * routes (login) send signed-in users on to returnTo.
+ */
+const RouteGuard = ({ requires = [], guestOnly = false, children }) => {
+    const { user } = useUser();
+    const location = useLocation();
+    const returnTo = location.state?.returnTo;
+
+    if (guestOnly) {
+        if (!user) return children;
+        const to = returnTo ? { pathname: returnTo.pathname, search: returnTo.search } : DEFAULT_SIGNED_IN_PATH;
+        return <Navigate to={to} replace />;
+    }
+
+    const unmet = getUnmetRequirement(user, requires);
+    if (!unmet) return children;
+
+    return (
+        <Navigate
+            to={ROUTE_REQUIREMENTS[unmet].redirectTo}
+            replace
+            state={{
+                returnTo: returnTo || { pathname: location.pathname, search: location.search, requires },
+                reason: unmet,
+            }}
+        />
+    );
+};
+
+export default RouteGuard;
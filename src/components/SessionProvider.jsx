@@ -0,0 +1,11 @@
+import React, { useSyncExternalStore } from 'react';
+import { getSessionUser, subscribeSession } from '../services/session';
+import { SessionContext } from '../hooks/useUser';
+
+// Makes the signed-in user available to useUser/useUpdateProfile
+const SessionProvider = ({ children }) => {
+    const user = useSyncExternalStore(subscribeSession, getSessionUser);
+    return <SessionContext.Provider value={user}>{children}</SessionContext.Provider>;
+};
+
+export default SessionProvider;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Undo2 } from 'lucide-react';
+
+// Stack of "<action> · Undo" toasts at the bottom of the screen
+const UndoToast = ({ items, onUndo }) => {
+    const undoable = items.filter((item) => !item.committing);
+    if (undoable.length === 0) return null;
+
+    return (
+        <div className="fixed z-50 flex flex-col items-center gap-2 -translate-x-1/2 bottom-6 left-1/2">
+            {undoable.map((item) => (
+                <div
+                    key={item.id}
+                    className="flex items-center gap-4 px-4 py-3 text-sm border shadow-xl bg-zinc-900 border-white/10 rounded-xl text-zinc-200"
+                    role="status"
+                >
+                    <span>{item.label}</span>
+                    <button
+                        onClick={() => onUndo(item.id)}
+                        className="flex items-center gap-1 text-sm font-medium text-purple-400 hover:text-purple-300 transition-colors"
+                    >
+                        <Undo2 className="w-4 h-4" />
+                        Undo
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default UndoToast;
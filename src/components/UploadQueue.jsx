@@ -0,0 +1,85 @@
+import React from 'react';
+import { Check, RotateCcw, X } from 'lucide-react';
+
+const STATUS_LABELS = {
+    queued: 'Waiting...',
+    processing: 'Preparing photo...',
+    confirming: 'Saving...',
+    fallback: 'Uploading via server...',
+    done: 'Uploaded',
+    deferred: "Offline - uploads when you're back online",
+    cancelled: 'Cancelled',
+};
+
+// Phases without byte counts get an indeterminate bar
+const INDETERMINATE = ['processing', 'fallback', 'confirming'];
+const ACTIVE = ['queued', 'processing', 'uploading', 'confirming', 'fallback'];
+
+const UploadQueue = ({ items, onCancel, onRetry, onRemove, onClearFinished }) => {
+    if (items.length === 0) return null;
+
+    const hasFinished = items.some((item) => !ACTIVE.includes(item.status));
+
+    return (
+        <div className="mb-6 space-y-2">
+            {items.map((item) => {
+                const percent = item.total ? Math.round((item.loaded / item.total) * 100) : 0;
+                const isActive = ACTIVE.includes(item.status);
+                const label = item.status === 'uploading'
+                    ? `Uploading... ${percent}%`
+                    : item.status === 'error' ? item.error : STATUS_LABELS[item.status];
+
+                return (
+                    <div key={item.id} className="flex items-center gap-3 p-2 rounded-xl bg-white/5">
+                        <img
+                            src={item.previewUrl}
+                            alt={item.file.name}
+                            className="object-cover w-12 h-12 rounded-lg border border-white/10"
+                        />
+                        <div className="flex-1 min-w-0">
+                            <p className="text-sm truncate text-zinc-200">{item.file.name}</p>
+                            <p className={`text-xs truncate ${item.status === 'error' ? 'text-red-400' : 'text-zinc-500'}`}>
+                                {label}
+                            </p>
+                            {isActive && item.status !== 'queued' && (
+                                <div className="h-1 mt-1 overflow-hidden rounded-full bg-white/10">
+                                    <div
+                                        className={`h-full bg-purple-500 transition-all ${INDETERMINATE.includes(item.status) ? 'animate-pulse w-full' : ''}`}
+                                        style={INDETERMINATE.includes(item.status) ? undefined : { width: `${percent}%` }}
+                                    />
+                                </div>
+                            )}
+                        </div>
+                        {item.status === 'done' && <Check className="w-4 h-4 text-green-400" />}
+                        {item.retryable && ['error', 'cancelled'].includes(item.status) && (
+                            <button
+                                onClick={() => onRetry(item.id)}
+                                className="p-1.5 rounded-lg text-zinc-400 hover:text-white hover:bg-white/5 transition-colors"
+                                title="Retry"
+                            >
+                                <RotateCcw className="w-4 h-4" />
+                            </button>
+                        )}
+                        <button
+                            onClick={() => (isActive ? onCancel(item.id) : onRemove(item.id))}
+                            className="p-1.5 rounded-lg text-zinc-400 hover:text-white hover:bg-white/5 transition-colors"
+                            title={isActive ? 'Cancel' : 'Remove'}
+                        >
+                            <X className="w-4 h-4" />
+                        </button>
+                    </div>
+                );
+            })}
+            {hasFinished && (
+                <button
+                    onClick={onClearFinished}
+                    className="text-xs font-medium text-zinc-500 hover:text-zinc-300 transition-colors"
+                >
+                    Clear finished
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default UploadQueue;
@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { buildSearchIndex, searchChats } from '../lib/chatSearch';
+import { getChatId } from '../lib/chatSessions';
+import { loadSearchableChats, saveSearchableChats } from '../services/chatSearch';
+import { useChatHistory } from './useQuery';
+
+const noChats = [];
+
+/**
+ * Full-text search over a user's whole chat history. The history is fetched
+ * only while search is in use; until it arrives (or while offline) the copy
+ * stored the last time is searched instead.
+ * @param {string|null} userId - User ID
+ * @param {Array|undefined} chats - Fetched chat list, undefined until loaded; decides which chats
+ *   (and names) show up, so renamed and deleted chats are up to date
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Whether to fetch the full history
+ * @returns {Function} (query) => results, see lib/chatSearch.searchChats
+ */
+export const useChatSearch = (userId, chats, { enabled = true } = {}) => {
+    const { data: history } = useChatHistory(enabled ? userId : null);
+    const [stored, setStored] = useState({ userId: null, chats: null });
+
+    useEffect(() => {
+        if (userId && history) saveSearchableChats(userId, history);
+    }, [userId, history]);
+
+    useEffect(() => {
+        if (!userId) return undefined;
+        let cancelled = false;
+        loadSearchableChats(userId).then((saved) => {
+            if (!cancelled) setStored({ userId, chats: saved });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [userId]);
+
+    const source = useMemo(() => {
+        const withMessages = history || (stored.userId === userId && stored.chats) || noChats;
+        if (!chats) return withMessages;
+        const messagesById = new Map(withMessages.map((chat) => [getChatId(chat), chat.messages]));
+        return chats.map((chat) => ({ ...chat, messages: messagesById.get(getChatId(chat)) || [] }));
+    }, [chats, history, stored, userId]);
+    const index = useMemo(() => buildSearchIndex(source), [source]);
+    return useCallback((query) => searchChats(index, query), [index]);
+};
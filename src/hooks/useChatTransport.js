@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { createChatTransport } from '../services/chatTransport';
+
+const noopUnsubscribe = () => {};
+
+/**
+ * Chat transport for one user/thread, connected while the component is mounted
+ * @param {string} userId - User ID (e.g., "user_username")
+ * @param {string} [threadId] - Chat/room ID
+ * @returns {Object} { transport, status } where status is websocket | connecting | rest
+ */
+export const useChatTransport = (userId, threadId) => {
+    const transport = useMemo(
+        () => (userId ? createChatTransport({ userId, threadId }) : null),
+        [userId, threadId]
+    );
+
+    const subscribe = useCallback(
+        (onChange) => (transport ? transport.onStatusChange(onChange) : noopUnsubscribe),
+        [transport]
+    );
+    const status = useSyncExternalStore(subscribe, () => transport?.getStatus() ?? 'rest');
+
+    useEffect(() => {
+        if (!transport) return undefined;
+        transport.connect();
+        return () => transport.close();
+    }, [transport]);
+
+    return { transport, status };
+};
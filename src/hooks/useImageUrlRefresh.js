@@ -0,0 +1,17 @@
+import { useEffect } from 'react';
+import { watchImageUrls } from '../services/imageUrls';
+
+/**
+ * Refresh presigned photo URLs shortly before they expire, while mounted
+ * @param {string} username - Username
+ * @param {string[]} photoUrls - Current photo URLs
+ */
+export const useImageUrlRefresh = (username, photoUrls) => {
+    // Re-arm only when the set of URLs actually changes, not on every new array
+    const urlsKey = JSON.stringify(photoUrls || []);
+
+    useEffect(() => {
+        if (!username) return undefined;
+        return watchImageUrls(username, JSON.parse(urlsKey));
+    }, [username, urlsKey]);
+};
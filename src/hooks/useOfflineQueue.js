@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from 'react';
+import { getOfflineQueueState, subscribeOfflineQueue } from '../services/offlineQueue';
+import { isOnline, subscribeConnectivity } from '../services/connectivity';
+
+/**
+ * Messages and photos waiting for the connection (see services/offlineQueue.js)
+ * @returns {Object} { items, replaying }
+ */
+export const useOfflineQueue = () => useSyncExternalStore(subscribeOfflineQueue, getOfflineQueueState);
+
+/**
+ * Whether the browser is online, re-rendering on changes
+ * @returns {boolean}
+ */
+export const useOnlineStatus = () => useSyncExternalStore(subscribeConnectivity, isOnline);
@@ -0,0 +1,101 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import { fetchQuery, getQuerySnapshot, invalidateQueries, subscribeQuery } from '../services/queryCache';
+import { fetchChatHistory, fetchChatList, fetchChatMessages, fetchProfile, queryKeys } from '../services/queries';
+
+const emptySnapshot = { data: undefined, error: null, isFetching: false, updatedAt: 0 };
+const noopUnsubscribe = () => {};
+
+/**
+ * Read a cached query, revalidating it in the background when stale
+ * @param {Array|null} key - Query key, or null to skip (e.g. user not loaded yet)
+ * @param {Function} fetcher - Returns a promise of the data
+ * @param {Object} [options]
+ * @param {*} [options.initialData] - Shown until the first response arrives
+ * @param {number} [options.staleTime] - How long cached data counts as fresh, in ms
+ * @returns {Object} { data, error, isLoading, isFetching, refetch }
+ */
+export const useQuery = (key, fetcher, { initialData, staleTime } = {}) => {
+    const hash = key ? JSON.stringify(key) : null;
+
+    // Keep the latest fetcher for background refetches without resubscribing
+    const fetcherRef = useRef(fetcher);
+    useEffect(() => {
+        fetcherRef.current = fetcher;
+    });
+    const runFetcher = useCallback(() => fetcherRef.current(), []);
+
+    const subscribe = useCallback(
+        (onChange) => (hash ? subscribeQuery(JSON.parse(hash), onChange) : noopUnsubscribe),
+        [hash]
+    );
+    const snapshot = useSyncExternalStore(
+        subscribe,
+        () => (hash ? getQuerySnapshot(JSON.parse(hash)) : emptySnapshot)
+    );
+
+    useEffect(() => {
+        if (!hash) return;
+        fetchQuery(JSON.parse(hash), runFetcher, { staleTime }).catch((error) => {
+            console.error('❌ Query failed:', hash, error);
+        });
+    }, [hash, runFetcher, staleTime]);
+
+    const refetch = useCallback(
+        () => (hash ? invalidateQueries(JSON.parse(hash)) : Promise.resolve()),
+        [hash]
+    );
+
+    const data = snapshot.data !== undefined ? snapshot.data : initialData;
+    return {
+        data,
+        error: snapshot.error,
+        isLoading: Boolean(hash) && snapshot.data === undefined && !snapshot.error,
+        isFetching: snapshot.isFetching,
+        refetch,
+    };
+};
+
+/**
+ * Chat sessions of a user (without their messages, see useChatMessages)
+ * @param {string|null} userId - User ID
+ * @returns {Object} useQuery result
+ */
+export const useChats = (userId) => useQuery(
+    userId ? queryKeys.chats(userId) : null,
+    () => fetchChatList(userId)
+);
+
+/**
+ * Every chat with its whole message history; much heavier than useChats, so
+ * only fetched while something needs it (search)
+ * @param {string|null} userId - User ID, or null to skip
+ * @returns {Object} useQuery result
+ */
+export const useChatHistory = (userId) => useQuery(
+    userId ? queryKeys.chatHistory(userId) : null,
+    () => fetchChatHistory(userId)
+);
+
+/**
+ * Messages of a chat loaded so far: the latest page, plus older pages added
+ * by loadOlderChatMessages
+ * @param {string|null} userId - User ID
+ * @param {string|null} chatId - Chat session ID, or null to skip
+ * @returns {Object} useQuery result; data is { messages, hasMore }
+ */
+export const useChatMessages = (userId, chatId) => useQuery(
+    userId && chatId ? queryKeys.chatMessages(userId, chatId) : null,
+    () => fetchChatMessages(userId, chatId)
+);
+
+/**
+ * Profile of the signed-in user; the copy stored at login is shown until the
+ * server copy arrives
+ * @param {Object|null} storedUser - Persisted user (see services/session.js)
+ * @returns {Object} useQuery result
+ */
+export const useProfile = (storedUser) => useQuery(
+    storedUser?.username ? queryKeys.profile(storedUser.username) : null,
+    () => fetchProfile(storedUser.username),
+    { initialData: storedUser }
+);
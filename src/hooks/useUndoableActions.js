@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+let actionCounter = 0;
+
+/**
+ * Actions that only run after an undo window (e.g. deletes behind an "Undo" toast)
+ * @param {Object} options
+ * @param {Function} options.commit - (payload) => Promise, runs once the window has passed
+ * @param {Function} [options.onError] - (error, payload) => void when the commit fails
+ * @param {number} [options.delay=5000] - Undo window in ms
+ * @returns {Object} { pending, schedule, undo } - pending entries are { id, payload, label, committing }
+ *   and stay listed until their commit has settled
+ */
+export const useUndoableActions = ({ commit, onError, delay = 5000 }) => {
+    const [pending, setPending] = useState([]);
+    // id -> { timer, entry } for actions still inside their undo window
+    const scheduledRef = useRef(new Map());
+
+    // Latest callbacks, so scheduled timers never call a stale closure
+    const callbacksRef = useRef({ commit, onError });
+    useEffect(() => {
+        callbacksRef.current = { commit, onError };
+    });
+
+    const run = useCallback(async (entry) => {
+        scheduledRef.current.delete(entry.id);
+        // Past the undo window: still pending, but no longer undoable
+        setPending(prev => prev.map(item => (item.id === entry.id ? { ...item, committing: true } : item)));
+        try {
+            await callbacksRef.current.commit(entry.payload);
+        } catch (error) {
+            callbacksRef.current.onError?.(error, entry.payload);
+        } finally {
+            setPending(prev => prev.filter(item => item.id !== entry.id));
+        }
+    }, []);
+
+    const schedule = useCallback((payload, label) => {
+        const entry = { id: `action-${++actionCounter}`, payload, label };
+        setPending(prev => [...prev, entry]);
+        const timer = setTimeout(() => run(entry), delay);
+        scheduledRef.current.set(entry.id, { timer, entry });
+    }, [delay, run]);
+
+    const undo = useCallback((id) => {
+        const scheduled = scheduledRef.current.get(id);
+        if (!scheduled) return;
+        clearTimeout(scheduled.timer);
+        scheduledRef.current.delete(id);
+        setPending(prev => prev.filter(item => item.id !== id));
+    }, []);
+
+    // Leaving the page commits what the user already chose not to undo
+    useEffect(() => {
+        const scheduled = scheduledRef.current;
+        return () => {
+            scheduled.forEach(({ timer, entry }) => {
+                clearTimeout(timer);
+                callbacksRef.current.commit(entry.payload).catch((error) => {
+                    console.error('Failed to commit pending action:', error);
+                });
+            });
+            scheduled.clear();
+        };
+    }, []);
+
+    return { pending, schedule, undo };
+};
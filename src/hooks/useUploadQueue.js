@@ -0,0 +1,73 @@
+import { useEffect, useMemo, useSyncExternalStore } from 'react';
+import { createUploadQueue } from '../services/uploadQueue';
+import { uploadPhoto } from '../services/uploads';
+import { extractS3KeyFromUrl } from '../services/api';
+import { replacePhoto } from '../services/queries';
+import { queuePhoto, shouldQueue } from '../services/offlineQueue';
+import { isOnline } from '../services/connectivity';
+import { preprocessImage } from '../lib/imagePreprocess';
+
+// Phone photos get downscaled, so only refuse files too big to decode comfortably
+const MAX_SOURCE_SIZE = 40 * 1024 * 1024; // 40MB
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024; // 10MB
+
+const noItems = [];
+const subscribeNothing = () => () => {};
+
+const validatePhoto = (file) => {
+    if (!file.type.startsWith('image/')) return 'Please upload an image file';
+    if (file.size > MAX_SOURCE_SIZE) return 'File size must be less than 40MB';
+    return null;
+};
+
+/**
+ * Photo upload queue for a user, cancelled when the component unmounts.
+ * Each finished upload updates the cached profile (and so its photo list).
+ * Photos picked while offline are handed to the offline queue and uploaded
+ * once the connection is back.
+ * @param {string} username - Username
+ * @returns {Object} { queue, items }
+ */
+export const useUploadQueue = (username) => {
+    const queue = useMemo(() => (username ? createUploadQueue({
+        validate: validatePhoto,
+        upload: async (file, { signal, onProgress, meta }) => {
+            // Orient, downscale and strip EXIF (incl. GPS) before anything leaves the device
+            onProgress({ phase: 'processing', loaded: 0, total: file.size });
+            const processed = await preprocessImage(file);
+            signal.throwIfAborted();
+            if (processed.size > MAX_UPLOAD_SIZE) {
+                throw new Error('File size must be less than 10MB');
+            }
+            // An edited copy of an existing photo takes its place
+            const replacedKey = meta?.replaces && extractS3KeyFromUrl(meta.replaces);
+            const defer = () => {
+                queuePhoto({ username, file: processed, replaces: replacedKey || null });
+                return { deferred: true };
+            };
+            if (!isOnline()) return defer();
+
+            let user;
+            try {
+                // Straight to S3 with progress (proxy fallback); the returned user lands in the cache
+                user = await uploadPhoto(username, processed, { signal, onProgress });
+            } catch (error) {
+                if (!signal.aborted && shouldQueue(error)) return defer();
+                throw error;
+            }
+            return replacedKey ? replacePhoto(user, replacedKey) : user;
+        },
+    }) : null), [username]);
+
+    const items = useSyncExternalStore(
+        queue ? queue.subscribe : subscribeNothing,
+        () => (queue ? queue.getItems() : noItems)
+    );
+
+    useEffect(() => {
+        if (!queue) return undefined;
+        return () => queue.destroy();
+    }, [queue]);
+
+    return { queue, items };
+};
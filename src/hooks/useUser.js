@@ -0,0 +1,52 @@
+import { createContext, useCallback, useContext, useState } from 'react';
+import { updateUser } from '../services/queries';
+import { useProfile } from './useQuery';
+
+// Provided by components/SessionProvider.jsx; undefined means there is no provider
+export const SessionContext = createContext(undefined);
+
+const useSessionUser = () => {
+    const sessionUser = useContext(SessionContext);
+    if (sessionUser === undefined) {
+        throw new Error('useUser must be used inside <SessionProvider>');
+    }
+    return sessionUser;
+};
+
+/**
+ * The signed-in user, revalidated against the server in the background
+ * @returns {Object} { user, isLoading, refetch } - user is null when signed out
+ */
+export const useUser = () => {
+    const sessionUser = useSessionUser();
+    const { data, isLoading, refetch } = useProfile(sessionUser);
+    // Signing out (here or in another tab) must not leave the last cached profile on screen
+    return { user: sessionUser ? data : null, isLoading, refetch };
+};
+
+/**
+ * Save profile fields of the signed-in user
+ * @returns {Object} { updateProfile, isUpdating, error } - updateProfile(fields) resolves to the updated user
+ */
+export const useUpdateProfile = () => {
+    const sessionUser = useSessionUser();
+    const [isUpdating, setIsUpdating] = useState(false);
+    const [error, setError] = useState(null);
+    const username = sessionUser?.username;
+
+    const updateProfile = useCallback(async (fields) => {
+        if (!username) throw new Error('Not signed in');
+        setIsUpdating(true);
+        setError(null);
+        try {
+            return await updateUser(username, fields);
+        } catch (err) {
+            setError(err);
+            throw err;
+        } finally {
+            setIsUpdating(false);
+        }
+    }, [username]);
+
+    return { updateProfile, isUpdating, error };
+};
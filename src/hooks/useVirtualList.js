@@ -0,0 +1,148 @@
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+const DEFAULT_ESTIMATE = 160;
+const DEFAULT_OVERSCAN = 800;
+// Within this many px of the end counts as "at the bottom"
+const BOTTOM_THRESHOLD = 80;
+
+// Index of the row containing the given offset (offsets has one more entry than there are rows)
+const findRow = (offsets, y) => {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (offsets[mid] <= y) low = mid;
+        else high = mid - 1;
+    }
+    return Math.max(0, low);
+};
+
+/**
+ * Render only the rows of a scrolling list that are on (or near) the screen.
+ * Rows can have any height: they are measured once rendered and estimated until
+ * then. While scrolled to the bottom the list stays there (new rows, rows that
+ * grow, e.g. a streaming reply); otherwise the visible rows keep their place
+ * when rows above them are added or change height.
+ * @param {Object} options
+ * @param {string[]} options.keys - Stable key of every row, in display order
+ * @param {number} [options.estimateSize=160] - Height of a row not measured yet, in px
+ * @param {number} [options.overscan=800] - Extra px rendered above and below the viewport
+ * @returns {Object} { scrollRef, onScroll, measureRef, start, end, paddingTop, paddingBottom, scrollToKey }
+ *   - render rows start..end-1 between paddingTop and paddingBottom spacers
+ *   - give every rendered row `ref={measureRef}` and `data-virtual-key={key}`
+ */
+export const useVirtualList = ({ keys, estimateSize = DEFAULT_ESTIMATE, overscan = DEFAULT_OVERSCAN }) => {
+    const scrollRef = useRef(null);
+    const [sizes, setSizes] = useState(() => new Map());
+    // A list opens at its end, so start "scrolled" past everything until measured
+    const [viewport, setViewport] = useState({ top: Number.MAX_SAFE_INTEGER, height: 0 });
+
+    // Last committed layout, for the observers and scroll handlers
+    const layoutRef = useRef({ keys: [], offsets: [0], sizes });
+    const atBottomRef = useRef(true);
+    // Scroll correction for rows above the viewport that changed height
+    const pendingScrollRef = useRef(0);
+    const rowObserverRef = useRef(null);
+
+    const offsets = useMemo(() => {
+        const result = [0];
+        keys.forEach((key, i) => result.push(result[i] + (sizes.get(key) ?? estimateSize)));
+        return result;
+    }, [keys, sizes, estimateSize]);
+    const total = offsets[keys.length];
+
+    const start = keys.length === 0 ? 0 : findRow(offsets, viewport.top - overscan);
+    const end = keys.length === 0 ? 0 : Math.min(keys.length, findRow(offsets, viewport.top + viewport.height + overscan) + 1);
+
+    const readViewport = useCallback(() => {
+        const el = scrollRef.current;
+        if (!el) return;
+        atBottomRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < BOTTOM_THRESHOLD;
+        setViewport({ top: el.scrollTop, height: el.clientHeight });
+    }, []);
+
+    const measureRef = useCallback((el) => {
+        if (!el) return undefined;
+        if (!rowObserverRef.current) {
+            rowObserverRef.current = new ResizeObserver((entries) => {
+                const { keys: currentKeys, offsets: currentOffsets, sizes: currentSizes } = layoutRef.current;
+                const scrollTop = scrollRef.current?.scrollTop ?? 0;
+                const changed = [];
+                entries.forEach((entry) => {
+                    const key = entry.target.dataset.virtualKey;
+                    const height = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.getBoundingClientRect().height;
+                    if (key === undefined || currentSizes.get(key) === height) return;
+                    changed.push([key, height]);
+                    const index = currentKeys.indexOf(key);
+                    if (index !== -1 && currentOffsets[index] < scrollTop) {
+                        pendingScrollRef.current += height - (currentSizes.get(key) ?? estimateSize);
+                    }
+                });
+                if (changed.length === 0) return;
+                setSizes((prev) => {
+                    const next = new Map(prev);
+                    changed.forEach(([key, height]) => next.set(key, height));
+                    return next;
+                });
+            });
+        }
+        const observer = rowObserverRef.current;
+        observer.observe(el);
+        return () => observer.unobserve(el);
+    }, [estimateSize]);
+
+    // The viewport's height changes with the window (and the composer growing)
+    useEffect(() => {
+        const el = scrollRef.current;
+        if (!el) return undefined;
+        const observer = new ResizeObserver(readViewport);
+        observer.observe(el);
+        return () => observer.disconnect();
+    }, [readViewport]);
+
+    // Runs after every render: apply scroll corrections before the browser paints
+    useLayoutEffect(() => {
+        const el = scrollRef.current;
+        const previous = layoutRef.current;
+        layoutRef.current = { keys, offsets, sizes };
+        if (!el) return;
+
+        // Rows added above: keep the previous first row where it was
+        if (previous.keys.length > 0 && keys[0] !== previous.keys[0]) {
+            const index = keys.indexOf(previous.keys[0]);
+            if (index > 0) pendingScrollRef.current += offsets[index];
+        }
+
+        if (atBottomRef.current) {
+            el.scrollTop = el.scrollHeight;
+        } else if (pendingScrollRef.current) {
+            el.scrollTop += pendingScrollRef.current;
+        }
+        pendingScrollRef.current = 0;
+    });
+
+    /**
+     * Scroll a row into the upper part of the viewport
+     * @param {string} key - Row key
+     * @returns {boolean} false when there is no such row
+     */
+    const scrollToKey = useCallback((key) => {
+        const el = scrollRef.current;
+        const index = layoutRef.current.keys.indexOf(key);
+        if (!el || index === -1) return false;
+        atBottomRef.current = false;
+        el.scrollTop = layoutRef.current.offsets[index] - el.clientHeight / 3;
+        return true;
+    }, []);
+
+    return {
+        scrollRef,
+        onScroll: readViewport,
+        measureRef,
+        start,
+        end,
+        paddingTop: offsets[start],
+        paddingBottom: total - offsets[end],
+        scrollToKey,
+    };
+};
@@ -0,0 +1,187 @@
+/**
+ * Chat transcript export
+ *
+ * Turns a chat (as held by the chat page, messages included) into Markdown,
+ * JSON or a standalone HTML page with product cards and try-on images. The
+ * HTML version is what gets printed (and saved as PDF from the print dialog).
+ */
+
+import { getMessageProducts } from './chatMessages';
+import { getChatId, getChatName } from './chatSessions';
+
+export const EXPORT_FORMATS = {
+    markdown: { extension: 'md', type: 'text/markdown' },
+    json: { extension: 'json', type: 'application/json' },
+    html: { extension: 'html', type: 'text/html' },
+};
+
+const ROLE_NAMES = { user: 'You', assistant: 'Aura' };
+
+// Finished chat messages only: no progress notices, empty stream placeholders or unsent messages
+const transcriptMessages = (chat) => (chat.messages || []).filter((msg) => (
+    msg.type !== 'progress' && msg.content && msg.status !== 'failed'
+));
+
+const productsOf = (msg) => getMessageProducts(msg).map((product) => ({
+    title: product.title || 'Product',
+    price: product.price || null,
+    rating: product.rating ?? null,
+    source: product.source || null,
+    link: product.link || null,
+    try_on_image: product.merged_image_url || null,
+}));
+
+const formatDate = (date) => date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Markdown transcript
+ * @param {Object} chat - Chat with messages
+ * @returns {string}
+ */
+export const buildChatMarkdown = (chat) => {
+    const lines = [`# ${getChatName(chat)}`, '', `_Exported ${formatDate(new Date())}_`, ''];
+
+    transcriptMessages(chat).forEach((msg) => {
+        lines.push(`**${ROLE_NAMES[msg.role] || msg.role}:** ${msg.content.trim()}`, '');
+        const products = productsOf(msg);
+        if (products.length === 0) return;
+        lines.push('Recommended products:', '');
+        products.forEach((product, i) => {
+            const title = /^https?:/i.test(product.link || '') ? `[${product.title}](${product.link})` : product.title;
+            const details = [product.price, product.rating != null && `⭐ ${product.rating}`, product.source]
+                .filter(Boolean)
+                .join(' · ');
+            lines.push(`${i + 1}. ${title}${details ? ` (${details})` : ''}`);
+            if (product.try_on_image) {
+                lines.push(`   ![Try-on: ${product.title}](${product.try_on_image})`);
+            }
+        });
+        lines.push('');
+    });
+
+    return lines.join('\n');
+};
+
+/**
+ * JSON transcript
+ * @param {Object} chat - Chat with messages
+ * @returns {string}
+ */
+export const buildChatJson = (chat) => JSON.stringify({
+    chat_id: getChatId(chat),
+    session_name: getChatName(chat),
+    created_at: chat.created_at || null,
+    exported_at: new Date().toISOString(),
+    messages: transcriptMessages(chat).map((msg) => ({
+        role: msg.role,
+        content: msg.content,
+        products: productsOf(msg),
+    })),
+}, null, 2);
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Only web links end up in href/src, never javascript: URLs from a product feed
+const safeUrl = (url) => (/^(https?:|blob:|data:image\/)/i.test(url || '') ? escapeHtml(url) : null);
+
+const PRINT_STYLES = `
+    body { font-family: system-ui, sans-serif; color: #18181b; max-width: 800px; margin: 32px auto; padding: 0 16px; }
+    h1 { font-size: 24px; margin-bottom: 4px; }
+    .meta { color: #71717a; font-size: 13px; margin-bottom: 24px; }
+    .message { margin: 16px 0; break-inside: avoid; }
+    .role { font-weight: 600; font-size: 13px; color: #7c3aed; margin-bottom: 4px; }
+    .content { white-space: pre-wrap; line-height: 1.5; }
+    .products { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; margin-top: 12px; }
+    .card { border: 1px solid #e4e4e7; border-radius: 12px; padding: 8px; break-inside: avoid; font-size: 13px; }
+    .card img { width: 100%; aspect-ratio: 3 / 4; object-fit: cover; border-radius: 8px; }
+    .card a { color: #7c3aed; }
+    .details { color: #52525b; margin-top: 4px; }
+`;
+
+/**
+ * Standalone HTML page of the transcript
+ * @param {Object} chat - Chat with messages
+ * @param {Object} [options] - { autoPrint: open the print dialog once images have loaded }
+ * @returns {string}
+ */
+export const buildChatHtml = (chat, { autoPrint = false } = {}) => {
+    const messages = transcriptMessages(chat).map((msg) => {
+        const cards = productsOf(msg).map((product) => {
+            const image = safeUrl(product.try_on_image);
+            const link = safeUrl(product.link);
+            const details = [product.price, product.rating != null && `★ ${product.rating}`, product.source]
+                .filter(Boolean)
+                .map(escapeHtml)
+                .join(' · ');
+            return `<div class="card">
+                ${image ? `<img src="${image}" alt="Try-on: ${escapeHtml(product.title)}">` : ''}
+                <div>${link ? `<a href="${link}">${escapeHtml(product.title)}</a>` : escapeHtml(product.title)}</div>
+                ${details ? `<div class="details">${details}</div>` : ''}
+            </div>`;
+        }).join('');
+        return `<div class="message">
+            <div class="role">${escapeHtml(ROLE_NAMES[msg.role] || msg.role)}</div>
+            <div class="content">${escapeHtml(msg.content.trim())}</div>
+            ${cards ? `<div class="products">${cards}</div>` : ''}
+        </div>`;
+    }).join('');
+
+    const title = escapeHtml(getChatName(chat));
+    return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>${title}</h1>
+<div class="meta">Exported ${escapeHtml(formatDate(new Date()))}</div>
+${messages}
+${autoPrint ? '<script>window.addEventListener("load", () => window.print());</script>' : ''}
+</body>
+</html>`;
+};
+
+const fileName = (chat, extension) => {
+    const slug = getChatName(chat).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'chat';
+    return `aura-${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+};
+
+/**
+ * Download a chat transcript
+ * @param {Object} chat - Chat with messages
+ * @param {string} format - Key of EXPORT_FORMATS
+ */
+export const downloadChat = (chat, format) => {
+    const { extension, type } = EXPORT_FORMATS[format];
+    const builders = { markdown: buildChatMarkdown, json: buildChatJson, html: buildChatHtml };
+    const url = URL.createObjectURL(new Blob([builders[format](chat)], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName(chat, extension);
+    link.click();
+    // Give the browser a moment to start the download before freeing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Open the printable transcript in a new tab with the print dialog (Save as PDF)
+ * @param {Object} chat - Chat with messages
+ * @returns {boolean} false when the tab was blocked (the HTML is downloaded instead)
+ */
+export const printChat = (chat) => {
+    const url = URL.createObjectURL(new Blob([buildChatHtml(chat, { autoPrint: true })], { type: 'text/html' }));
+    const printWindow = window.open(url, '_blank');
+    // The new tab loads the blob asynchronously, so it can't be revoked right away
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    if (!printWindow) {
+        downloadChat(chat, 'html');
+        return false;
+    }
+    return true;
+};
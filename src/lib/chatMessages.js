@@ -0,0 +1,134 @@
+/**
+ * Helpers for the chat message shape shared by /chat, /chat/stream and getChats
+ */
+
+/**
+ * Products to display for a message: ranked_products (prioritized),
+ * then products, then styled_products (fallback)
+ * @param {Object} msg - Chat message
+ * @returns {Array} Products (empty array when there are none)
+ */
+export const getMessageProducts = (msg) => {
+    const candidates = [msg?.ranked_products, msg?.products, msg?.styled_products];
+    return candidates.find((list) => Array.isArray(list) && list.length > 0) || [];
+};
+
+/**
+ * Attach merged try-on image URLs to the products they belong to.
+ * The backend sends merged_images either as a { product_id: url } map or as a
+ * list of { product_id | id, merged_image_url | url } entries.
+ * @param {Array} products - Products to update
+ * @param {Object|Array} mergedImages - merged_images payload
+ * @returns {Array} New product list (products without a match are unchanged)
+ */
+export const applyMergedImages = (products, mergedImages) => {
+    if (!Array.isArray(products) || !mergedImages) return products;
+
+    const byId = new Map();
+    if (Array.isArray(mergedImages)) {
+        mergedImages.forEach((entry) => {
+            const id = entry?.product_id ?? entry?.id;
+            const url = entry?.merged_image_url ?? entry?.url;
+            if (id != null && url) byId.set(String(id), url);
+        });
+    } else if (typeof mergedImages === 'object') {
+        Object.entries(mergedImages).forEach(([id, url]) => {
+            if (url) byId.set(String(id), url);
+        });
+    }
+
+    if (byId.size === 0) return products;
+
+    return products.map((product) => {
+        const url = product?.id != null ? byId.get(String(product.id)) : null;
+        return url && url !== product.merged_image_url ? { ...product, merged_image_url: url } : product;
+    });
+};
+
+/**
+ * Build an assistant message from a /chat response body
+ * @param {Object} response - { response, ranked_products?, styled_products?, merged_images? }
+ * @returns {Object} Assistant chat message
+ */
+export const buildAssistantMessage = (response) => {
+    const rankedProducts = applyMergedImages(response.ranked_products || null, response.merged_images);
+    const styledProducts = applyMergedImages(response.styled_products || null, response.merged_images);
+
+    return {
+        role: 'assistant',
+        content: response.response || '',
+        ranked_products: rankedProducts,
+        styled_products: styledProducts,
+        products: rankedProducts || styledProducts,
+        merged_images: response.merged_images || null,
+    };
+};
+
+/**
+ * Stable key of a message in a list: the server ID, or the client-side IDs
+ * of messages that aren't stored yet (position as a last resort)
+ * @param {Object} msg - Chat message
+ * @param {number} index - Position in the list
+ * @returns {string}
+ */
+export const getMessageKey = (msg, index) => {
+    if (msg.id != null) return String(msg.id);
+    return msg.client_id || msg.stream_id || String(index);
+};
+
+let clientIdCounter = 0;
+
+/**
+ * New user message as shown before the server has confirmed it.
+ * `client_id` travels with the request so the server copy can be matched up,
+ * `status` is pending → sent, or failed (with `error`) until it is retried.
+ * @param {string} content - Message text
+ * @returns {Object} Outgoing chat message
+ */
+export const createOutgoingMessage = (content) => ({
+    role: 'user',
+    content,
+    client_id: globalThis.crypto?.randomUUID?.() ?? `msg-${Date.now()}-${++clientIdCounter}`,
+    status: 'pending',
+});
+
+/**
+ * Merge the server copy of a chat's messages with the ones only this page has:
+ * outgoing messages the server doesn't list yet (and the replies streamed for
+ * them, linked through `reply_to`) stay at the end, everything else comes from
+ * the server. Servers that don't echo `client_id` are matched on content.
+ * @param {Array} serverMessages - Messages from getChats
+ * @param {Array} localMessages - Messages currently shown
+ * @returns {Array} Messages to show
+ */
+export const reconcileMessages = (serverMessages, localMessages) => {
+    const serverClientIds = new Set(serverMessages.map((msg) => msg.client_id).filter(Boolean));
+    // Server user messages without a client_id that no message shown so far accounts for
+    const unclaimed = new Map();
+    serverMessages.forEach((msg) => {
+        if (msg.role === 'user' && !msg.client_id) unclaimed.set(msg.content, (unclaimed.get(msg.content) || 0) + 1);
+    });
+    localMessages.forEach((msg) => {
+        if (msg.role === 'user' && !msg.client_id && unclaimed.get(msg.content) > 0) {
+            unclaimed.set(msg.content, unclaimed.get(msg.content) - 1);
+        }
+    });
+
+    const isOnServer = (msg) => {
+        if (serverClientIds.has(msg.client_id)) return true;
+        // A failed message was never stored, even if identical text was
+        if (msg.status === 'failed' || !(unclaimed.get(msg.content) > 0)) return false;
+        unclaimed.set(msg.content, unclaimed.get(msg.content) - 1);
+        return true;
+    };
+
+    const unsynced = new Set(localMessages
+        .filter((msg) => msg.role === 'user' && msg.client_id && !isOnServer(msg))
+        .map((msg) => msg.client_id));
+    if (unsynced.size === 0) return serverMessages;
+
+    return [
+        ...serverMessages,
+        ...localMessages.filter((msg) => unsynced.has(msg.client_id) || unsynced.has(msg.reply_to)),
+    ];
+};
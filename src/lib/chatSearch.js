@@ -0,0 +1,150 @@
+/**
+ * Client-side full-text search over chat history
+ *
+ * Every message `content` and every recommended product's `title`/`source`
+ * becomes a document in an inverted index (token → document ids). A query
+ * matches documents that contain every query word, the last word as a prefix
+ * so results update while typing. services/chatSearch.js keeps the indexed
+ * chats in IndexedDB so search also works offline.
+ */
+
+import { getMessageProducts } from './chatMessages';
+import { getChatId, getChatName } from './chatSessions';
+
+const SNIPPET_RADIUS = 60;
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Lowercased words without diacritics
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Index the messages and products of a list of chats
+ * @param {Array} chats - Chat sessions with messages (as returned by getChats)
+ * @returns {Object} Index for searchChats
+ */
+export const buildSearchIndex = (chats) => {
+    const documents = [];
+    const postings = new Map();
+
+    const addDocument = (doc, text) => {
+        const id = documents.length;
+        documents.push({ ...doc, text });
+        new Set(tokenize(text)).forEach((token) => {
+            if (!postings.has(token)) postings.set(token, []);
+            postings.get(token).push(id);
+        });
+    };
+
+    chats.forEach((chat) => {
+        const base = {
+            chatId: getChatId(chat),
+            chatName: getChatName(chat),
+            updatedAt: Date.parse(chat.updated_at || chat.created_at || '') || 0,
+        };
+        (chat.messages || []).forEach((msg, messageIndex) => {
+            if (msg.type === 'progress') return;
+            const position = { messageId: msg.id ?? null, messageIndex };
+            if (msg.content) {
+                addDocument({ ...base, ...position, kind: 'message', role: msg.role }, msg.content);
+            }
+            getMessageProducts(msg).forEach((product) => {
+                const text = [product.title, product.source].filter(Boolean).join(' · ');
+                if (text) addDocument({ ...base, ...position, kind: 'product', product }, text);
+            });
+        });
+    });
+
+    return { documents, postings };
+};
+
+// Ids of documents containing a word starting with `prefix` (exact matches score higher)
+const matchPrefix = (postings, prefix, exactOnly) => {
+    const scores = new Map();
+    postings.forEach((ids, token) => {
+        if (token === prefix || (!exactOnly && token.startsWith(prefix))) {
+            const score = token === prefix ? 2 : 1;
+            ids.forEach((id) => scores.set(id, Math.max(scores.get(id) || 0, score)));
+        }
+    });
+    return scores;
+};
+
+const buildSnippet = (text, terms) => {
+    if (text.length <= SNIPPET_RADIUS * 2) return text;
+    const lower = text.toLowerCase();
+    const positions = terms.map((term) => lower.indexOf(term)).filter((index) => index !== -1);
+    const start = Math.max(0, (positions.length > 0 ? Math.min(...positions) : 0) - SNIPPET_RADIUS);
+    const end = Math.min(text.length, start + SNIPPET_RADIUS * 2);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Search the index
+ * @param {Object} index - From buildSearchIndex
+ * @param {string} query - User input
+ * @param {Object} [options] - { limit }
+ * @returns {Array} Results, best first: { chatId, chatName, messageId, messageIndex, kind, role?, product?, snippet, terms }
+ */
+export const searchChats = (index, query, { limit = DEFAULT_LIMIT } = {}) => {
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    let scores = null;
+    terms.forEach((term, i) => {
+        // Only the word being typed matches as a prefix
+        const matches = matchPrefix(index.postings, term, i < terms.length - 1);
+        if (scores === null) {
+            scores = matches;
+            return;
+        }
+        const combined = new Map();
+        scores.forEach((score, id) => {
+            if (matches.has(id)) combined.set(id, score + matches.get(id));
+        });
+        scores = combined;
+    });
+
+    return [...scores.entries()]
+        .map(([id, score]) => ({ doc: index.documents[id], score }))
+        .sort((a, b) => (
+            b.score - a.score
+            || b.doc.updatedAt - a.doc.updatedAt
+            || b.doc.messageIndex - a.doc.messageIndex
+        ))
+        .slice(0, limit)
+        .map(({ doc }) => {
+            const { text, updatedAt: _updatedAt, ...result } = doc;
+            return { ...result, snippet: buildSnippet(text, terms), terms };
+        });
+};
+
+/**
+ * Split text into plain and matching parts for highlighting
+ * @param {string} text - Text to display
+ * @param {string[]} terms - Search terms (from a search result)
+ * @returns {Array} [{ text, match }]
+ */
+export const highlightMatches = (text, terms) => {
+    if (!terms?.length) return [{ text, match: false }];
+    const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    // Terms match at word starts, like the index does
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${escaped.join('|')})`, 'giu');
+    const parts = [];
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        if (match.index > last) parts.push({ text: text.slice(last, match.index), match: false });
+        parts.push({ text: match[0], match: true });
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) parts.push({ text: text.slice(last), match: false });
+    return parts;
+};
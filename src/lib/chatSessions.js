@@ -0,0 +1,72 @@
+/**
+ * Helpers for chat sessions as returned by getChats/createChat
+ */
+
+// Name of a chat until its first message gives it a title
+export const DEFAULT_CHAT_NAME = 'New chat';
+
+const MAX_TITLE_LENGTH = 40;
+
+/**
+ * ID of a chat session (the backend has used several field names)
+ * @param {Object} chat - Chat session
+ * @returns {string|undefined}
+ */
+export const getChatId = (chat) => chat?.chat_room_id || chat?.id || chat?.chat_id;
+
+/**
+ * URL of a chat session
+ * @param {Object} chat - Chat session
+ * @param {string|number} [message] - Message to scroll to (e.g. a search hit): its ID, or its index
+ * @returns {string}
+ */
+export const getChatPath = (chat, message) => (
+    `/chat/${encodeURIComponent(getChatId(chat))}${message === undefined ? '' : `?message=${encodeURIComponent(message)}`}`
+);
+
+/**
+ * Display name of a chat session
+ * @param {Object} chat - Chat session
+ * @returns {string}
+ */
+export const getChatName = (chat) => chat?.session_name || chat?.name || DEFAULT_CHAT_NAME;
+
+/**
+ * Title for a chat from its first message: one line, sentence case, cut at a word boundary
+ * @param {string} message - First user message
+ * @returns {string}
+ */
+export const buildChatTitle = (message) => {
+    const text = message.replace(/\s+/g, ' ').trim().replace(/[.!?,;:]+$/, '');
+    if (!text) return DEFAULT_CHAT_NAME;
+    const title = text.length > MAX_TITLE_LENGTH
+        ? `${text.slice(0, MAX_TITLE_LENGTH).replace(/\s+\S*$/, '')}…`
+        : text;
+    return title.charAt(0).toUpperCase() + title.slice(1);
+};
+
+/**
+ * Whether a chat still has a generated name and should be titled after its first message
+ * @param {Object} chat - Chat session (before the message is added)
+ * @returns {boolean}
+ */
+export const needsAutoTitle = (chat) => {
+    // The chat list only carries a count, a chat loaded with its messages has those
+    if (!chat || (chat.message_count ?? chat.messages?.length ?? 0) > 0) return false;
+    const name = chat.session_name || chat.name;
+    // "Chat 3" is what older versions of the app named new chats
+    return !name || name === DEFAULT_CHAT_NAME || /^Chat \d+$/.test(name);
+};
+
+/**
+ * Active chats with pinned ones first, and archived chats, each keeping the backend's order
+ * @param {Array} chats - Chat sessions
+ * @returns {Object} { active, archived }
+ */
+export const groupChats = (chats) => {
+    const active = chats.filter((chat) => !chat.archived);
+    return {
+        active: [...active.filter((chat) => chat.pinned), ...active.filter((chat) => !chat.pinned)],
+        archived: chats.filter((chat) => chat.archived),
+    };
+};
@@ -0,0 +1,206 @@
+/**
+ * Runtime configuration
+ *
+ * Resolves backend settings from Vite environment variables on top of a named
+ * backend profile (local / staging / prod). The `mock` profile routes every API
+ * call to the in-browser mock backend in src/mocks instead of the network.
+ *
+ * Environment variables (all optional unless the active profile lacks a default):
+ *   VITE_API_PROFILE          Default profile name (local | staging | prod | mock). Default: prod
+ *   VITE_API_BASE_URL         REST base URL, overrides the profile value
+ *   VITE_WS_URL               WebSocket base URL, overrides the profile value
+ *   VITE_S3_BUCKET            S3 bucket holding user images, overrides the profile value
+ *   VITE_STAGING_API_BASE_URL Staging REST base URL (staging profile has no built-in default)
+ *   VITE_STAGING_WS_URL       Staging WebSocket base URL
+ *   VITE_AUTH_MODE            token (default) | dev. `dev` enables the legacy username-only login
+ *   VITE_ELEVENLABS_API_KEY   ElevenLabs API key (text-to-speech is disabled without it)
+ *   VITE_ELEVENLABS_VOICE_ID  ElevenLabs voice ID
+ *   VITE_ELEVENLABS_MODEL_ID  ElevenLabs TTS model ID
+ *   VITE_IMAGE_MAX_DIMENSION  Longest side of uploaded photos in px. Default: 2048
+ *   VITE_IMAGE_FORMAT         Upload encoding: image/webp (default) | image/jpeg
+ *   VITE_IMAGE_QUALITY        Encoder quality between 0 and 1. Default: 0.85
+ *
+ * Debug switch: the profile can be changed at runtime without a rebuild by
+ * opening the app with `?apiProfile=<name>` (persisted to localStorage, unknown
+ * names are ignored) or by calling setApiProfile(name). `?apiProfile=default`
+ * clears the override.
+ */
+
+const env = import.meta.env;
+
+const PROFILE_STORAGE_KEY = 'aura:apiProfile';
+
+export const API_PROFILES = {
+    local: {
+        apiBaseUrl: 'http://localhost:8000',
+        wsUrl: 'ws://localhost:8000',
+        imageBucket: 'aura-ai-users',
+    },
+    staging: {
+        apiBaseUrl: env.VITE_STAGING_API_BASE_URL || '',
+        wsUrl: env.VITE_STAGING_WS_URL || '',
+        imageBucket: 'aura-ai-users',
+    },
+    // In-browser mock backend (src/mocks), no network needed
+    mock: {
+        apiBaseUrl: 'http://aura-mock.local',
+        wsUrl: 'ws://aura-mock.local',
+        imageBucket: 'aura-ai-users',
+        mock: true,
+    },
+    prod: {
+        apiBaseUrl: 'https://aura-ai-997596012968.us-central1.run.app',
+        wsUrl: 'wss://aura-ai-997596012968.us-central1.run.app',
+        imageBucket: 'aura-ai-users',
+    },
+};
+
+const DEFAULT_PROFILE = env.VITE_API_PROFILE || 'prod';
+
+// Settings without which the app cannot talk to the backend
+const REQUIRED_KEYS = ['apiBaseUrl', 'wsUrl', 'imageBucket'];
+
+/**
+ * Error thrown when the resolved configuration is unusable
+ */
+export class ConfigError extends Error {
+    constructor(message, { profile, missing = [] } = {}) {
+        super(message);
+        this.name = 'ConfigError';
+        this.profile = profile;
+        this.missing = missing;
+    }
+}
+
+const readStoredProfile = () => {
+    try {
+        return localStorage.getItem(PROFILE_STORAGE_KEY);
+    } catch {
+        return null;
+    }
+};
+
+// Apply a `?apiProfile=` override from the URL once, on module load
+const applyQueryOverride = () => {
+    if (typeof window === 'undefined') return;
+    const requested = new URLSearchParams(window.location.search).get('apiProfile');
+    if (!requested) return;
+    // A typo must not leave the app stuck on the config error screen
+    if (requested !== 'default' && !API_PROFILES[requested]) {
+        console.warn(`⚠️ Ignoring unknown API profile "${requested}". Available: ${Object.keys(API_PROFILES).join(', ')}, default`);
+        return;
+    }
+    try {
+        if (requested === 'default') {
+            localStorage.removeItem(PROFILE_STORAGE_KEY);
+        } else {
+            localStorage.setItem(PROFILE_STORAGE_KEY, requested);
+        }
+    } catch (e) {
+        console.warn('Failed to persist API profile override:', e);
+    }
+};
+
+applyQueryOverride();
+
+let cachedConfig = null;
+
+/**
+ * Get the name of the active backend profile
+ * @returns {string} Profile name
+ */
+export const getApiProfile = () => readStoredProfile() || DEFAULT_PROFILE;
+
+/**
+ * Switch the backend profile at runtime (debug setting)
+ * @param {string|null} name - Profile name, or null to return to the build default
+ */
+export const setApiProfile = (name) => {
+    if (name && !API_PROFILES[name]) {
+        throw new ConfigError(`Unknown API profile "${name}". Available: ${Object.keys(API_PROFILES).join(', ')}`, { profile: name });
+    }
+    if (name) {
+        localStorage.setItem(PROFILE_STORAGE_KEY, name);
+    } else {
+        localStorage.removeItem(PROFILE_STORAGE_KEY);
+    }
+    cachedConfig = null;
+};
+
+const resolveConfig = () => {
+    const profile = getApiProfile();
+    const base = API_PROFILES[profile] || {};
+    const isOverridden = profile !== DEFAULT_PROFILE;
+
+    // Explicit URL env vars describe the build's default backend, so they do not
+    // leak into a profile that was switched to at runtime
+    return {
+        profile,
+        apiBaseUrl: ((!isOverridden && env.VITE_API_BASE_URL) || base.apiBaseUrl || '').replace(/\/+$/, ''),
+        wsUrl: ((!isOverridden && env.VITE_WS_URL) || base.wsUrl || '').replace(/\/+$/, ''),
+        imageBucket: (!isOverridden && env.VITE_S3_BUCKET) || base.imageBucket || '',
+        authMode: env.VITE_AUTH_MODE === 'dev' ? 'dev' : 'token',
+        mock: Boolean(base.mock),
+        elevenLabs: {
+            apiKey: env.VITE_ELEVENLABS_API_KEY || '',
+            voiceId: env.VITE_ELEVENLABS_VOICE_ID || '21m00Tcm4TlvDq8ikWAM',
+            modelId: env.VITE_ELEVENLABS_MODEL_ID || 'eleven_multilingual_v2',
+        },
+        imageUpload: {
+            maxDimension: Number(env.VITE_IMAGE_MAX_DIMENSION) || 2048,
+            format: env.VITE_IMAGE_FORMAT === 'image/jpeg' ? 'image/jpeg' : 'image/webp',
+            quality: Number(env.VITE_IMAGE_QUALITY) || 0.85,
+        },
+    };
+};
+
+/**
+ * Get the resolved configuration for the active profile
+ * @returns {Object} { profile, apiBaseUrl, wsUrl, imageBucket, authMode, mock, elevenLabs: { apiKey, voiceId, modelId },
+ *   imageUpload: { maxDimension, format, quality } }
+ */
+export const getConfig = () => {
+    if (!cachedConfig) {
+        cachedConfig = resolveConfig();
+    }
+    return cachedConfig;
+};
+
+/**
+ * Validate the active configuration. Called once at startup.
+ * @returns {Object} The resolved configuration
+ * @throws {ConfigError} When the profile is unknown or required values are missing
+ */
+export const validateConfig = () => {
+    const config = getConfig();
+
+    if (!API_PROFILES[config.profile]) {
+        throw new ConfigError(
+            `Unknown API profile "${config.profile}". Set VITE_API_PROFILE to one of: ${Object.keys(API_PROFILES).join(', ')}`,
+            { profile: config.profile }
+        );
+    }
+
+    const missing = REQUIRED_KEYS.filter((key) => !config[key]);
+    if (missing.length > 0) {
+        throw new ConfigError(
+            `Missing required configuration for the "${config.profile}" profile: ${missing.join(', ')}. ` +
+            'Set the matching VITE_* variables in your .env file (see .env.example).',
+            { profile: config.profile, missing }
+        );
+    }
+
+    for (const key of ['apiBaseUrl', 'wsUrl']) {
+        try {
+            new URL(config[key]);
+        } catch {
+            throw new ConfigError(`Invalid URL for ${key} in the "${config.profile}" profile: ${config[key]}`, { profile: config.profile });
+        }
+    }
+
+    if (!config.elevenLabs.apiKey) {
+        console.warn('⚠️ VITE_ELEVENLABS_API_KEY is not set. Please set it in your .env file or Amplify environment variables.');
+    }
+
+    return config;
+};
@@ -0,0 +1,73 @@
+/**
+ * Tiny promise wrapper around IndexedDB key-value stores.
+ * Each database is opened once and cached; stores are created on first open.
+ */
+
+const connections = new Map();
+
+const promisify = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+/**
+ * Open (or create) a database with the given object stores
+ * @param {string} name - Database name
+ * @param {string[]} storeNames - Object stores to create (out-of-line keys)
+ * @param {number} [version=1] - Bump when adding stores
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = (name, storeNames, version = 1) => {
+    if (!connections.has(name)) {
+        const pending = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const req = indexedDB.open(name, version);
+            req.onupgradeneeded = () => {
+                storeNames.forEach((store) => {
+                    if (!req.result.objectStoreNames.contains(store)) {
+                        req.result.createObjectStore(store);
+                    }
+                });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        // Allow a later retry if opening failed
+        pending.catch(() => connections.delete(name));
+        connections.set(name, pending);
+    }
+    return connections.get(name);
+};
+
+const withStore = async (db, storeName, mode, fn) => {
+    const database = await db;
+    const tx = database.transaction(storeName, mode);
+    // Writes only count once the transaction has committed
+    const committed = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    committed.catch(() => {});
+    const result = await promisify(fn(tx.objectStore(storeName)));
+    await committed;
+    return result;
+};
+
+/**
+ * Create a key-value accessor for one object store
+ * @param {Promise<IDBDatabase>} db - Result of openDatabase
+ * @param {string} storeName - Object store name
+ * @returns {Object} { get, set, delete, keys, values, clear }
+ */
+export const createStore = (db, storeName) => ({
+    get: (key) => withStore(db, storeName, 'readonly', (store) => store.get(key)),
+    set: (key, value) => withStore(db, storeName, 'readwrite', (store) => store.put(value, key)),
+    delete: (key) => withStore(db, storeName, 'readwrite', (store) => store.delete(key)),
+    keys: () => withStore(db, storeName, 'readonly', (store) => store.getAllKeys()),
+    values: () => withStore(db, storeName, 'readonly', (store) => store.getAll()),
+    clear: () => withStore(db, storeName, 'readwrite', (store) => store.clear()),
+});
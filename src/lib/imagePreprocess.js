@@ -0,0 +1,96 @@
+/**
+ * Photo preprocessing before upload
+ *
+ * Every photo is decoded and redrawn on a canvas before it is uploaded:
+ *   - EXIF orientation is applied to the pixels (createImageBitmap 'from-image')
+ *   - the longest side is downscaled to what the try-on pipeline uses
+ *   - re-encoding to WebP/JPEG drops all metadata, including GPS position
+ * Limits and encoding come from getConfig().imageUpload.
+ */
+
+import { getConfig } from './config';
+
+const EXTENSIONS = { 'image/webp': 'webp', 'image/jpeg': 'jpg' };
+
+/**
+ * Canvas of the given size, offscreen where supported
+ * @param {number} width
+ * @param {number} height
+ * @returns {OffscreenCanvas|HTMLCanvasElement}
+ */
+export const createCanvas = (width, height) => {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+/**
+ * Encode a canvas to an image blob
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas
+ * @param {string} type - MIME type
+ * @param {number} quality - Between 0 and 1
+ * @returns {Promise<Blob>}
+ */
+export const encodeCanvas = (canvas, type, quality) => {
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type, quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to encode image'))), type, quality);
+    });
+};
+
+const renameFile = (name, extension) => `${name.replace(/\.[^./]+$/, '') || 'photo'}.${extension}`;
+
+/**
+ * Orient, downscale and re-encode a photo, stripping its metadata
+ * @param {File} file - Image picked by the user
+ * @param {Object} [options] - Overrides for getConfig().imageUpload
+ * @param {number} [options.maxDimension] - Longest side of the output in px
+ * @param {string} [options.format] - 'image/webp' or 'image/jpeg'
+ * @param {number} [options.quality] - Encoder quality between 0 and 1
+ * @returns {Promise<File>} The processed file
+ * @throws {Error} When the browser cannot decode the image (e.g. HEIC)
+ */
+export const preprocessImage = async (file, options = {}) => {
+    const { maxDimension, format, quality } = { ...getConfig().imageUpload, ...options };
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (error) {
+        throw new Error('This image could not be read. Please upload a JPEG, PNG or WebP photo.', { cause: error });
+    }
+
+    try {
+        const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+        const width = Math.round(bitmap.width * scale);
+        const height = Math.round(bitmap.height * scale);
+
+        const canvas = createCanvas(width, height);
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(bitmap, 0, 0, width, height);
+
+        let blob = await encodeCanvas(canvas, format, quality);
+        // Browsers without a WebP encoder silently hand back a PNG
+        if (blob.type !== format) {
+            blob = await encodeCanvas(canvas, 'image/jpeg', quality);
+        }
+
+        console.log(`🖼️ Preprocessed ${file.name}: ${bitmap.width}x${bitmap.height} → ${width}x${height}, ` +
+            `${Math.round(file.size / 1024)}KB → ${Math.round(blob.size / 1024)}KB`);
+
+        // Keep lastModified so a retried upload of the same photo can resume
+        return new File([blob], renameFile(file.name, EXTENSIONS[blob.type] || 'jpg'), {
+            type: blob.type,
+            lastModified: file.lastModified,
+        });
+    } finally {
+        bitmap.close();
+    }
+};
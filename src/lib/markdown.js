@@ -0,0 +1,412 @@
+/**
+ * Markdown for assistant messages
+ *
+ * Parses the subset of (GitHub-flavoured) Markdown the stylist writes into a
+ * plain tree that components/MarkdownContent.jsx turns into React elements:
+ *   blocks:  paragraph, heading, list, table, code, blockquote, hr
+ *   inlines: text, strong, em, del, code, link, product, br
+ * Nothing is ever passed through as HTML: tags are just text, links keep only
+ * URLs with an allowed scheme, and images are shown as their alt text. Product
+ * titles mentioned in the text become `product` nodes pointing at the
+ * message's product card.
+ */
+
+const ALLOWED_SCHEMES = ['http:', 'https:', 'mailto:'];
+// Shorter titles ("Tee") would match ordinary words
+const MIN_PRODUCT_TITLE_LENGTH = 4;
+// Nested lists and quotes deeper than this are rendered flat
+const MAX_DEPTH = 8;
+
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const FENCE = /^ {0,3}(```|~~~)/;
+const QUOTE = /^ {0,3}>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * A link target that is safe to open, or null
+ * @param {string} url - URL as written in the message
+ * @returns {string|null}
+ */
+export const safeHref = (url) => {
+    // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+    const cleaned = String(url || '').replace(/[\s\p{Cc}]/gu, '');
+    try {
+        const parsed = new URL(cleaned);
+        return ALLOWED_SCHEMES.includes(parsed.protocol) ? parsed.href : null;
+    } catch {
+        return null;
+    }
+};
+
+const text = (value) => ({ type: 'text', value });
+
+// Index of the closing delimiter of an emphasis run starting at `from`, or -1
+const findClosing = (source, delimiter, from) => {
+    let index = source.indexOf(delimiter, from);
+    while (index !== -1) {
+        // "** " doesn't close, and the content can't be empty
+        if (index > from && !/\s/.test(source[index - 1])) return index;
+        index = source.indexOf(delimiter, index + 1);
+    }
+    return -1;
+};
+
+// End of the `(url "title")` part of a link starting at `from` (the "("), or -1
+const findLinkEnd = (source, from) => {
+    let depth = 0;
+    for (let i = from; i < source.length; i++) {
+        if (source[i] === '\\') i++;
+        else if (source[i] === '(') depth++;
+        else if (source[i] === ')' && --depth === 0) return i;
+        else if (source[i] === '\n') return -1;
+    }
+    return -1;
+};
+
+// End of the `[text]` part of a link starting at `from` (the "["), or -1
+const findLabelEnd = (source, from) => {
+    let depth = 0;
+    for (let i = from; i < source.length; i++) {
+        if (source[i] === '\\') i++;
+        else if (source[i] === '[') depth++;
+        else if (source[i] === ']' && --depth === 0) return i;
+    }
+    return -1;
+};
+
+const BARE_URL = /^(?:https?:\/\/|www\.)[^\s<]*[^\s<.,:;"')\]!?*_~]/i;
+
+const parseInline = (source, depth = 0) => {
+    const nodes = [];
+    let buffer = '';
+    const flush = () => {
+        if (buffer) nodes.push(text(buffer));
+        buffer = '';
+    };
+    const push = (node) => {
+        flush();
+        nodes.push(node);
+    };
+    const inner = (value) => (depth < MAX_DEPTH ? parseInline(value, depth + 1) : [text(value)]);
+
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+
+        if (char === '\\' && /[!-/:-@[-`{-~]/.test(source[i + 1] || '')) {
+            buffer += source[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (char === '\n') {
+            // Chat replies use single line breaks on purpose, so keep them
+            push({ type: 'br' });
+            i += 1;
+            continue;
+        }
+
+        if (char === '`') {
+            const ticks = source.slice(i).match(/^`+/)[0];
+            const end = source.indexOf(ticks, i + ticks.length);
+            if (end !== -1) {
+                push({ type: 'code', value: source.slice(i + ticks.length, end).trim() });
+                i = end + ticks.length;
+                continue;
+            }
+            buffer += ticks;
+            i += ticks.length;
+            continue;
+        }
+
+        if (char === '[' || (char === '!' && source[i + 1] === '[')) {
+            const isImage = char === '!';
+            const labelStart = isImage ? i + 1 : i;
+            const labelEnd = findLabelEnd(source, labelStart);
+            if (labelEnd !== -1 && source[labelEnd + 1] === '(') {
+                const targetEnd = findLinkEnd(source, labelEnd + 1);
+                if (targetEnd !== -1) {
+                    const label = source.slice(labelStart + 1, labelEnd);
+                    // Drop an optional "title" after the URL
+                    const target = source.slice(labelEnd + 2, targetEnd).trim().replace(/\s+["'(].*$/, '').replace(/^<|>$/g, '');
+                    const href = safeHref(target);
+                    // Images aren't loaded (they could be anything): show the alt text instead
+                    const children = isImage ? [text(label)] : inner(label);
+                    if (href) {
+                        push({ type: 'link', href, children });
+                    } else {
+                        flush();
+                        nodes.push(...children);
+                    }
+                    i = targetEnd + 1;
+                    continue;
+                }
+            }
+        }
+
+        if (char === '<') {
+            const autolink = source.slice(i).match(/^<([a-z][a-z0-9+.-]*:[^\s<>]+)>/i);
+            if (autolink) {
+                const href = safeHref(autolink[1]);
+                if (href) push({ type: 'link', href, children: [text(autolink[1])] });
+                else buffer += autolink[1];
+                i += autolink[0].length;
+                continue;
+            }
+        }
+
+        // Bare URLs, only at the start of a word
+        if (/[hw]/i.test(char) && !/\w/.test(source[i - 1] || '')) {
+            const bare = source.slice(i).match(BARE_URL);
+            if (bare) {
+                const href = safeHref(/^www\./i.test(bare[0]) ? `https://${bare[0]}` : bare[0]);
+                if (href) {
+                    push({ type: 'link', href, children: [text(bare[0])] });
+                    i += bare[0].length;
+                    continue;
+                }
+            }
+        }
+
+        if (char === '*' || char === '_' || char === '~') {
+            const run = source.slice(i).match(/^(\*\*|__|~~|\*|_)/)?.[0];
+            // Underscores inside words (snake_case) aren't emphasis
+            const isIntraword = char === '_' && /\w/.test(source[i - 1] || '');
+            if (run && !isIntraword && !/\s/.test(source[i + run.length] || ' ')) {
+                const end = findClosing(source, run, i + run.length);
+                const closesWord = char !== '_' || !/\w/.test(source[end + run.length] || '');
+                if (end !== -1 && closesWord) {
+                    const type = run === '~~' ? 'del' : run.length === 2 ? 'strong' : 'em';
+                    push({ type, children: inner(source.slice(i + run.length, end)) });
+                    i = end + run.length;
+                    continue;
+                }
+            }
+        }
+
+        buffer += char;
+        i += 1;
+    }
+
+    flush();
+    return nodes;
+};
+
+const splitRow = (line) => {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    return row.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|'));
+};
+
+const columnAlign = (cell) => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    return left ? 'left' : null;
+};
+
+const isTableStart = (lines, i) => lines[i].includes('|') && TABLE_DELIMITER.test(lines[i + 1] || '') && lines[i + 1].includes('-');
+
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+// Starts something other than a paragraph (and so ends one)
+const startsBlock = (lines, i) => (
+    HEADING.test(lines[i]) || RULE.test(lines[i]) || FENCE.test(lines[i])
+    || QUOTE.test(lines[i]) || LIST_ITEM.test(lines[i]) || isTableStart(lines, i)
+);
+
+const parseList = (lines, start, depth) => {
+    const first = lines[start].match(LIST_ITEM);
+    const baseIndent = indentOf(first[1]);
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let current = null;
+    // Column the current item's text starts at, which nested lines are indented to
+    let contentIndent = 0;
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const match = line.match(LIST_ITEM);
+        if (match && indentOf(match[1]) <= baseIndent + 1) {
+            // A bullet after numbers (or the other way round) starts a new list
+            if (/\d/.test(match[2]) !== ordered) break;
+            current = [match[3]];
+            items.push(current);
+            contentIndent = line.length - match[3].length;
+            i += 1;
+            continue;
+        }
+        if (!line.trim()) {
+            // A blank line ends the list unless the next line continues it
+            const next = lines[i + 1];
+            if (next === undefined || (indentOf(next) <= baseIndent && !LIST_ITEM.test(next))) break;
+            current.push('');
+            i += 1;
+            continue;
+        }
+        if (indentOf(line) > baseIndent) {
+            // Continuation or nested list: dedent relative to the item's text
+            current.push(line.replace(new RegExp(`^\\s{0,${contentIndent}}`), ''));
+            i += 1;
+            continue;
+        }
+        // Lazy continuation of the item's paragraph
+        if (startsBlock(lines, i)) break;
+        current.push(line.trim());
+        i += 1;
+    }
+
+    return {
+        node: {
+            type: 'list',
+            ordered,
+            start: ordered ? parseInt(first[2], 10) : null,
+            items: items.map((itemLines) => parseBlocks(itemLines, depth + 1)),
+        },
+        next: i,
+    };
+};
+
+const parseBlocks = (lines, depth = 0) => {
+    if (depth >= MAX_DEPTH) {
+        return [{ type: 'paragraph', children: [text(lines.join('\n').trim())] }];
+    }
+
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i += 1;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const body = [];
+            i += 1;
+            // An unclosed fence (e.g. while streaming) runs to the end
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+            blocks.push({ type: 'code', value: body.join('\n') });
+            i += 1;
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+            i += 1;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push({ type: 'hr' });
+            i += 1;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || !startsBlock(lines, i))) {
+                quoted.push(lines[i++].replace(QUOTE, ''));
+            }
+            blocks.push({ type: 'blockquote', children: parseBlocks(quoted, depth + 1) });
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const { node, next } = parseList(lines, i, depth);
+            blocks.push(node);
+            i = next;
+            continue;
+        }
+
+        if (isTableStart(lines, i)) {
+            const header = splitRow(line);
+            const align = splitRow(lines[i + 1]).map(columnAlign);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                const cells = splitRow(lines[i++]);
+                // Rows get exactly as many cells as the header
+                rows.push(header.map((_, column) => parseInline(cells[column] || '')));
+            }
+            blocks.push({ type: 'table', align, header: header.map((cell) => parseInline(cell)), rows });
+            continue;
+        }
+
+        const paragraph = [line.trim()];
+        i += 1;
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) paragraph.push(lines[i++].trim());
+        blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+    return blocks;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wrap product titles found in text nodes; links and code are left alone
+const linkProductsIn = (nodes, pattern, indexByTitle) => nodes.flatMap((node) => {
+    if (node.type === 'text') {
+        const parts = [];
+        let last = 0;
+        for (const match of node.value.matchAll(pattern)) {
+            const index = indexByTitle.get(match[0].toLowerCase());
+            if (index === undefined) continue;
+            if (match.index > last) parts.push(text(node.value.slice(last, match.index)));
+            parts.push({ type: 'product', index, children: [text(match[0])] });
+            last = match.index + match[0].length;
+        }
+        if (parts.length === 0) return [node];
+        if (last < node.value.length) parts.push(text(node.value.slice(last)));
+        return parts;
+    }
+    if (node.type === 'link' || node.type === 'code' || !node.children) return [node];
+    return [{ ...node, children: linkProductsIn(node.children, pattern, indexByTitle) }];
+});
+
+const linkProducts = (blocks, products) => {
+    const indexByTitle = new Map();
+    products.forEach((product, index) => {
+        const title = String(product?.title || '').trim().toLowerCase();
+        if (title.length >= MIN_PRODUCT_TITLE_LENGTH && !indexByTitle.has(title)) indexByTitle.set(title, index);
+    });
+    if (indexByTitle.size === 0) return blocks;
+
+    // Longest first, so "Blue Denim Jacket" wins over "Denim Jacket"
+    const titles = [...indexByTitle.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${titles.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+    const visit = (block) => {
+        if (block.type === 'list') return { ...block, items: block.items.map((item) => item.map(visit)) };
+        if (block.type === 'blockquote') return { ...block, children: block.children.map(visit) };
+        if (block.type === 'table') {
+            return {
+                ...block,
+                header: block.header.map((cell) => linkProductsIn(cell, pattern, indexByTitle)),
+                rows: block.rows.map((row) => row.map((cell) => linkProductsIn(cell, pattern, indexByTitle))),
+            };
+        }
+        if (block.children) return { ...block, children: linkProductsIn(block.children, pattern, indexByTitle) };
+        return block;
+    };
+    return blocks.map(visit);
+};
+
+/**
+ * Parse a message into blocks for MarkdownContent
+ * @param {string} source - Markdown text
+ * @param {Object} [options]
+ * @param {Array} [options.products] - The message's products; their titles in the text link to their cards
+ * @returns {Array} Block nodes (see the header of this file)
+ */
+export const parseMarkdown = (source, { products = [] } = {}) => {
+    const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+    return linkProducts(parseBlocks(lines), products);
+};
@@ -0,0 +1,146 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdown, safeHref } from './markdown.js';
+
+const text = (value) => ({ type: 'text', value });
+const paragraph = (...children) => ({ type: 'paragraph', children });
+const link = (href, label) => ({ type: 'link', href, children: [text(label)] });
+const list = (ordered, items, start = ordered ? 1 : null) => ({ type: 'list', ordered, start, items });
+
+describe('safeHref', () => {
+    const cases = [
+        ['https://example.com/a?b=1', 'https://example.com/a?b=1'],
+        ['http://example.com', 'http://example.com/'],
+        ['mailto:stylist@example.com', 'mailto:stylist@example.com'],
+        ['javascript:alert(1)', null],
+        ['JavaScript:alert(1)', null],
+        ['java\tscript:alert(1)', null],
+        [' \u0001javascript:alert(1)', null],
+        ['vbscript:msgbox(1)', null],
+        ['data:text/html,<script>alert(1)</script>', null],
+        ['//evil.example.com', null],
+        ['/relative/path', null],
+        ['relative/path', null],
+        ['#anchor', null],
+        ['', null],
+        [undefined, null],
+    ];
+    for (const [url, expected] of cases) {
+        test(`${JSON.stringify(url)} -> ${expected}`, () => {
+            assert.equal(safeHref(url), expected);
+        });
+    }
+});
+
+describe('links', () => {
+    const cases = [
+        ['[shop](https://example.com)', [paragraph(link('https://example.com/', 'shop'))]],
+        ['[x](javascript:alert(1))', [paragraph(text('x'))]],
+        ['[x](//evil.example.com)', [paragraph(text('x'))]],
+        ['[x](/relative)', [paragraph(text('x'))]],
+        ['<https://example.com>', [paragraph(link('https://example.com/', 'https://example.com'))]],
+        ['<javascript:alert(1)>', [paragraph(text('javascript:alert(1)'))]],
+        ['see www.example.com.', [paragraph(text('see '), link('https://www.example.com/', 'www.example.com'), text('.'))]],
+        // Images are never loaded, only linked under their alt text
+        ['![look](https://example.com/a.png)', [paragraph(link('https://example.com/a.png', 'look'))]],
+        ['![look](javascript:alert(1))', [paragraph(text('look'))]],
+    ];
+    for (const [source, expected] of cases) {
+        test(JSON.stringify(source), () => {
+            assert.deepEqual(parseMarkdown(source), expected);
+        });
+    }
+});
+
+describe('escaping', () => {
+    const cases = [
+        ['<b>hi</b> & <script>alert(1)</script>', [paragraph(text('<b>hi</b> & <script>alert(1)</script>'))]],
+        ['<img src=x onerror=alert(1)>', [paragraph(text('<img src=x onerror=alert(1)>'))]],
+        ['\\*not em\\* and \\[not a link\\](/page)', [paragraph(text('*not em* and [not a link](/page)'))]],
+        ['**b** *i* ~~d~~ `<c>`', [paragraph(
+            { type: 'strong', children: [text('b')] },
+            text(' '),
+            { type: 'em', children: [text('i')] },
+            text(' '),
+            { type: 'del', children: [text('d')] },
+            text(' '),
+            { type: 'code', value: '<c>' },
+        )]],
+    ];
+    for (const [source, expected] of cases) {
+        test(JSON.stringify(source), () => {
+            assert.deepEqual(parseMarkdown(source), expected);
+        });
+    }
+});
+
+describe('code fences', () => {
+    const cases = [
+        ['```js\nconst a = 1;\n<b>**x**</b>\n```', [{ type: 'code', value: 'const a = 1;\n<b>**x**</b>' }]],
+        ['~~~\nx\n~~~\nafter', [{ type: 'code', value: 'x' }, paragraph(text('after'))]],
+        // Still streaming: an unclosed fence runs to the end
+        ['```\nnever closed\n# not a heading', [{ type: 'code', value: 'never closed\n# not a heading' }]],
+    ];
+    for (const [source, expected] of cases) {
+        test(JSON.stringify(source), () => {
+            assert.deepEqual(parseMarkdown(source), expected);
+        });
+    }
+});
+
+describe('tables', () => {
+    const cases = [
+        ['| a | b | c |\n|:--|:-:|--:|\n| 1 | 2 \\| 3 | 4 |', [{
+            type: 'table',
+            align: ['left', 'center', 'right'],
+            header: [[text('a')], [text('b')], [text('c')]],
+            rows: [[[text('1')], [text('2 | 3')], [text('4')]]],
+        }]],
+        ['a | b\n--|--\n1 | 2', [{
+            type: 'table',
+            align: [null, null],
+            header: [[text('a')], [text('b')]],
+            rows: [[[text('1')], [text('2')]]],
+        }]],
+        // Rows are cut or padded to the header's width
+        ['| a | b |\n|---|---|\n| 1 | 2 | 3 |\n| 4 |', [{
+            type: 'table',
+            align: [null, null],
+            header: [[text('a')], [text('b')]],
+            rows: [[[text('1')], [text('2')]], [[text('4')], []]],
+        }]],
+        ['| not | a table |', [paragraph(text('| not | a table |'))]],
+    ];
+    for (const [source, expected] of cases) {
+        test(JSON.stringify(source), () => {
+            assert.deepEqual(parseMarkdown(source), expected);
+        });
+    }
+});
+
+describe('lists', () => {
+    const cases = [
+        ['- a\n  - b\n    - c\n- d', [list(false, [
+            [paragraph(text('a')), list(false, [
+                [paragraph(text('b')), list(false, [[paragraph(text('c'))]])],
+            ])],
+            [paragraph(text('d'))],
+        ])]],
+        ['1. one\n2. two\n   - nested\n3. three', [list(true, [
+            [paragraph(text('one'))],
+            [paragraph(text('two')), list(false, [[paragraph(text('nested'))]])],
+            [paragraph(text('three'))],
+        ])]],
+        ['3. x\n4. y', [list(true, [[paragraph(text('x'))], [paragraph(text('y'))]], 3)]],
+        ['- a\n\n  more\n- b', [list(false, [
+            [paragraph(text('a')), paragraph(text('more'))],
+            [paragraph(text('b'))],
+        ])]],
+        ['- a\n1. b', [list(false, [[paragraph(text('a'))]]), list(true, [[paragraph(text('b'))]])]],
+    ];
+    for (const [source, expected] of cases) {
+        test(JSON.stringify(source), () => {
+            assert.deepEqual(parseMarkdown(source), expected);
+        });
+    }
+});
@@ -0,0 +1,127 @@
+/**
+ * Crop/rotate/straighten geometry for the photo editor
+ *
+ * An edit is { quarterTurns, straighten, zoom, offsetX, offsetY }:
+ *   - quarterTurns: 90° rotations (0-3)
+ *   - straighten: fine rotation in degrees
+ *   - zoom: 1 = the image just covers the frame
+ *   - offsetX/offsetY: pan as a fraction of the frame size
+ * The same drawing code renders the on-screen preview and the exported file,
+ * so what the user frames is exactly what gets uploaded.
+ */
+
+import { createCanvas, encodeCanvas } from './imagePreprocess';
+
+// Guide positions are fractions of the frame height, where try-on works best
+export const FRAME_PRESETS = {
+    full: {
+        label: 'Full body',
+        aspect: 2 / 3,
+        guides: [{ at: 0.05, label: 'Top of head' }, { at: 0.95, label: 'Feet' }],
+    },
+    upper: {
+        label: 'Upper body',
+        aspect: 4 / 5,
+        guides: [{ at: 0.08, label: 'Top of head' }, { at: 0.92, label: 'Waist' }],
+    },
+    original: {
+        label: 'Original',
+        aspect: null,
+        guides: [],
+    },
+};
+
+export const DEFAULT_EDIT = { quarterTurns: 0, straighten: 0, zoom: 1, offsetX: 0, offsetY: 0 };
+
+export const MAX_STRAIGHTEN_DEGREES = 15;
+export const MAX_ZOOM = 4;
+
+const rotatedSize = (image, quarterTurns) => (
+    quarterTurns % 2 === 1
+        ? { width: image.height, height: image.width }
+        : { width: image.width, height: image.height }
+);
+
+/**
+ * Width/height ratio of the crop frame
+ * @param {Object} preset - Entry of FRAME_PRESETS
+ * @param {ImageBitmap} image - Source image
+ * @param {number} quarterTurns - 90° rotations
+ * @returns {number}
+ */
+export const getFrameAspect = (preset, image, quarterTurns) => {
+    if (preset.aspect) return preset.aspect;
+    const { width, height } = rotatedSize(image, quarterTurns);
+    return width / height;
+};
+
+// Smallest scale at which the rotated image still covers the whole frame (no empty corners)
+const coverScale = (imageWidth, imageHeight, frameWidth, frameHeight, angle) => {
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    return Math.max(
+        (frameWidth * cos + frameHeight * sin) / imageWidth,
+        (frameWidth * sin + frameHeight * cos) / imageHeight
+    );
+};
+
+/**
+ * Keep the pan within the area the zoomed image covers
+ * @param {Object} edit - Current edit
+ * @returns {Object} Edit with clamped offsets
+ */
+export const clampEdit = (edit) => {
+    const zoom = Math.min(Math.max(edit.zoom, 1), MAX_ZOOM);
+    // At zoom z the image covers z times the frame, so the frame can move (z - 1) / 2 each way
+    const maxOffset = (zoom - 1) / 2;
+    const clamp = (value) => Math.min(Math.max(value, -maxOffset), maxOffset);
+    return { ...edit, zoom, offsetX: clamp(edit.offsetX), offsetY: clamp(edit.offsetY) };
+};
+
+const getScale = (image, edit, frameWidth, frameHeight) => {
+    const { width, height } = rotatedSize(image, edit.quarterTurns);
+    const angle = (edit.straighten * Math.PI) / 180;
+    return coverScale(width, height, frameWidth, frameHeight, angle) * edit.zoom;
+};
+
+/**
+ * Draw the edited image into a frame
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {ImageBitmap} image - Source image
+ * @param {Object} edit - Current edit
+ * @param {number} frameWidth - Frame width in px
+ * @param {number} frameHeight - Frame height in px
+ */
+export const drawEdit = (context, image, edit, frameWidth, frameHeight) => {
+    const scale = getScale(image, edit, frameWidth, frameHeight);
+    context.save();
+    context.clearRect(0, 0, frameWidth, frameHeight);
+    context.imageSmoothingQuality = 'high';
+    context.translate(frameWidth / 2 + edit.offsetX * frameWidth, frameHeight / 2 + edit.offsetY * frameHeight);
+    context.rotate((edit.quarterTurns * Math.PI) / 2 + (edit.straighten * Math.PI) / 180);
+    context.scale(scale, scale);
+    context.drawImage(image, -image.width / 2, -image.height / 2);
+    context.restore();
+};
+
+/**
+ * Render the edit at full resolution (never upscaled) and encode it
+ * @param {ImageBitmap} image - Source image
+ * @param {Object} edit - Current edit
+ * @param {number} aspect - Frame width/height ratio
+ * @param {string} fileName - Original file name
+ * @returns {Promise<File>} JPEG of the framed photo
+ */
+export const exportEdit = async (image, edit, aspect, fileName) => {
+    // Source pixels covered by a frame of height 1 give the natural output size
+    const height = Math.max(1, Math.round(1 / getScale(image, edit, aspect, 1)));
+    const width = Math.max(1, Math.round(height * aspect));
+
+    const canvas = createCanvas(width, height);
+    drawEdit(canvas.getContext('2d'), image, edit, width, height);
+    // Near-lossless: the upload path re-encodes at the configured quality anyway
+    const blob = await encodeCanvas(canvas, 'image/jpeg', 0.95);
+
+    const baseName = (fileName || 'photo').replace(/\.[^./]+$/, '');
+    return new File([blob], `${baseName}-edited.jpg`, { type: 'image/jpeg', lastModified: Date.now() });
+};
@@ -0,0 +1,39 @@
+/**
+ * Route requirements
+ *
+ * Routes declare what they need in App.jsx (<RouteGuard requires={[...]}>):
+ *   - auth: a signed-in user
+ *   - photo: at least one try-on photo
+ *   - profile: sizes, region, gender and age group filled in
+ * An unmet requirement redirects to the page that fulfils it, carrying
+ * `returnTo` in the location state so the user can be sent back afterwards.
+ */
+
+// Profile fields the stylist needs for sized, regional product search
+export const REQUIRED_PROFILE_FIELDS = ['upper_body_size', 'lower_body_size', 'region', 'gender', 'age_group'];
+
+// Where signed-in users land when there is nowhere to return to
+export const DEFAULT_SIGNED_IN_PATH = '/dashboard';
+
+const hasPhoto = (user) => {
+    const photoUrls = user?.profile?.photo_urls;
+    return Array.isArray(photoUrls) ? photoUrls.length > 0 : Boolean(photoUrls);
+};
+
+const hasCompleteProfile = (user) => REQUIRED_PROFILE_FIELDS.every((field) => Boolean(user?.profile?.[field]));
+
+export const ROUTE_REQUIREMENTS = {
+    auth: { isMet: (user) => Boolean(user), redirectTo: '/login' },
+    photo: { isMet: hasPhoto, redirectTo: '/dashboard' },
+    profile: { isMet: hasCompleteProfile, redirectTo: '/dashboard' },
+};
+
+/**
+ * First requirement the user doesn't meet
+ * @param {Object|null} user - Signed-in user
+ * @param {string[]} requires - Keys of ROUTE_REQUIREMENTS, checked in order
+ * @returns {string|null} Requirement key, or null when all are met
+ */
+export const getUnmetRequirement = (user, requires = []) => (
+    requires.find((requirement) => !ROUTE_REQUIREMENTS[requirement].isMet(user)) || null
+);
@@ -0,0 +1,83 @@
+/**
+ * Minimal Server-Sent Events reader for fetch() responses.
+ * EventSource only supports GET, so POST endpoints that stream SSE are read
+ * through the response body's ReadableStream instead.
+ */
+
+/**
+ * Parse a single SSE event block into { event, data }
+ * @param {string} block - Raw lines of one event (without the trailing blank line)
+ * @returns {Object|null} Parsed event, or null for comment-only blocks
+ */
+const parseBlock = (block) => {
+    let event = 'message';
+    const dataLines = [];
+
+    for (const line of block.split('\n')) {
+        if (!line || line.startsWith(':')) continue;
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        // A single space after the colon is part of the syntax, not the value
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'event') {
+            event = value;
+        } else if (field === 'data') {
+            dataLines.push(value);
+        }
+    }
+
+    if (dataLines.length === 0) return null;
+
+    const raw = dataLines.join('\n');
+    let data = raw;
+    try {
+        data = JSON.parse(raw);
+    } catch {
+        // Plain-text payload (e.g. a bare token)
+    }
+    return { event, data };
+};
+
+/**
+ * Read an SSE response body and invoke the callback for every event
+ * @param {Response} response - fetch Response with a text/event-stream body
+ * @param {Function} onEvent - Called with { event: string, data: any }
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export const readEventStream = async (response, onEvent) => {
+    if (!response.body) {
+        throw new Error('Streaming is not supported by this browser');
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            // Normalise line endings; a trailing \r may be the first half of a \r\n split across chunks
+            buffer = (buffer + value).replace(/\r\n|\r(?!$)/g, '\n');
+            let boundary = buffer.indexOf('\n\n');
+            while (boundary !== -1) {
+                const parsed = parseBlock(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+                if (parsed) onEvent(parsed);
+                boundary = buffer.indexOf('\n\n');
+            }
+        }
+
+        // Flush a final event that was not followed by a blank line
+        const parsed = parseBlock(buffer.replace(/\r$/, '').trim());
+        if (parsed) onEvent(parsed);
+    } catch (error) {
+        // Stop the download when a handler rejects the stream
+        await reader.cancel().catch(() => {});
+        throw error;
+    } finally {
+        reader.releaseLock();
+    }
+};
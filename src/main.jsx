@@ -2,9 +2,25 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { validateConfig } from './lib/config'
+import { registerServiceWorker } from './services/serviceWorker'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+const root = createRoot(document.getElementById('root'))
+
+try {
+  validateConfig()
+  root.render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+  registerServiceWorker()
+} catch (error) {
+  console.error('Invalid configuration:', error)
+  root.render(
+    <div style={{ padding: 24, fontFamily: 'monospace', color: '#f87171' }}>
+      <h1>Configuration error</h1>
+      <p>{error.message}</p>
+    </div>,
+  )
+}
@@ -0,0 +1,96 @@
+/**
+ * Product catalog served by the mock backend
+ */
+
+import bagImage from './images/bag.svg';
+import dressImage from './images/dress.svg';
+import jacketImage from './images/jacket.svg';
+import jeansImage from './images/jeans.svg';
+import shirtImage from './images/shirt.svg';
+import sneakersImage from './images/sneakers.svg';
+import tryOnImage from './images/tryon.svg';
+
+export const TRY_ON_IMAGE = tryOnImage;
+
+export const PRODUCT_CATALOG = [
+    {
+        id: 'mock-prod-001',
+        title: 'Classic Blue Denim Jacket',
+        price: '$79.99',
+        rating: 4.6,
+        source: 'Levi\'s',
+        link: 'https://example.com/products/blue-denim-jacket',
+        image: jacketImage,
+        keywords: ['jacket', 'denim', 'blue', 'outerwear', 'casual'],
+    },
+    {
+        id: 'mock-prod-002',
+        title: 'Quilted Navy Bomber Jacket',
+        price: '$119.00',
+        rating: 4.3,
+        source: 'Zara',
+        link: 'https://example.com/products/navy-bomber-jacket',
+        image: jacketImage,
+        keywords: ['jacket', 'bomber', 'navy', 'blue', 'outerwear', 'winter'],
+    },
+    {
+        id: 'mock-prod-003',
+        title: 'Floral Wrap Midi Dress',
+        price: '$64.50',
+        rating: 4.7,
+        source: 'H&M',
+        link: 'https://example.com/products/floral-wrap-dress',
+        image: dressImage,
+        keywords: ['dress', 'floral', 'summer', 'party', 'wedding'],
+    },
+    {
+        id: 'mock-prod-004',
+        title: 'Satin Slip Evening Dress',
+        price: '$89.00',
+        rating: 4.4,
+        source: 'Mango',
+        link: 'https://example.com/products/satin-slip-dress',
+        image: dressImage,
+        keywords: ['dress', 'evening', 'party', 'formal', 'pink'],
+    },
+    {
+        id: 'mock-prod-005',
+        title: 'White Leather Low-Top Sneakers',
+        price: '$95.00',
+        rating: 4.8,
+        source: 'Nike',
+        link: 'https://example.com/products/white-leather-sneakers',
+        image: sneakersImage,
+        keywords: ['shoes', 'sneakers', 'white', 'casual', 'running'],
+    },
+    {
+        id: 'mock-prod-006',
+        title: 'Oxford Button-Down Shirt',
+        price: '$45.00',
+        rating: 4.5,
+        source: 'Uniqlo',
+        link: 'https://example.com/products/oxford-shirt',
+        image: shirtImage,
+        keywords: ['shirt', 'office', 'formal', 'work', 'cotton'],
+    },
+    {
+        id: 'mock-prod-007',
+        title: 'Slim Fit Stretch Jeans',
+        price: '$59.90',
+        rating: 4.2,
+        source: 'Gap',
+        link: 'https://example.com/products/slim-stretch-jeans',
+        image: jeansImage,
+        keywords: ['jeans', 'denim', 'pants', 'blue', 'casual'],
+    },
+    {
+        id: 'mock-prod-008',
+        title: 'Structured Leather Tote',
+        price: '$129.00',
+        rating: 4.6,
+        source: 'Coach',
+        link: 'https://example.com/products/leather-tote',
+        image: bagImage,
+        keywords: ['bag', 'tote', 'leather', 'office', 'accessories'],
+    },
+];
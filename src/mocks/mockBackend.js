@@ -0,0 +1,563 @@
+/**
+ * In-browser mock backend
+ *
+ * Enabled by the `mock` API profile (VITE_API_PROFILE=mock or ?apiProfile=mock).
+ * services/http.js hands every request for the mock base URL to mockFetch()
+ * instead of the network, so the whole Login → Dashboard → Chat flow runs offline.
+ *
+ * State (users, chats, uploaded photo blobs) is kept in memory and persisted to
+ * IndexedDB (`aura-mock` database), so it survives reloads. Uploaded photos are
+ * served as blob: URLs tagged with `#s3_key=...`; those URLs change on every
+ * reload, like expiring presigned URLs do. Call resetMockBackend() to start over.
+ *
+ * Tokens are stateless (`mock-access~<username>~<expiry>`), any password is accepted
+ * and magic links are printed to the console instead of being emailed.
+ */
+
+import { getConfig } from '../lib/config';
+import { createStore, openDatabase } from '../lib/idb';
+import { PRODUCT_CATALOG, TRY_ON_IMAGE } from './fixtures';
+
+const ACCESS_TOKEN_TTL_S = 15 * 60;
+const URL_TTL_S = 3600;
+const MULTIPART_PART_SIZE = 5 * 1024 * 1024;
+
+const persisted = createStore(openDatabase('aura-mock', ['state']), 'state');
+
+let state = null;
+let loading = null;
+const objectUrls = new Map();
+
+const emptyState = () => ({ users: {}, chats: {}, photos: {}, uploads: {} });
+
+const loadState = () => {
+    if (!loading) {
+        loading = persisted.get('snapshot')
+            .catch((error) => {
+                console.warn('Mock backend: could not read IndexedDB, starting empty', error);
+                return null;
+            })
+            .then((snapshot) => {
+                // Snapshots from before multipart support have no uploads
+                state = { ...emptyState(), ...snapshot };
+            });
+    }
+    return loading;
+};
+
+let persistWarned = false;
+
+const saveState = () => {
+    persisted.set('snapshot', state).catch((error) => {
+        if (persistWarned) return;
+        persistWarned = true;
+        console.warn('Mock backend: could not persist state, data will be lost on reload', error);
+    });
+};
+
+/**
+ * Wipe all mock data (users, chats and photos)
+ * @returns {Promise<void>}
+ */
+export const resetMockBackend = async () => {
+    objectUrls.forEach((url) => URL.revokeObjectURL(url));
+    objectUrls.clear();
+    state = emptyState();
+    await persisted.clear();
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const json = (status, body) => new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+});
+
+const fail = (status, detail) => json(status, { detail });
+
+let idCounter = 0;
+const newId = (prefix) => `${prefix}_${Date.now().toString(36)}${(++idCounter).toString(36)}`;
+
+const photoUrl = (s3Key) => {
+    const blob = state.photos[s3Key];
+    if (!blob) return `${TRY_ON_IMAGE}#s3_key=${encodeURIComponent(s3Key)}`;
+    if (!objectUrls.has(s3Key)) {
+        objectUrls.set(s3Key, URL.createObjectURL(blob));
+    }
+    return `${objectUrls.get(s3Key)}#s3_key=${encodeURIComponent(s3Key)}`;
+};
+
+const ensureUser = (username) => {
+    if (!state.users[username]) {
+        state.users[username] = {
+            user_id: `user_${username}`,
+            username,
+            created_at: new Date().toISOString(),
+            profile: { username, photo_keys: [], liked_items: [] },
+        };
+        saveState();
+    }
+    return state.users[username];
+};
+
+const findUserById = (userId) => Object.values(state.users).find((user) => user.user_id === userId);
+
+// Public user shape: photo keys become (fresh) URLs
+const serializeUser = (user) => {
+    const { photo_keys: photoKeys = [], ...profile } = user.profile;
+    return {
+        user_id: user.user_id,
+        username: user.username,
+        created_at: user.created_at,
+        profile: { ...profile, photo_urls: photoKeys.map(photoUrl) },
+    };
+};
+
+const issueTokens = (username) => ({
+    access_token: `mock-access~${encodeURIComponent(username)}~${Date.now() + ACCESS_TOKEN_TTL_S * 1000}`,
+    refresh_token: `mock-refresh~${encodeURIComponent(username)}`,
+    token_type: 'bearer',
+    expires_in: ACCESS_TOKEN_TTL_S,
+});
+
+const parseToken = (token, kind) => {
+    const [prefix, username, expiry] = (token || '').split('~');
+    if (prefix !== `mock-${kind}` || !username) return null;
+    if (expiry && Number(expiry) < Date.now()) return null;
+    return decodeURIComponent(username);
+};
+
+/**
+ * Resolve the calling user from the Authorization header.
+ * Dev auth mode has no tokens, so requests without a header are allowed there.
+ */
+const authenticate = (ctx) => {
+    const header = ctx.headers.get('Authorization');
+    if (!header) {
+        return getConfig().authMode === 'dev' ? { ok: true } : { ok: false };
+    }
+    const username = parseToken(header.replace(/^Bearer\s+/i, ''), 'access');
+    return username ? { ok: true, username } : { ok: false };
+};
+
+const chatsFor = (userId) => {
+    if (!state.chats[userId]) state.chats[userId] = [];
+    return state.chats[userId];
+};
+
+const findChat = (threadId) => Object.values(state.chats).flat().find((chat) => chat.id === threadId);
+
+// ---------------------------------------------------------------------------
+// Chat replies
+// ---------------------------------------------------------------------------
+
+const pickProducts = (message) => {
+    const words = message.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+    const scored = PRODUCT_CATALOG
+        .map((product) => ({
+            product,
+            score: product.keywords.filter((keyword) => words.includes(keyword)).length,
+        }))
+        .sort((a, b) => b.score - a.score || b.product.rating - a.product.rating);
+    const matches = scored.filter(({ score }) => score > 0);
+    return (matches.length > 0 ? matches : scored).slice(0, 3).map(({ product }) => {
+        const { keywords: _keywords, ...rest } = product;
+        return rest;
+    });
+};
+
+const buildReply = (message) => {
+    const products = pickProducts(message);
+    const lines = products.map((product, index) => (
+        `${index + 1}. **${product.title}** from ${product.source} (${product.price}, rated ${product.rating})`
+    ));
+    const response = [
+        `Here are my top picks for "${message.trim()}":`,
+        '',
+        ...lines,
+        '',
+        'I\'ve added a virtual try-on for each one so you can see how it looks on you.',
+    ].join('\n');
+
+    return {
+        response,
+        ranked_products: products,
+        merged_images: Object.fromEntries(products.map((product) => [product.id, TRY_ON_IMAGE])),
+    };
+};
+
+const recordExchange = (threadId, message, clientId, reply) => {
+    const chat = findChat(threadId);
+    if (!chat) return;
+    const rankedProducts = reply.ranked_products.map((product) => ({
+        ...product,
+        merged_image_url: reply.merged_images[product.id],
+    }));
+    chat.messages.push(
+        { id: newId('msg'), role: 'user', content: message.trim(), client_id: clientId },
+        {
+            id: newId('msg'),
+            role: 'assistant',
+            content: reply.response,
+            ranked_products: rankedProducts,
+            merged_images: reply.merged_images,
+        }
+    );
+    chat.updated_at = new Date().toISOString();
+    saveState();
+};
+
+const streamReply = (threadId, message, clientId, reply, signal) => {
+    const encoder = new TextEncoder();
+    const event = (name, data) => encoder.encode(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    return new ReadableStream({
+        async start(controller) {
+            try {
+                await delay(400, signal);
+                // Stream word by word, like model tokens
+                for (const token of reply.response.split(/(?<=\s)/)) {
+                    controller.enqueue(event('token', { delta: token }));
+                    await delay(25, signal);
+                }
+                await delay(300, signal);
+                controller.enqueue(event('ranked_products', reply.ranked_products));
+                await delay(600, signal);
+                controller.enqueue(event('merged_images', reply.merged_images));
+                recordExchange(threadId, message, clientId, reply);
+                controller.enqueue(event('done', { ...reply, thread_id: threadId }));
+                controller.close();
+            } catch (error) {
+                controller.error(error);
+            }
+        },
+    });
+};
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+
+const loginResponse = (username) => ({ ...issueTokens(username), user: serializeUser(ensureUser(username)) });
+
+const routes = [
+    ['POST', /^\/api\/login$/, ({ body }) => {
+        if (!body?.username) return fail(422, 'Username is required');
+        return json(200, serializeUser(ensureUser(body.username)));
+    }],
+
+    ['POST', /^\/api\/auth\/login$/, ({ body }) => {
+        if (!body?.username || !body?.password) return fail(422, 'Username and password are required');
+        return json(200, loginResponse(body.username));
+    }],
+
+    ['POST', /^\/api\/auth\/magic-link$/, ({ body }) => {
+        if (!body?.email) return fail(422, 'Email is required');
+        const username = body.email.split('@')[0];
+        const link = `${body.redirect_url}?token=${encodeURIComponent(`mock-magic~${encodeURIComponent(username)}`)}`;
+        console.info(`📧 Mock magic link for ${body.email}: ${link}`);
+        return json(202, { sent: true });
+    }],
+
+    ['POST', /^\/api\/auth\/magic-link\/verify$/, ({ body }) => {
+        const username = parseToken(body?.token, 'magic');
+        if (!username) return fail(401, 'Sign-in link is invalid or has expired');
+        return json(200, loginResponse(username));
+    }],
+
+    ['POST', /^\/api\/auth\/refresh$/, ({ body }) => {
+        const username = parseToken(body?.refresh_token, 'refresh');
+        if (!username) return fail(401, 'Invalid refresh token');
+        return json(200, issueTokens(username));
+    }],
+
+    ['POST', /^\/api\/auth\/logout$/, () => json(200, { revoked: true })],
+
+    ['GET', /^\/api\/auth\/me$/, ({ auth }) => {
+        if (!auth.username) return fail(401, 'Not authenticated');
+        return json(200, serializeUser(ensureUser(auth.username)));
+    }],
+
+    ['GET', /^\/api\/upload-url\/([^/]+)$/, ({ params: [username], query }) => {
+        const fileName = query.get('file_name') || 'photo.jpg';
+        const s3Key = `users/${username}/profile/${Date.now()}_${fileName}`;
+        return json(200, {
+            upload_url: `${getConfig().apiBaseUrl}/__mock-s3/${s3Key}`,
+            image_url: photoUrl(s3Key),
+            s3_key: s3Key,
+            expires_in: URL_TTL_S,
+        });
+    }],
+
+    ['PUT', /^\/__mock-s3\/(.+)$/, ({ params: [s3Key], query, rawBody }) => {
+        if (!(rawBody instanceof Blob)) return fail(400, 'Expected a file body');
+        const uploadId = query.get('uploadId');
+        if (uploadId) {
+            // One part of a multipart upload
+            const upload = state.uploads[uploadId];
+            if (!upload || upload.s3_key !== s3Key) return fail(404, 'No such upload');
+            const partNumber = query.get('partNumber');
+            upload.parts[partNumber] = rawBody;
+            saveState();
+            return new Response(null, { status: 200, headers: { ETag: `"${uploadId}-${partNumber}"` } });
+        }
+        state.photos[s3Key] = rawBody;
+        saveState();
+        return new Response(null, { status: 200 });
+    }],
+
+    ['POST', /^\/api\/upload-multipart\/([^/]+)$/, ({ params: [username], body }) => {
+        if (!body?.file_name) return fail(422, 'File name is required');
+        const uploadId = newId('upload');
+        const s3Key = `users/${username}/profile/${Date.now()}_${body.file_name}`;
+        state.uploads[uploadId] = { s3_key: s3Key, file_type: body.file_type, parts: {} };
+        saveState();
+        return json(200, { upload_id: uploadId, s3_key: s3Key, part_size: MULTIPART_PART_SIZE });
+    }],
+
+    ['POST', /^\/api\/upload-multipart\/([^/]+)\/part-urls$/, ({ body }) => {
+        if (!state.uploads[body?.upload_id]) return fail(404, 'No such upload');
+        return json(200, {
+            parts: (body.part_numbers || []).map((partNumber) => ({
+                part_number: partNumber,
+                upload_url: `${getConfig().apiBaseUrl}/__mock-s3/${body.s3_key}?uploadId=${body.upload_id}&partNumber=${partNumber}`,
+            })),
+        });
+    }],
+
+    ['POST', /^\/api\/upload-multipart\/([^/]+)\/complete$/, ({ body }) => {
+        const upload = state.uploads[body?.upload_id];
+        if (!upload) return fail(404, 'No such upload');
+        const missing = (body.parts || []).find(({ part_number: partNumber }) => !upload.parts[partNumber]);
+        if (missing) return fail(400, `Part ${missing.part_number} was not uploaded`);
+        state.photos[upload.s3_key] = new Blob(
+            body.parts.map(({ part_number: partNumber }) => upload.parts[partNumber]),
+            { type: upload.file_type }
+        );
+        delete state.uploads[body.upload_id];
+        saveState();
+        return json(200, { s3_key: upload.s3_key, image_url: photoUrl(upload.s3_key), expires_in: URL_TTL_S });
+    }],
+
+    ['POST', /^\/api\/upload-multipart\/([^/]+)\/abort$/, ({ body }) => {
+        delete state.uploads[body?.upload_id];
+        saveState();
+        return json(200, { aborted: true });
+    }],
+
+    ['GET', /^\/api\/image-url\/([^/]+)$/, ({ params: [username], query }) => {
+        const user = ensureUser(username);
+        const s3Key = query.get('s3_key') || user.profile.photo_keys[0];
+        if (!s3Key) return fail(404, 'No image found');
+        return json(200, { image_url: photoUrl(s3Key), s3_key: s3Key, expires_in: URL_TTL_S });
+    }],
+
+    ['POST', /^\/api\/upload$/, ({ rawBody }) => {
+        const file = rawBody?.get?.('file');
+        const username = rawBody?.get?.('username');
+        if (!file || !username) return fail(422, 'File and username are required');
+        const user = ensureUser(username);
+        const s3Key = `users/${username}/profile/${Date.now()}_${file.name || 'photo.jpg'}`;
+        state.photos[s3Key] = file;
+        user.profile.photo_keys.push(s3Key);
+        saveState();
+        return json(200, serializeUser(user));
+    }],
+
+    ['PUT', /^\/api\/update\/([^/]+)$/, ({ params: [username], rawBody }) => {
+        const user = ensureUser(username);
+        let imageUrl = null;
+        for (const [key, value] of rawBody?.entries?.() ?? []) {
+            if (key === 's3_key') {
+                if (!user.profile.photo_keys.includes(value)) user.profile.photo_keys.push(value);
+                imageUrl = photoUrl(value);
+                continue;
+            }
+            if (key === 'username') continue;
+            if (key === 'photo_order') {
+                // Reorders the existing photos; unknown keys are ignored, unlisted photos go last
+                const order = JSON.parse(value).filter((photoKey) => user.profile.photo_keys.includes(photoKey));
+                user.profile.photo_keys = [...order, ...user.profile.photo_keys.filter((photoKey) => !order.includes(photoKey))];
+                continue;
+            }
+            // updateUser JSON-encodes object values
+            try {
+                user.profile[key] = JSON.parse(value);
+            } catch {
+                user.profile[key] = value;
+            }
+        }
+        saveState();
+        return json(200, { ...serializeUser(user), image_url: imageUrl });
+    }],
+
+    ['DELETE', /^\/api\/image\/([^/]+)\/(.+)$/, ({ params: [username, s3Key] }) => {
+        const user = ensureUser(username);
+        if (!user.profile.photo_keys.includes(s3Key)) return fail(404, 'Photo not found');
+        user.profile.photo_keys = user.profile.photo_keys.filter((key) => key !== s3Key);
+        if (user.profile.primary_photo === s3Key) delete user.profile.primary_photo;
+        if (user.profile.photo_tags) delete user.profile.photo_tags[s3Key];
+        delete state.photos[s3Key];
+        if (objectUrls.has(s3Key)) {
+            URL.revokeObjectURL(objectUrls.get(s3Key));
+            objectUrls.delete(s3Key);
+        }
+        saveState();
+        return json(200, serializeUser(user).profile);
+    }],
+
+    ['POST', /^\/api\/like\/([^/]+)\/([^/]+)$/, ({ params: [username, imageId] }) => {
+        const user = ensureUser(username);
+        if (!user.profile.liked_items.includes(imageId)) user.profile.liked_items.push(imageId);
+        saveState();
+        return json(200, { success: true, liked_items: user.profile.liked_items });
+    }],
+
+    ['POST', /^\/api\/createChat\/?$/, ({ body }) => {
+        if (!body?.user_id) return fail(422, 'user_id is required');
+        const id = newId('chat');
+        const chat = {
+            ...body,
+            id,
+            chat_id: id,
+            created_at: new Date().toISOString(),
+            messages: [],
+        };
+        chatsFor(body.user_id).push(chat);
+        saveState();
+        return json(200, chat);
+    }],
+
+    ['GET', /^\/api\/chats\/([^/]+)$/, ({ params: [userId], query }) => {
+        if (query.get('include_messages') !== 'false') return json(200, chatsFor(userId));
+        return json(200, chatsFor(userId).map(({ messages, ...chat }) => ({ ...chat, message_count: messages.length })));
+    }],
+
+    ['GET', /^\/api\/chats\/([^/]+)\/([^/]+)\/messages$/, ({ params: [userId, chatId], query }) => {
+        const chat = chatsFor(userId).find((entry) => entry.id === chatId);
+        if (!chat) return fail(404, 'Chat not found');
+        // Chats stored before messages had IDs get them now
+        if (chat.messages.some((msg) => !msg.id)) {
+            chat.messages.forEach((msg) => {
+                msg.id = msg.id || newId('msg');
+            });
+            saveState();
+        }
+        const limit = Math.min(Number(query.get('limit')) || 30, 100);
+        const before = query.get('before');
+        const end = before ? chat.messages.findIndex((msg) => msg.id === before) : chat.messages.length;
+        if (end === -1) return fail(404, 'Message not found');
+        const start = Math.max(0, end - limit);
+        return json(200, { messages: chat.messages.slice(start, end), has_more: start > 0 });
+    }],
+
+    ['PATCH', /^\/api\/chats\/([^/]+)\/([^/]+)$/, ({ params: [userId, chatId], body }) => {
+        const chat = chatsFor(userId).find((entry) => entry.id === chatId);
+        if (!chat) return fail(404, 'Chat not found');
+        for (const key of ['session_name', 'pinned', 'archived']) {
+            if (body?.[key] !== undefined) chat[key] = body[key];
+        }
+        chat.updated_at = new Date().toISOString();
+        saveState();
+        return json(200, chat);
+    }],
+
+    ['DELETE', /^\/api\/chats\/([^/]+)\/([^/]+)$/, ({ params: [userId, chatId] }) => {
+        const chats = chatsFor(userId);
+        if (!chats.some((entry) => entry.id === chatId)) return fail(404, 'Chat not found');
+        state.chats[userId] = chats.filter((entry) => entry.id !== chatId);
+        saveState();
+        return json(200, { success: true });
+    }],
+
+    ['POST', /^\/chat$/, async ({ body, signal }) => {
+        if (!body?.message) return fail(422, 'Message is required');
+        const user = findUserById(body.user_id);
+        if (!user?.profile.photo_keys.length) {
+            return fail(400, 'Please upload at least one photo before chatting');
+        }
+        await delay(1200, signal);
+        const reply = buildReply(body.message);
+        recordExchange(body.thread_id, body.message, body.client_id, reply);
+        return json(200, { ...reply, thread_id: body.thread_id, user_id: body.user_id });
+    }],
+
+    ['POST', /^\/chat\/stream$/, ({ body, signal }) => {
+        if (!body?.message) return fail(422, 'Message is required');
+        const user = findUserById(body.user_id);
+        if (!user?.profile.photo_keys.length) {
+            return fail(400, 'Please upload at least one photo before chatting');
+        }
+        return new Response(streamReply(body.thread_id, body.message, body.client_id, buildReply(body.message), signal), {
+            status: 200,
+            headers: { 'Content-Type': 'text/event-stream' },
+        });
+    }],
+];
+
+// Endpoints that work without a session
+const PUBLIC_PATHS = [/^\/api\/login$/, /^\/api\/auth\/(login|magic-link|magic-link\/verify|refresh|logout)$/, /^\/__mock-s3\//];
+
+/**
+ * fetch()-compatible handler for requests to the mock base URL
+ * @param {string} url - Request URL
+ * @param {Object} [init] - fetch init ({ method, headers, body, signal })
+ * @returns {Promise<Response>}
+ */
+export const mockFetch = async (url, init = {}) => {
+    await loadState();
+
+    const { pathname, searchParams } = new URL(url);
+    const method = (init.method || 'GET').toUpperCase();
+    const path = decodeURIComponent(pathname);
+
+    // Simulated network latency
+    await delay(120 + Math.random() * 200, init.signal);
+
+    for (const [routeMethod, pattern, handler] of routes) {
+        if (routeMethod !== method) continue;
+        const match = path.match(pattern);
+        if (!match) continue;
+
+        const headers = new Headers(init.headers);
+        const auth = authenticate({ headers });
+        if (!auth.ok && !PUBLIC_PATHS.some((publicPath) => publicPath.test(path))) {
+            return fail(401, 'Not authenticated');
+        }
+
+        let body = null;
+        if (typeof init.body === 'string') {
+            try {
+                body = JSON.parse(init.body);
+            } catch {
+                body = init.body;
+            }
+        }
+
+        return handler({
+            params: match.slice(1),
+            query: searchParams,
+            headers,
+            body,
+            rawBody: init.body,
+            auth,
+            signal: init.signal,
+        });
+    }
+
+    return fail(404, `Mock backend: no handler for ${method} ${path}`);
+};
@@ -1,137 +1,248 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { motion } from 'framer-motion';
-import { Plus, MessageSquare, MoreVertical, User, Bot, ArrowLeft, Heart, Mic, MicOff } from 'lucide-react';
-import { createChat, getChats, sendChatMessage, likeImage } from '../services/api';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { Plus, MessageSquare, ArrowLeft, Pin, ChevronDown, ChevronRight, X, Search, Loader2 } from 'lucide-react';
+import { likeImage } from '../services/api';
+import {
+    createChat,
+    deleteChat,
+    fetchAllChatMessages,
+    invalidateChats,
+    loadOlderChatMessages,
+    updateChat,
+} from '../services/queries';
+import { isAbortError } from '../services/errors';
+import { isOnline } from '../services/connectivity';
+import { queueMessage, removeQueued, shouldQueue } from '../services/offlineQueue';
 import { textToSpeech, playAudio } from '../services/elevenlabs';
+import {
+    applyMergedImages,
+    buildAssistantMessage,
+    createOutgoingMessage,
+    getMessageKey,
+    reconcileMessages,
+} from '../lib/chatMessages';
+import {
+    buildChatTitle,
+    DEFAULT_CHAT_NAME,
+    getChatId,
+    getChatName,
+    getChatPath,
+    groupChats,
+    needsAutoTitle,
+} from '../lib/chatSessions';
+import { downloadChat, printChat } from '../lib/chatExport';
+import { useChatTransport } from '../hooks/useChatTransport';
+import { useChatMessages, useChats } from '../hooks/useQuery';
+import { useUser } from '../hooks/useUser';
+import { useChatSearch } from '../hooks/useChatSearch';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import ChatMenu from '../components/ChatMenu';
+import ChatSearchResults from '../components/ChatSearchResults';
+import ChatComposer from '../components/ChatComposer';
+import ChatMessage from '../components/ChatMessage';
+import MessageList from '../components/MessageList';
 
 const Chat = () => {
-    const [user, setUser] = useState(null);
-    const [chats, setChats] = useState([]);
-    const [activeChat, setActiveChat] = useState(null);
+    const { user } = useUser();
+    const { chatId } = useParams();
+    const [searchParams] = useSearchParams();
+    // Message to scroll to (its key, see getMessageKey), e.g. when opened from a search result
+    const targetMessage = searchParams.get('message');
     const [messages, setMessages] = useState([]);
-    const [isSending, setIsSending] = useState(false);
+    const [syncedHistory, setSyncedHistory] = useState({ chatId: null, data: undefined });
+    const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+    const [olderError, setOlderError] = useState('');
+    // IDs of the chats waiting for a reply; the others stay usable meanwhile
+    const [sendingChats, setSendingChats] = useState(() => new Set());
     const [isRecording, setIsRecording] = useState(false);
+    const [showArchived, setShowArchived] = useState(false);
+    const [sessionError, setSessionError] = useState('');
+    const [searchQuery, setSearchQuery] = useState('');
 
-    const messagesEndRef = useRef(null);
     const recognitionRef = useRef(null);
+    const streamControllersRef = useRef(new Set());
     const navigate = useNavigate();
 
+    const userId = user ? user.user_id || `user_${user.username}` : null;
+    const isSending = sendingChats.has(chatId);
+
+    // Cached list shows instantly and revalidates in the background
+    // (the route guard only renders this page for users with a photo)
+    const { data: chatsData, isFetching: isFetchingChats } = useChats(userId);
+    const chats = chatsData || [];
+    // By ID: the chat objects are rebuilt from the cache on every refetch
+    const isActiveChat = (chat) => String(getChatId(chat)) === chatId;
+    const activeChat = chatId ? chats.find(isActiveChat) || null : null;
+    // Only trust a miss once the list is fresh: the chat may have been created in another tab
+    const isMissingChat = Boolean(chatId) && !activeChat && chatsData !== undefined && !isFetchingChats;
+    const { active: activeChats, archived: archivedChats } = groupChats(chats);
+    const firstChat = activeChats[0] || null;
+    // The list comes without messages: only the latest page of the open chat is loaded,
+    // older pages as you scroll up
+    const { data: history } = useChatMessages(userId, activeChat ? chatId : null);
+    const isLoadingHistory = Boolean(activeChat) && history === undefined;
+    // The whole history is only fetched for searching while there is a query
+    const searchChatHistory = useChatSearch(userId, chatsData, { enabled: Boolean(searchQuery.trim()) });
+    const searchResults = searchQuery.trim() ? searchChatHistory(searchQuery) : [];
+    // Messages of this chat waiting in the offline queue follow the ones on screen
+    const { items: outbox } = useOfflineQueue();
+    const queuedMessages = outbox
+        .filter(entry => (
+            entry.kind === 'message'
+            && String(entry.chatId) === chatId
+            && !messages.some(msg => msg.client_id === entry.clientId)
+        ))
+        .map(entry => ({
+            role: 'user',
+            content: entry.content,
+            client_id: entry.clientId,
+            status: entry.status === 'failed' ? 'failed' : 'queued',
+            error: entry.error,
+            queue_id: entry.id,
+        }));
+    const visibleMessages = queuedMessages.length > 0 ? [...messages, ...queuedMessages] : messages;
+    // Recalled with ↑ in the composer, oldest first
+    const sentMessages = messages.filter(msg => msg.role === 'user' && msg.content).map(msg => msg.content);
+
+    // Another chat shows its history straight away; a fresher copy of the open chat
+    // waits while a reply is streaming into it
+    const isOtherChat = chatId !== syncedHistory.chatId;
+    if (isOtherChat || (history !== syncedHistory.data && !isSending)) {
+        const serverMessages = history?.messages || [];
+        setSyncedHistory({ chatId, data: history });
+        // A fresher copy of the same chat keeps the messages the server doesn't have yet
+        setMessages(prev => (isOtherChat ? serverMessages : reconcileMessages(serverMessages, prev)));
+        if (isOtherChat) setOlderError('');
+    }
+
+    // WebSocket when available, REST otherwise - the page doesn't care which
+    const { transport, status: transportStatus } = useChatTransport(userId, getChatId(activeChat));
+
+    // Plain /chat opens the first chat under its own URL, so refreshing,
+    // bookmarking and back/forward keep your place
     useEffect(() => {
-        const storedUser = localStorage.getItem('user');
-        if (!storedUser) {
-            navigate('/login');
-            return;
-        }
-        const parsedUser = JSON.parse(storedUser);
-        setUser(parsedUser);
-        
-        // Check if user has photos before allowing chat
-        const photoUrls = parsedUser.profile?.photo_urls;
-        if (!photoUrls || (Array.isArray(photoUrls) && photoUrls.length === 0)) {
-            // Redirect to dashboard if no photos
-            console.warn('⚠️ User has no photos. Redirecting to dashboard.');
-            navigate('/dashboard');
-            return;
+        if (!chatId && firstChat) {
+            navigate(getChatPath(firstChat), { replace: true });
         }
-        
-        // Fetch chats immediately with the parsed user (don't wait for state update)
-        if (parsedUser?.user_id) {
-            const userId = parsedUser.user_id || `user_${parsedUser.username}`;
-            fetchChatsWithUserId(userId);
-        }
-    }, [navigate]);
-
-    // Also fetch chats when user state is updated (as a backup)
-    useEffect(() => {
-        if (user?.username) {
-            fetchChats();
-        }
-    }, [user?.username]);
-
-    // No WebSocket connection needed - using REST API
-
-    useEffect(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-    }, [messages]);
+    }, [chatId, firstChat, navigate]);
 
     // Cleanup on unmount
     useEffect(() => {
+        const streamControllers = streamControllersRef.current;
         return () => {
             if (recognitionRef.current) {
                 recognitionRef.current.stop();
             }
+            streamControllers.forEach(controller => controller.abort());
         };
     }, []);
 
-    const fetchChatsWithUserId = async (user_id) => {
-        if (!user_id) {
-            console.warn('⚠️ No user_id provided to fetchChatsWithUserId');
-            return;
+    const createNewChat = async () => {
+        if (!userId) return;
+        try {
+            // Appends to the cached list, no refetch needed
+            // Named after its first message once one is sent
+            const newChat = await createChat({
+                user_id: userId,
+                session_name: DEFAULT_CHAT_NAME
+            });
+            navigate(getChatPath(newChat));
+        } catch (err) {
+            console.error('Failed to create chat:', err);
         }
+    };
+
+    // Session management from the chat menus; the cached list updates optimistically
+    const changeChat = async (chat, fields) => {
+        setSessionError('');
         try {
-            console.log('📨 Fetching chats for user_id:', user_id);
-            const data = await getChats(user_id);
-            console.log('📨 Fetched chats from UserChat table:', data);
-            console.log(`📊 Total chats received: ${Array.isArray(data) ? data.length : 'not an array'}`);
-            
-            if (!Array.isArray(data)) {
-                console.error('❌ Invalid response format - expected array, got:', typeof data, data);
-                setChats([]);
-                return;
-            }
-            
-            setChats(data);
-            console.log(`✅ Set ${data.length} chats to state`);
-            
-            if (data.length > 0 && !activeChat) {
-                const firstChat = data[0];
-                setActiveChat(firstChat);
-                // Get messages from agent_state (already included in chat object)
-                const chatMessages = firstChat.messages || [];
-                console.log('💬 Loading chat history from AgentState:', chatMessages.length, 'messages');
-                setMessages(chatMessages);
-            } else if (data.length === 0) {
-                // No chats - clear active chat and messages
-                console.log('ℹ️ No chats found for user');
-                setActiveChat(null);
-                setMessages([]);
+            await updateChat(userId, getChatId(chat), fields);
+        } catch (err) {
+            console.error('Failed to update chat:', err);
+            setSessionError(err.message || 'Failed to update chat. Please try again.');
+        }
+    };
+
+    const handleDeleteChat = async (chat) => {
+        setSessionError('');
+        try {
+            await deleteChat(userId, getChatId(chat));
+            if (isActiveChat(chat)) {
+                navigate('/chat', { replace: true });
             }
         } catch (err) {
-            console.error('❌ Failed to fetch chats:', err);
-            console.error('Error details:', {
-                message: err.message,
-                stack: err.stack,
-                name: err.name
-            });
-            // Set empty array on error to show "No chats" state
-            setChats([]);
+            console.error('Failed to delete chat:', err);
+            setSessionError(err.message || 'Failed to delete chat. Please try again.');
         }
     };
 
-    const fetchChats = async () => {
-        if (!user?.user_id) return;
-        const userId = user.user_id || `user_${user.username}`;
-        await fetchChatsWithUserId(userId);
+    const loadOlderMessages = async () => {
+        if (!activeChat || isLoadingOlder) return;
+        setIsLoadingOlder(true);
+        setOlderError('');
+        try {
+            await loadOlderChatMessages(userId, chatId);
+        } catch (err) {
+            console.error('Failed to load older messages:', err);
+            setOlderError('Could not load earlier messages.');
+        } finally {
+            setIsLoadingOlder(false);
+        }
     };
 
-    const createNewChat = async () => {
-        if (!user?.user_id) return;
+    // Exports the whole history, not just the pages loaded on screen
+    const handleExportChat = async (chat, format) => {
+        setSessionError('');
+        let transcript;
         try {
-            // Use user_id directly (no username needed)
-            const userId = user.user_id || `user_${user.username}`;
-            const newChat = await createChat({
-                user_id: userId,
-                session_name: `Chat ${chats.length + 1}`
-            });
-            setChats([...chats, newChat]);
-            setActiveChat(newChat);
-            setMessages([]);
+            transcript = { ...chat, messages: await fetchAllChatMessages(userId, String(getChatId(chat))) };
         } catch (err) {
-            console.error('Failed to create chat:', err);
+            console.error('Failed to export chat:', err);
+            setSessionError(err.message || 'Failed to export chat. Please try again.');
+            return;
         }
+        if (format === 'pdf') {
+            if (!printChat(transcript)) {
+                setSessionError('Pop-ups are blocked, so the printable page was downloaded instead.');
+            }
+            return;
+        }
+        downloadChat(transcript, format);
     };
 
+    const renderChatMenu = (chat, align) => (
+        <ChatMenu
+            chat={chat}
+            align={align}
+            onRename={(name) => changeChat(chat, { session_name: name })}
+            onTogglePin={() => changeChat(chat, { pinned: !chat.pinned })}
+            onToggleArchive={() => changeChat(chat, { archived: !chat.archived })}
+            onExport={(format) => handleExportChat(chat, format)}
+            onDelete={() => handleDeleteChat(chat)}
+        />
+    );
+
+    const renderChatItem = (chat) => (
+        <div
+            key={getChatId(chat)}
+            className={`group flex items-center rounded-xl transition-all ${isActiveChat(chat)
+                ? 'bg-white/10 text-white'
+                : 'text-zinc-400 hover:bg-white/5 hover:text-zinc-200'
+                }`}
+        >
+            <button
+                onClick={() => navigate(getChatPath(chat))}
+                className="flex items-center flex-1 min-w-0 gap-3 py-3 pl-4 text-sm text-left"
+            >
+                {chat.pinned ? <Pin className="w-4 h-4 shrink-0" /> : <MessageSquare className="w-4 h-4 shrink-0" />}
+                <span className="truncate">{getChatName(chat)}</span>
+            </button>
+            <div className={isActiveChat(chat) ? '' : 'opacity-0 group-hover:opacity-100 focus-within:opacity-100'}>
+                {renderChatMenu(chat, 'right')}
+            </div>
+        </div>
+    );
+
     // Audio recording functions using Web Speech API
     const startRecording = async () => {
         try {
@@ -205,7 +316,7 @@ const Chat = () => {
         }
     };
 
-    // Helper function to send message from text (used by both text input and audio)
+    // Send a message typed in the composer or transcribed from speech
     const sendMessageFromText = async (messageText) => {
         if (!messageText.trim() || isSending) {
             return;
@@ -217,35 +328,95 @@ const Chat = () => {
         }
 
         console.log('📤 Sending message:', messageText);
+
+        // New messages scroll to the bottom again
+        if (targetMessage !== null) {
+            navigate(getChatPath(activeChat), { replace: true });
+        }
+
+        // The first message of a new chat becomes its title
+        if (messages.length === 0 && needsAutoTitle(activeChat)) {
+            changeChat(activeChat, { session_name: buildChatTitle(messageText) });
+        }
         
-        // Add user message to UI immediately
-        const newMsg = { role: 'user', content: messageText };
-        setMessages(prev => [...prev, newMsg]);
-        setIsSending(true);
+        // Add user message to UI immediately, delivery state shows on the bubble
+        const outgoing = createOutgoingMessage(messageText);
+        setMessages(prev => [...prev, outgoing]);
+        await deliverMessage(outgoing);
+    };
 
-        try {
-            // Get user_id and thread_id
-            const userId = user.user_id || `user_${user.username}`;
-            const threadId = activeChat.chat_room_id || activeChat.id || activeChat.chat_id;
+    const updateOutgoingMessage = (clientId, fields) => {
+        setMessages(prev => prev.map(msg => (msg.client_id === clientId ? { ...msg, ...fields } : msg)));
+    };
 
-            // Send message via REST API
-            const response = await sendChatMessage(messageText, userId, threadId);
+    const setChatSending = (id, sending) => {
+        setSendingChats(prev => {
+            if (prev.has(id) === sending) return prev;
+            const next = new Set(prev);
+            if (sending) next.add(id);
+            else next.delete(id);
+            return next;
+        });
+    };
+
+    // Send an outgoing message (new or retried) and stream the reply under it
+    const deliverMessage = async ({ client_id: clientId, content: messageText }) => {
+        // Without a connection the message waits in the offline queue, which shows it until it's sent
+        const queueForLater = () => {
+            queueMessage({ userId, chatId: getChatId(activeChat), clientId, content: messageText });
+            setMessages(prev => prev.filter(msg => msg.client_id !== clientId && msg.reply_to !== clientId));
+        };
+        if (!isOnline()) {
+            queueForLater();
+            return;
+        }
+
+        const sendingChatId = chatId;
+        setChatSending(sendingChatId, true);
+
+        // Placeholder assistant bubble that fills in as the stream arrives
+        const streamId = `stream-${Date.now()}`;
+        const updateStreamingMessage = (update) => {
+            setMessages(prev => prev.map(msg => (
+                msg.stream_id === streamId ? { ...msg, ...update(msg) } : msg
+            )));
+        };
+        setMessages(prev => [...prev, { role: 'assistant', content: '', stream_id: streamId, reply_to: clientId, streaming: true }]);
+
+        const controller = new AbortController();
+        streamControllersRef.current.add(controller);
+        let delivered = false;
+        let replyStarted = false;
+
+        try {
+            // Stream the reply: text first, then product payloads as separate events
+            const response = await transport.send(messageText, {
+                signal: controller.signal,
+                onToken: (delta, fullText) => {
+                    replyStarted = true;
+                    updateStreamingMessage(() => ({ content: fullText }));
+                },
+                onProducts: (kind, products) => updateStreamingMessage((msg) => ({
+                    [kind]: applyMergedImages(products, msg.merged_images),
+                })),
+                onMergedImages: (mergedImages) => updateStreamingMessage((msg) => ({
+                    merged_images: mergedImages,
+                    ranked_products: applyMergedImages(msg.ranked_products, mergedImages),
+                    styled_products: applyMergedImages(msg.styled_products, mergedImages),
+                })),
+                clientId,
+            });
+            delivered = true;
             console.log('📨 Received response:', response);
+            updateOutgoingMessage(clientId, { status: 'sent' });
 
-            // Add assistant response to messages
-            if (response.response) {
-                const products = response.ranked_products || response.styled_products || null;
-                const assistantMessage = { 
-                    role: 'assistant', 
-                    content: response.response,
-                    ranked_products: response.ranked_products || null,
-                    styled_products: response.styled_products || null,
-                    products: products,
-                    merged_images: response.merged_images || null
-                };
-                
-                setMessages(prev => [...prev, assistantMessage]);
+            // Replace the placeholder with the final, complete message
+            const assistantMessage = buildAssistantMessage(response);
+            updateStreamingMessage(() => ({ ...assistantMessage, streaming: false }));
+            // The reply is in: the chat takes new messages while it's read out
+            setChatSending(sendingChatId, false);
 
+            if (response.response) {
                 // Convert response text to audio and play it
                 try {
                     const audioBlob = await textToSpeech(response.response);
@@ -256,35 +427,62 @@ const Chat = () => {
                 }
             }
 
-            // Refresh chats to get updated messages
-            if (user?.user_id) {
-                const userId = user.user_id || `user_${user.username}`;
-                await fetchChatsWithUserId(userId);
-            }
+            // Refetch only this user's chats so the history matches the server copy
+            await invalidateChats(userId);
         } catch (error) {
+            // Drop the placeholder if nothing arrived, otherwise keep the partial reply
+            setMessages(prev => prev
+                .filter(msg => msg.stream_id !== streamId || msg.content)
+                .map(msg => (msg.stream_id === streamId ? { ...msg, streaming: false } : msg)));
+            // The reply arrived, only the follow-up work (refetch) failed
+            if (delivered || isAbortError(error)) return;
+
+            // Lost the connection before the server started replying: send it once it's back
+            if (!replyStarted && shouldQueue(error)) {
+                queueForLater();
+                return;
+            }
+
             console.error('Error sending message:', error);
-            
+
             // Handle photo requirement error
             if (error.message && error.message.includes('upload at least one photo')) {
-                setMessages(prev => [...prev, { 
-                    role: 'assistant', 
-                    content: `Please upload at least one photo in your dashboard before starting a chat. This helps us personalize product recommendations for you.` 
-                }]);
+                updateOutgoingMessage(clientId, {
+                    status: 'failed',
+                    error: 'Please upload at least one photo in your dashboard before starting a chat.',
+                });
                 setTimeout(() => {
                     navigate('/dashboard');
                 }, 3000);
             } else {
-                setMessages(prev => [...prev, { 
-                    role: 'assistant', 
-                    content: `Error: ${error.message || 'Failed to send message. Please try again.'}` 
-                }]);
+                updateOutgoingMessage(clientId, {
+                    status: 'failed',
+                    error: error.message || 'Failed to send message.',
+                });
             }
         } finally {
-            setIsSending(false);
+            streamControllersRef.current.delete(controller);
+            setChatSending(sendingChatId, false);
         }
     };
 
-    // Text input removed - only audio input is available
+    // Failed messages move to the end when retried, replacing any partial reply
+    const retryMessage = (msg) => {
+        if (isSending) return;
+        const { queue_id: queueId, ...message } = msg;
+        if (queueId) removeQueued(queueId);
+        const retried = { ...message, status: 'pending', error: undefined };
+        setMessages(prev => [
+            ...prev.filter(entry => entry.client_id !== msg.client_id && entry.reply_to !== msg.client_id),
+            retried,
+        ]);
+        deliverMessage(retried);
+    };
+
+    const discardMessage = (msg) => {
+        if (msg.queue_id) removeQueued(msg.queue_id);
+        setMessages(prev => prev.filter(entry => entry.client_id !== msg.client_id && entry.reply_to !== msg.client_id));
+    };
 
     const handleLikeImage = async (imageId) => {
         if (!user?.username) return;
@@ -319,33 +517,48 @@ const Chat = () => {
                     </button>
                 </div>
 
+                <div className="px-4 pb-2">
+                    <div className="relative">
+                        <Search className="absolute w-4 h-4 -translate-y-1/2 left-3 top-1/2 text-zinc-500" />
+                        <input
+                            type="search"
+                            value={searchQuery}
+                            onChange={(e) => setSearchQuery(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Escape' && setSearchQuery('')}
+                            placeholder="Search chats and products"
+                            className="w-full py-2 pl-9 pr-3 text-sm text-white border outline-none bg-white/5 border-white/10 rounded-xl focus:border-purple-500/50 placeholder:text-zinc-600"
+                        />
+                    </div>
+                </div>
+
                 <div className="flex-1 overflow-y-auto px-2 space-y-1">
-                    {chats.length === 0 ? (
+                    {searchQuery.trim() ? (
+                        <ChatSearchResults
+                            results={searchResults}
+                            onSelect={(result) => navigate(getChatPath({ id: result.chatId }, result.messageId ?? result.messageIndex))}
+                        />
+                    ) : chats.length === 0 ? (
                         <div className="flex flex-col items-center justify-center h-full px-4 py-8 text-center">
                             <MessageSquare className="w-8 h-8 text-zinc-600 mb-2 opacity-50" />
                             <p className="text-sm text-zinc-500">No chats yet</p>
                             <p className="text-xs text-zinc-600 mt-1">Create a new chat to get started</p>
                         </div>
                     ) : (
-                        chats.map(chat => (
-                            <button
-                                key={chat.id || chat.chat_id}
-                                onClick={() => {
-                                    setActiveChat(chat);
-                                    // Load messages from agent_state
-                                    const chatMessages = chat.messages || [];
-                                    console.log('💬 Loading chat history:', chatMessages.length, 'messages');
-                                    setMessages(chatMessages);
-                                }}
-                                className={`w-full flex items-center gap-3 px-4 py-3 text-sm rounded-xl transition-all ${(activeChat?.id === chat.id || activeChat?.chat_id === chat.chat_id)
-                                    ? 'bg-white/10 text-white'
-                                    : 'text-zinc-400 hover:bg-white/5 hover:text-zinc-200'
-                                    }`}
-                            >
-                                <MessageSquare className="w-4 h-4" />
-                                <span className="truncate">{chat.session_name || chat.name || `Chat ${chat.id || chat.chat_id}`}</span>
-                            </button>
-                        ))
+                        <>
+                            {activeChats.map(renderChatItem)}
+                            {archivedChats.length > 0 && (
+                                <div className="pt-2">
+                                    <button
+                                        onClick={() => setShowArchived(!showArchived)}
+                                        className="flex items-center gap-1 px-4 py-2 text-xs font-medium uppercase text-zinc-500 hover:text-zinc-300"
+                                    >
+                                        {showArchived ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+                                        Archived ({archivedChats.length})
+                                    </button>
+                                    {showArchived && archivedChats.map(renderChatItem)}
+                                </div>
+                            )}
+                        </>
                     )}
                 </div>
 
@@ -369,7 +582,16 @@ const Chat = () => {
                 {/* Header */}
                 <div className="h-16 border-b border-white/10 flex items-center justify-between px-6 bg-black/50 backdrop-blur-xl z-10">
                     <div className="flex items-center gap-3">
-                        <span className="font-medium">{activeChat?.session_name || activeChat?.name || 'Select a chat'}</span>
+                        <span className="font-medium">{activeChat ? getChatName(activeChat) : (isMissingChat ? 'Chat not found' : 'Select a chat')}</span>
+                        {activeChat && (
+                            <span
+                                className="flex items-center gap-1.5 text-xs text-zinc-500"
+                                title={transportStatus === 'websocket' ? 'Connected in real time' : 'Using HTTP requests'}
+                            >
+                                <span className={`w-1.5 h-1.5 rounded-full ${transportStatus === 'websocket' ? 'bg-green-500' : transportStatus === 'connecting' ? 'bg-yellow-500 animate-pulse' : 'bg-zinc-500'}`} />
+                                {transportStatus === 'websocket' ? 'Live' : transportStatus === 'connecting' ? 'Connecting' : 'HTTP'}
+                            </span>
+                        )}
                         {isSending && (
                             <div className="flex items-center gap-2 px-3 py-1 rounded-full bg-yellow-500/10 border border-yellow-500/20">
                                 <div className="w-2 h-2 bg-yellow-500 rounded-full animate-pulse" />
@@ -378,195 +600,83 @@ const Chat = () => {
                         )}
                     </div>
                     <div className="flex items-center gap-2">
-                        <button className="p-2 text-zinc-400 hover:text-white transition-colors">
-                            <MoreVertical className="w-5 h-5" />
-                        </button>
+                        {activeChat && renderChatMenu(activeChat, 'right')}
                     </div>
                 </div>
 
+                {sessionError && (
+                    <div className="z-10 flex items-center justify-between px-6 py-2 text-sm text-red-400 border-b bg-red-500/10 border-red-500/20">
+                        <span>{sessionError}</span>
+                        <button onClick={() => setSessionError('')} className="p-1 hover:text-red-300" title="Dismiss">
+                            <X className="w-4 h-4" />
+                        </button>
+                    </div>
+                )}
+
                 {/* Messages */}
-                <div className="flex-1 overflow-y-auto p-6 space-y-6">
-                    {messages.length === 0 && (
-                        <div className="flex items-center justify-center h-full">
-                            <div className="text-center text-zinc-500">
-                                <MessageSquare className="w-12 h-12 mx-auto mb-4 opacity-50" />
-                                <p className="text-lg font-medium mb-2">Start your conversation</p>
-                                <p className="text-sm text-zinc-600">Ask me anything about fashion, styling, or products!</p>
-                            </div>
-                        </div>
-                    )}
-                    {messages.map((msg, idx) => (
-                        msg.type === 'progress' ? (
-                            // Progress message (agent started/completed)
-                            <motion.div
-                                initial={{ opacity: 0, y: 10 }}
-                                animate={{ opacity: 1, y: 0 }}
-                                key={idx}
-                                className="flex justify-center my-2"
-                            >
-                                <div className="px-4 py-2 bg-zinc-800/50 border border-zinc-700/50 rounded-full text-xs text-zinc-400">
-                                    {msg.content}
-                                </div>
-                            </motion.div>
-                        ) : (
-                            // Regular chat message
-                        <motion.div
-                            initial={{ opacity: 0, y: 10 }}
-                            animate={{ opacity: 1, y: 0 }}
-                            key={idx}
-                            className={`flex gap-4 ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}
-                        >
-                            {msg.role === 'assistant' && (
-                                <div className="w-8 h-8 rounded-full bg-purple-500/20 flex items-center justify-center border border-purple-500/30">
-                                    <Bot className="w-4 h-4 text-purple-400" />
+                {isMissingChat || visibleMessages.length === 0 ? (
+                    <div className="flex-1 overflow-y-auto p-6">
+                        {isMissingChat ? (
+                            <div className="flex items-center justify-center h-full">
+                                <div className="text-center text-zinc-500">
+                                    <MessageSquare className="w-12 h-12 mx-auto mb-4 opacity-50" />
+                                    <p className="text-lg font-medium mb-2">This chat doesn't exist</p>
+                                    <p className="text-sm text-zinc-600 mb-4">It may have been deleted, or the link is wrong.</p>
+                                    <button
+                                        onClick={() => navigate('/chat', { replace: true })}
+                                        className="px-4 py-2 text-sm font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700"
+                                    >
+                                        Back to chats
+                                    </button>
                                 </div>
-                            )}
-
-                            <div
-                                className={`max-w-[80%] p-4 rounded-2xl ${msg.role === 'user'
-                                    ? 'bg-purple-600 text-white rounded-tr-sm'
-                                    : 'bg-zinc-900 border border-white/10 text-zinc-100 rounded-tl-sm'
-                                    }`}
-                            >
-                                    <p className="text-sm leading-relaxed whitespace-pre-wrap">{msg.content}</p>
-                                    
-                                    {/* Display ranked_products (prioritized) or styled_products (fallback) */}
-                                    {((msg.ranked_products && msg.ranked_products.length > 0) || 
-                                      (msg.styled_products && msg.styled_products.length > 0) ||
-                                      (msg.products && msg.products.length > 0)) && (
-                                        <div className="mt-4 space-y-4">
-                                            {(msg.ranked_products || msg.products || msg.styled_products).map((product, productIdx) => (
-                                                <div 
-                                                    key={product.id || productIdx}
-                                                    className="bg-zinc-800/50 border border-white/10 rounded-xl p-4 hover:border-purple-500/50 transition-all"
-                                                >
-                                                    <div className="flex gap-4">
-                                                        {/* Merged Image */}
-                                                        {product.merged_image_url && (
-                                                            <div className="flex-shrink-0">
-                                                                <img 
-                                                                    src={product.merged_image_url}
-                                                                    alt={product.title || 'Product'}
-                                                                    className="w-32 h-32 object-cover rounded-lg border border-white/10"
-                                                                    onError={(e) => {
-                                                                        // Fallback to product image if merged image fails
-                                                                        if (product.image && e.target.src !== product.image) {
-                                                                            e.target.src = product.image;
-                                                                        }
-                                                                    }}
-                                                                />
-                                                            </div>
-                                                        )}
-                                                        
-                                                        {/* Product Details */}
-                                                        <div className="flex-1 min-w-0">
-                                                            <h3 className="font-semibold text-white mb-2 line-clamp-2">
-                                                                {product.title || 'Product'}
-                                                            </h3>
-                                                            
-                                                            <div className="flex items-center gap-4 mb-2">
-                                                                {product.price && (
-                                                                    <span className="text-lg font-bold text-purple-400">
-                                                                        {product.price}
-                                                                    </span>
-                                                                )}
-                                                                {product.rating && (
-                                                                    <span className="text-sm text-zinc-400">
-                                                                        ⭐ {product.rating}
-                                                                    </span>
-                                                                )}
-                                                            </div>
-                                                            
-                                                            {product.source && (
-                                                                <p className="text-xs text-zinc-500 mb-2">
-                                                                    From {product.source}
-                                                                </p>
-                                                            )}
-                                                            
-                                                            {product.link && (
-                                                                <a
-                                                                    href={product.link}
-                                                                    target="_blank"
-                                                                    rel="noopener noreferrer"
-                                                                    className="inline-flex items-center gap-2 px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white text-sm rounded-lg transition-colors"
-                                                                >
-                                                                    View Product
-                                                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
-                                                                    </svg>
-                                                                </a>
-                                                            )}
-                                                            
-                                                            {/* Like button */}
-                                                            {product.id && (
-                                                                <button
-                                                                    onClick={() => handleLikeImage(product.id)}
-                                                                    className="mt-2 p-2 text-zinc-400 hover:text-red-500 transition-colors"
-                                                                    title="Like this product"
-                                                                >
-                                                                    <Heart className="w-5 h-5" />
-                                                                </button>
-                                                            )}
-                                                        </div>
-                                                    </div>
-                                                </div>
-                                            ))}
-                                        </div>
-                                    )}
                             </div>
-
-                            {msg.role === 'user' && (
-                                <div className="w-8 h-8 rounded-full bg-zinc-800 flex items-center justify-center border border-white/10">
-                                    <User className="w-4 h-4 text-zinc-400" />
-                                </div>
-                            )}
-                        </motion.div>
-                        )
-                    ))}
-                    <div ref={messagesEndRef} />
-                </div>
-
-                {/* Audio Input Only */}
-                <div className="p-6 bg-black/50 backdrop-blur-xl border-t border-white/10 z-10">
-                    <div className="relative max-w-4xl mx-auto flex flex-col items-center gap-4">
-                        {/* Audio Recording Button - Large and Centered */}
-                        <button
-                            type="button"
-                            onClick={isRecording ? stopRecording : startRecording}
-                            disabled={isSending}
-                            className={`p-6 rounded-full transition-all ${
-                                isRecording 
-                                    ? 'bg-red-600 hover:bg-red-700 text-white animate-pulse scale-110' 
-                                    : 'bg-purple-600 hover:bg-purple-700 text-white'
-                            } disabled:opacity-50 disabled:hover:bg-purple-600`}
-                            title={isRecording ? "Stop recording" : "Start voice recording"}
-                        >
-                            {isRecording ? (
-                                <MicOff className="w-8 h-8" />
-                            ) : (
-                                <Mic className="w-8 h-8" />
-                            )}
-                        </button>
-                        
-                        {isRecording && (
-                            <div className="flex items-center gap-2 text-red-400 text-sm">
-                                <div className="w-2 h-2 bg-red-500 rounded-full animate-pulse" />
-                                <span>Recording... Click microphone again to stop and send</span>
+                        ) : isLoadingHistory ? (
+                            <div className="flex items-center justify-center h-full text-zinc-500">
+                                <Loader2 className="w-6 h-6 animate-spin" />
                             </div>
-                        )}
-                        {isSending && (
-                            <div className="flex items-center gap-2 text-purple-400 text-sm">
-                                <div className="w-2 h-2 bg-purple-500 rounded-full animate-pulse" />
-                                <span>Sending message...</span>
+                        ) : (
+                            <div className="flex items-center justify-center h-full">
+                                <div className="text-center text-zinc-500">
+                                    <MessageSquare className="w-12 h-12 mx-auto mb-4 opacity-50" />
+                                    <p className="text-lg font-medium mb-2">Start your conversation</p>
+                                    <p className="text-sm text-zinc-600">Ask me anything about fashion, styling, or products!</p>
+                                </div>
                             </div>
                         )}
-                        {!isRecording && !isSending && (
-                            <p className="text-xs text-zinc-500 text-center">
-                                Click the microphone to speak your message
-                            </p>
-                        )}
                     </div>
-                </div>
+                ) : (
+                    <MessageList
+                        key={chatId}
+                        messages={visibleMessages}
+                        hasMore={Boolean(history?.hasMore)}
+                        isLoadingOlder={isLoadingOlder}
+                        olderError={olderError}
+                        onLoadOlder={loadOlderMessages}
+                        targetKey={targetMessage}
+                        renderMessage={(msg, idx) => (
+                            <ChatMessage
+                                msg={msg}
+                                isTarget={getMessageKey(msg, idx) === targetMessage}
+                                isSending={isSending}
+                                onRetry={retryMessage}
+                                onDiscard={discardMessage}
+                                onLike={handleLikeImage}
+                            />
+                        )}
+                    />
+                )}
+
+                <ChatComposer
+                    key={chatId}
+                    chatId={chatId}
+                    history={sentMessages}
+                    disabled={!activeChat}
+                    isSending={isSending}
+                    isRecording={isRecording}
+                    onSend={sendMessageFromText}
+                    onStartRecording={startRecording}
+                    onStopRecording={stopRecording}
+                />
             </div>
         </div>
     );
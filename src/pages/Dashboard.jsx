@@ -1,20 +1,77 @@
 import React, { useEffect, useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { User, Database, MessageSquare, LogOut, Settings, Heart, Upload, X, Image as ImageIcon } from 'lucide-react';
-import { updateUser, uploadImageViaProxy, getImageProxyUrl, deletePhoto, extractS3KeyFromUrl } from '../services/api';
+import { User, Database, MessageSquare, LogOut, Settings, Heart, Upload, X, Crop, Star, Check, Trash2, Image as ImageIcon } from 'lucide-react';
+import { getImageProxyUrl, extractS3KeyFromUrl, fetchPhotoBlob } from '../services/api';
+import { deletePhoto, updatePhotoLayout } from '../services/queries';
+import { getProfilePhotos, PHOTO_TAGS } from '../services/photos';
+import { getUnmetRequirement, REQUIRED_PROFILE_FIELDS } from '../lib/routeGuards';
+import { logout } from '../services/auth';
+import { retryImageUrl } from '../services/imageUrls';
+import { useUser, useUpdateProfile } from '../hooks/useUser';
+import { useImageUrlRefresh } from '../hooks/useImageUrlRefresh';
+import { useUploadQueue } from '../hooks/useUploadQueue';
+import { useUndoableActions } from '../hooks/useUndoableActions';
+import UploadQueue from '../components/UploadQueue';
+import PhotoEditor from '../components/PhotoEditor';
+import UndoToast from '../components/UndoToast';
 
 const Dashboard = () => {
-    const [user, setUser] = useState(null);
     const [isEditing, setIsEditing] = useState(false);
     const [editFields, setEditFields] = useState({});
-    const [uploading, setUploading] = useState(false);
     const [error, setError] = useState('');
-    const [userPhotos, setUserPhotos] = useState([]);
+    const [isDragging, setIsDragging] = useState(false);
+    // Files waiting in the photo editor before they are queued
+    const [pendingEdits, setPendingEdits] = useState([]);
+    const [draggedKey, setDraggedKey] = useState(null);
+    const [dragOrder, setDragOrder] = useState(null);
+    const [taggingKey, setTaggingKey] = useState(null);
+    // Bulk selection: null when not selecting
+    const [selectedKeys, setSelectedKeys] = useState(null);
     const navigate = useNavigate();
+    const location = useLocation();
 
-    // Profile fields to show (username + these 5)
-    const profileFieldsToShow = ['username', 'upper_body_size', 'lower_body_size', 'region', 'gender', 'age_group'];
+    // The stored copy renders immediately; the server copy replaces it once fetched
+    const { user } = useUser();
+    const { updateProfile, isUpdating } = useUpdateProfile();
+
+    // Deletes wait out the undo window before reaching the server; a failed one
+    // simply stops hiding its photos, which rolls the grid back
+    const { pending: pendingDeletes, schedule: scheduleDelete, undo: undoDelete } = useUndoableActions({
+        commit: async (s3Keys) => {
+            let failed = 0;
+            for (const s3Key of s3Keys) {
+                try {
+                    // The cached profile's photo list is patched from the response
+                    await deletePhoto(user, s3Key);
+                } catch (err) {
+                    console.error('Delete failed:', err);
+                    failed++;
+                }
+            }
+            if (failed > 0) {
+                throw new Error(failed === 1
+                    ? 'Failed to delete a photo. It has been restored.'
+                    : `Failed to delete ${failed} photos. They have been restored.`);
+            }
+        },
+        onError: (err) => setError(err.message),
+    });
+    const hiddenKeys = new Set(pendingDeletes.flatMap(entry => entry.payload));
+
+    const allPhotos = getProfilePhotos(user);
+    const photos = allPhotos.filter(photo => !hiddenKeys.has(photo.s3Key));
+    const userPhotos = photos.map(photo => photo.url);
+    const displayedPhotos = dragOrder
+        ? dragOrder.map(key => photos.find(photo => photo.s3Key === key)).filter(Boolean)
+        : photos;
+    // Hidden photos keep their URLs fresh too, in case the delete is undone
+    useImageUrlRefresh(user?.username, allPhotos.map(photo => photo.url));
+    // Each finished upload updates the cached profile, so userPhotos grows as they complete
+    const { queue: uploadQueue, items: uploadItems } = useUploadQueue(user?.username);
+
+    // Profile fields to show (username + the ones the stylist needs)
+    const profileFieldsToShow = ['username', ...REQUIRED_PROFILE_FIELDS];
     
     // Dropdown options matching Google Shopping API expectations
     const dropdownOptions = {
@@ -41,165 +98,189 @@ const Dashboard = () => {
         age_group: ['adult', 'teen', 'kids', 'children', 'toddler', 'infant', 'senior'],
     };
 
+    // Sent here by a route guard (e.g. /chat without a photo): go back once that route's
+    // requirements are met, but not mid-upload since leaving the page cancels the queue
+    const returnTo = location.state?.returnTo;
+    const isUploading = uploadItems.some(item => !['done', 'deferred', 'error', 'cancelled'].includes(item.status));
+    const unmetRequirement = returnTo ? getUnmetRequirement(user, returnTo.requires) : null;
+    const canReturn = Boolean(returnTo) && !isUploading && !unmetRequirement;
     useEffect(() => {
-        const storedUser = localStorage.getItem('user');
-        if (!storedUser) {
-            navigate('/login');
-            return;
+        if (canReturn) {
+            navigate({ pathname: returnTo.pathname, search: returnTo.search }, { replace: true });
         }
-        const parsedUser = JSON.parse(storedUser);
-        setUser(parsedUser);
-        
-        // Set edit fields with only the fields we want to show
+    }, [canReturn, returnTo, navigate]);
+
+    // Only the fields we want to show: from profile, or top-level user object (for username)
+    const getEditableFields = (source) => {
         const filteredProfile = {};
         profileFieldsToShow.forEach(field => {
-            // Get value from profile or top-level user object (for username)
-            const value = parsedUser.profile?.[field] ?? parsedUser[field];
+            const value = source.profile?.[field] ?? source[field];
             if (value !== undefined) {
                 filteredProfile[field] = value;
             }
         });
-        setEditFields(filteredProfile);
-        
-        // Load user photos
-        if (parsedUser.profile?.photo_urls && Array.isArray(parsedUser.profile.photo_urls)) {
-            setUserPhotos(parsedUser.profile.photo_urls);
-        }
-    }, [navigate]);
+        return filteredProfile;
+    };
 
     const handleFieldUpdate = (key, value) => {
         setEditFields(prev => ({ ...prev, [key]: value }));
     };
 
-    const handleImageUpload = async (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
-
-        if (!file.type.startsWith('image/')) {
-            setError('Please upload an image file');
-            return;
+    // Images open in the editor first; anything else goes straight to the queue, which rejects it
+    const queueFiles = (files) => {
+        const all = Array.from(files);
+        const images = all.filter(file => file.type.startsWith('image/'));
+        const others = all.filter(file => !file.type.startsWith('image/'));
+        if (others.length > 0) uploadQueue.add(others);
+        if (images.length > 0) {
+            setPendingEdits(prev => [...prev, ...images.map((file, i) => ({ id: `edit-${Date.now()}-${i}-${file.name}`, file }))]);
         }
+    };
 
-        // Check file size (e.g., max 10MB)
-        const maxSize = 10 * 1024 * 1024; // 10MB
-        if (file.size > maxSize) {
-            setError('File size must be less than 10MB');
-            return;
+    const finishEdit = (editedFile) => {
+        const [current, ...rest] = pendingEdits;
+        if (editedFile) {
+            uploadQueue.add([editedFile], current.replaces ? { replaces: current.replaces } : null);
         }
+        setPendingEdits(rest);
+    };
 
-        setUploading(true);
+    const handleEditPhoto = async (photoUrl, idx) => {
         setError('');
-
         try {
-            // Upload through backend proxy (avoids CORS issues)
-            const updatedUser = await uploadImageViaProxy(user.username, file);
-            setUser(updatedUser);
-            
-            // Update edit fields
-            const filteredProfile = {};
-            profileFieldsToShow.forEach(field => {
-                const value = updatedUser.profile?.[field] ?? updatedUser[field];
-                if (value !== undefined) {
-                    filteredProfile[field] = value;
-                }
-            });
-            setEditFields(filteredProfile);
-            localStorage.setItem('user', JSON.stringify(updatedUser));
-
-            // Update user photos (ensure it's always an array)
-            const photoUrls = updatedUser.profile?.photo_urls;
-            if (Array.isArray(photoUrls)) {
-                setUserPhotos(photoUrls);
-            } else if (photoUrls) {
-                // Handle case where photo_urls might be a single string or other format
-                setUserPhotos([photoUrls]);
-            } else {
-                // Ensure empty array if no photos
-                setUserPhotos([]);
-            }
-
+            const blob = await fetchPhotoBlob(photoUrl, user.username);
+            const file = new File([blob], `photo-${idx + 1}.${blob.type.split('/')[1] || 'jpg'}`, { type: blob.type });
+            setPendingEdits(prev => [...prev, { id: `edit-${Date.now()}-${idx}`, file, replaces: photoUrl }]);
         } catch (err) {
-            console.error('Upload failed:', err);
-            setError(err.message || 'Failed to upload image. Please try again.');
-        } finally {
-            setUploading(false);
+            console.error('Failed to open photo for editing:', err);
+            setError(err.message || 'Failed to open photo. Please try again.');
         }
     };
 
-    const handleDeletePhoto = async (photoUrl, index) => {
-        if (!confirm('Are you sure you want to delete this photo?')) {
-            return;
+    const handleFilesSelected = (e) => {
+        queueFiles(e.target.files);
+        // Lets the same file be picked again (e.g. to resume a failed upload)
+        e.target.value = '';
+    };
+
+    const handleDragOver = (e) => {
+        if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        setIsDragging(true);
+    };
+
+    const handleDragLeave = (e) => {
+        // Ignore leaving into a child element of the drop zone
+        if (e.currentTarget.contains(e.relatedTarget)) return;
+        setIsDragging(false);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        if (e.dataTransfer.files.length > 0) {
+            queueFiles(e.dataTransfer.files);
         }
+    };
 
-        try {
-            // Extract s3_key from photo URL
-            const s3Key = extractS3KeyFromUrl(photoUrl);
-            
-            if (!s3Key) {
-                throw new Error('Could not extract S3 key from photo URL');
-            }
+    // Reordering: the grid shows the dragged order live and saves it when the drag ends
+    const handlePhotoDragStart = (s3Key) => (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', s3Key);
+        setDraggedKey(s3Key);
+        setDragOrder(photos.map(photo => photo.s3Key));
+    };
 
-            // Delete photo from S3 and update user profile
-            const result = await deletePhoto(user.username, s3Key);
-            
-            // Update local state
-            const updatedPhotos = result.photo_urls || [];
-            setUserPhotos(updatedPhotos);
-            
-            // Update user object
-            const updatedUser = {
-                ...user,
-                profile: {
-                    ...user.profile,
-                    photo_urls: updatedPhotos
-                }
-            };
-            setUser(updatedUser);
-            localStorage.setItem('user', JSON.stringify(updatedUser));
+    const handlePhotoDragEnter = (s3Key) => {
+        if (!draggedKey || s3Key === draggedKey) return;
+        setDragOrder(order => {
+            const next = order.filter(key => key !== draggedKey);
+            next.splice(order.indexOf(s3Key), 0, draggedKey);
+            return next;
+        });
+    };
+
+    const handlePhotoDragOver = (e) => {
+        if (draggedKey) e.preventDefault();
+    };
+
+    const handlePhotoDrop = (e) => {
+        if (!draggedKey) return;
+        e.preventDefault();
+        // Keep the file drop zone from treating this as an upload
+        e.stopPropagation();
+    };
+
+    const handlePhotoDragEnd = () => {
+        const order = dragOrder;
+        setDraggedKey(null);
+        setDragOrder(null);
+        if (order && order.some((key, i) => key !== photos[i]?.s3Key)) {
+            // Photos waiting to be deleted keep a place at the end in case they come back
+            savePhotoLayout({ photo_order: [...order, ...hiddenKeys] });
+        }
+    };
+
+    const handleSetPrimary = (s3Key) => savePhotoLayout({ primary_photo: s3Key });
+
+    const handleToggleTag = (photo, tag) => {
+        const tags = photo.tags.includes(tag) ? photo.tags.filter(t => t !== tag) : [...photo.tags, tag];
+        savePhotoLayout({ photo_tags: { ...(user.profile?.photo_tags || {}), [photo.s3Key]: tags } });
+    };
+
+    const savePhotoLayout = async (layout) => {
+        setError('');
+        try {
+            await updatePhotoLayout(user, layout);
         } catch (err) {
-            console.error('Delete failed:', err);
-            setError(err.message || 'Failed to delete photo. Please try again.');
+            console.error('Failed to save photo layout:', err);
+            setError(err.message || 'Failed to save your photo changes. Please try again.');
+        }
+    };
+
+    // Hide the photos right away; the delete only runs if the toast isn't undone
+    const removePhotos = (s3Keys) => {
+        if (s3Keys.length === 0) return;
+        setError('');
+        scheduleDelete(s3Keys, s3Keys.length === 1 ? 'Photo removed' : `${s3Keys.length} photos removed`);
+    };
+
+    const handleDeletePhoto = (photoUrl) => {
+        const s3Key = extractS3KeyFromUrl(photoUrl);
+        if (!s3Key) {
+            setError('Could not extract S3 key from photo URL');
+            return;
         }
+        removePhotos([s3Key]);
+    };
+
+    const toggleSelected = (s3Key) => {
+        setSelectedKeys(keys => (keys.includes(s3Key) ? keys.filter(key => key !== s3Key) : [...keys, s3Key]));
+    };
+
+    const handleRemoveSelected = () => {
+        removePhotos(selectedKeys);
+        setSelectedKeys(null);
     };
 
     const handleSaveProfile = async () => {
-        setUploading(true);
         setError('');
 
         try {
-            const updatedUser = await updateUser(user.username, editFields);
-            setUser(updatedUser);
-            
-            // Update edit fields with only the fields we want to show
-            const filteredProfile = {};
-            profileFieldsToShow.forEach(field => {
-                // Get value from profile or top-level user object (for username)
-                const value = updatedUser.profile?.[field] ?? updatedUser[field];
-                if (value !== undefined) {
-                    filteredProfile[field] = value;
-                }
-            });
-            setEditFields(filteredProfile);
-            localStorage.setItem('user', JSON.stringify(updatedUser));
+            await updateProfile(editFields);
             setIsEditing(false);
         } catch (err) {
             console.error('Update failed:', err);
             setError('Failed to update profile. Please try again.');
-        } finally {
-            setUploading(false);
         }
     };
 
+    const handleStartEdit = () => {
+        setEditFields(getEditableFields(user));
+        setIsEditing(true);
+    };
+
     const handleCancelEdit = () => {
-        const filteredProfile = {};
-        profileFieldsToShow.forEach(field => {
-            // Get value from profile or top-level user object (for username)
-            const value = user.profile?.[field] ?? user[field];
-            if (value !== undefined) {
-                filteredProfile[field] = value;
-            }
-        });
-        setEditFields(filteredProfile);
         setIsEditing(false);
         setError('');
     };
@@ -233,8 +314,9 @@ const Dashboard = () => {
                             </button>
                         )}
                         <button
-                            onClick={() => {
-                                localStorage.removeItem('user');
+                            onClick={async () => {
+                                // Revokes the refresh token and clears the stored session
+                                await logout();
                                 navigate('/login');
                             }}
                             className="p-2 transition-colors rounded-lg hover:bg-white/5 text-zinc-400 hover:text-white"
@@ -287,7 +369,7 @@ const Dashboard = () => {
                             </div>
                             {!isEditing && (
                                 <button
-                                    onClick={() => setIsEditing(true)}
+                                    onClick={handleStartEdit}
                                     className="px-3 py-1.5 text-xs font-medium text-purple-400 border border-purple-500/30 rounded-lg hover:bg-purple-500/10 transition-colors"
                                 >
                                     Edit
@@ -301,6 +383,12 @@ const Dashboard = () => {
                             </div>
                         )}
 
+                        {unmetRequirement === 'profile' && (
+                            <div className="mb-4 p-3 text-sm text-purple-300 bg-purple-500/10 border border-purple-500/20 rounded-xl">
+                                Fill in your sizes, region, gender and age group so the stylist can find products that fit.
+                            </div>
+                        )}
+
                         {/* Profile Fields - Only show specified fields */}
                         <div className="space-y-4">
                             {profileFieldsToShow.map((field) => {
@@ -360,14 +448,14 @@ const Dashboard = () => {
                             <div className="flex gap-2 mt-6">
                                 <button
                                     onClick={handleSaveProfile}
-                                    disabled={uploading}
+                                    disabled={isUpdating}
                                     className="flex-1 px-4 py-2 text-sm font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
                                 >
-                                    {uploading ? 'Saving...' : 'Save'}
+                                    {isUpdating ? 'Saving...' : 'Save'}
                                 </button>
                                 <button
                                     onClick={handleCancelEdit}
-                                    disabled={uploading}
+                                    disabled={isUpdating}
                                     className="px-4 py-2 text-sm font-medium text-zinc-400 border border-white/10 rounded-lg hover:bg-white/5 disabled:opacity-50 transition-colors"
                                 >
                                     Cancel
@@ -383,14 +471,42 @@ const Dashboard = () => {
                         transition={{ delay: 0.1 }}
                         className="p-6 border lg:col-span-2 bg-zinc-900/50 border-white/10 rounded-2xl"
                     >
-                        <div className="flex items-center gap-4 mb-6">
-                            <div className="p-3 rounded-xl bg-blue-500/10 text-blue-400">
-                                <ImageIcon className="w-6 h-6" />
-                            </div>
-                            <div>
-                                <h2 className="text-lg font-semibold">User Photos</h2>
-                                <p className="text-sm text-zinc-500">Upload and manage your photos</p>
+                        <div className="flex items-center justify-between mb-6">
+                            <div className="flex items-center gap-4">
+                                <div className="p-3 rounded-xl bg-blue-500/10 text-blue-400">
+                                    <ImageIcon className="w-6 h-6" />
+                                </div>
+                                <div>
+                                    <h2 className="text-lg font-semibold">User Photos</h2>
+                                    <p className="text-sm text-zinc-500">Upload and manage your photos</p>
+                                </div>
                             </div>
+                            {selectedKeys ? (
+                                <div className="flex items-center gap-2">
+                                    <span className="text-xs text-zinc-500">{selectedKeys.length} selected</span>
+                                    <button
+                                        onClick={handleRemoveSelected}
+                                        disabled={selectedKeys.length === 0}
+                                        className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium text-red-400 border border-red-500/30 rounded-lg hover:bg-red-500/10 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                                    >
+                                        <Trash2 className="w-3.5 h-3.5" />
+                                        Remove
+                                    </button>
+                                    <button
+                                        onClick={() => setSelectedKeys(null)}
+                                        className="px-3 py-1.5 text-xs font-medium text-zinc-400 border border-white/10 rounded-lg hover:bg-white/5 transition-colors"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                            ) : photos.length > 1 && (
+                                <button
+                                    onClick={() => setSelectedKeys([])}
+                                    className="px-3 py-1.5 text-xs font-medium text-purple-400 border border-purple-500/30 rounded-lg hover:bg-purple-500/10 transition-colors"
+                                >
+                                    Select
+                                </button>
+                            )}
                         </div>
 
                         {/* Image Upload */}
@@ -399,60 +515,147 @@ const Dashboard = () => {
                                 <input
                                     type="file"
                                     accept="image/*"
-                                    onChange={handleImageUpload}
-                                    disabled={uploading}
+                                    multiple
+                                    onChange={handleFilesSelected}
                                     className="hidden"
                                     id="image-upload"
                                 />
                                 <label
                                     htmlFor="image-upload"
-                                    className={`flex items-center justify-center gap-2 px-4 py-3 border border-dashed rounded-xl cursor-pointer transition-all ${
-                                        uploading
-                                            ? 'border-zinc-600 bg-zinc-800/50 cursor-not-allowed'
-                                            : 'border-white/20 hover:border-purple-500/50 hover:bg-white/5'
-                                    }`}
+                                    className="flex items-center justify-center gap-2 px-4 py-3 border border-dashed rounded-xl cursor-pointer transition-all border-white/20 hover:border-purple-500/50 hover:bg-white/5"
                                 >
-                                    <Upload className={`w-4 h-4 ${uploading ? 'text-zinc-600' : 'text-zinc-400'}`} />
-                                    <span className={`text-sm ${uploading ? 'text-zinc-600' : 'text-zinc-400'}`}>
-                                        {uploading ? 'Uploading...' : 'Upload Photo'}
+                                    <Upload className="w-4 h-4 text-zinc-400" />
+                                    <span className="text-sm text-zinc-400">
+                                        Upload Photos
                                         </span>
+                                    <span className="hidden text-xs text-zinc-600 md:inline">or drop them below</span>
                                 </label>
                             </div>
-                                    </div>
+                        </div>
+
+                        <UploadQueue
+                            items={uploadItems}
+                            onCancel={uploadQueue.cancel}
+                            onRetry={uploadQueue.retry}
+                            onRemove={uploadQueue.remove}
+                            onClearFinished={uploadQueue.clearFinished}
+                        />
 
-                        {/* Display User Photos */}
-                        {userPhotos.length > 0 ? (
+                        {/* Photo grid doubles as the drop zone */}
+                        <div
+                            onDragOver={handleDragOver}
+                            onDragLeave={handleDragLeave}
+                            onDrop={handleDrop}
+                            className={`rounded-xl transition-colors ${isDragging ? 'ring-2 ring-purple-500/60 bg-purple-500/5' : ''}`}
+                        >
+                        {/* Display User Photos - drag to reorder, star marks the primary photo */}
+                        {displayedPhotos.length > 0 ? (
                             <div className="grid grid-cols-2 gap-4 md:grid-cols-3">
-                                {userPhotos.map((photoUrl, idx) => (
-                                    <div key={idx} className="relative group">
+                                {displayedPhotos.map((photo, idx) => {
+                                    const photoUrl = photo.url;
+                                    const isSelected = selectedKeys?.includes(photo.s3Key);
+                                    return (
+                                    <div
+                                        key={photo.s3Key}
+                                        draggable={!selectedKeys}
+                                        onClick={selectedKeys ? () => toggleSelected(photo.s3Key) : undefined}
+                                        onDragStart={handlePhotoDragStart(photo.s3Key)}
+                                        onDragEnter={() => handlePhotoDragEnter(photo.s3Key)}
+                                        onDragOver={handlePhotoDragOver}
+                                        onDrop={handlePhotoDrop}
+                                        onDragEnd={handlePhotoDragEnd}
+                                        className={`relative group ${selectedKeys ? 'cursor-pointer' : 'cursor-move'} ${draggedKey === photo.s3Key ? 'opacity-40' : ''}`}
+                                    >
                                         <img
                                             src={getImageProxyUrl(photoUrl, user.username)}
                                             alt={`User photo ${idx + 1}`}
-                                            className="w-full h-48 object-cover rounded-xl border border-white/10"
-                                            onError={(e) => {
+                                            // Loaded with CORS, so the service worker can tell a working photo from an error
+                                            crossOrigin="anonymous"
+                                            draggable={false}
+                                            className={`w-full h-48 object-cover rounded-xl border ${isSelected ? 'border-red-500 ring-2 ring-red-500/60' : photo.isPrimary ? 'border-purple-500' : 'border-white/10'}`}
+                                            onError={async (e) => {
+                                                const img = e.currentTarget;
+                                                // The URL has most likely expired: re-sign it once, which re-renders with the new URL
+                                                const refreshedUrl = await retryImageUrl(user.username, photoUrl);
                                                 // Fallback to original URL if proxy fails
-                                                if (e.target.src !== photoUrl) {
-                                                    e.target.src = photoUrl;
+                                                if (!refreshedUrl && img.src !== photoUrl) {
+                                                    img.src = photoUrl;
                                                 }
                                             }}
                                         />
-                                        {/* Delete button at top right corner */}
+                                        {photo.isPrimary && (
+                                            <span className="absolute px-2 py-0.5 text-[10px] font-semibold text-white bg-purple-600 rounded-full bottom-2 left-2">
+                                                Primary
+                                            </span>
+                                        )}
+                                        {selectedKeys ? (
+                                            <span className={`absolute top-2 right-2 flex items-center justify-center w-6 h-6 rounded-full border-2 shadow-lg ${isSelected ? 'bg-red-500 border-red-500' : 'bg-black/50 border-white/70'}`}>
+                                                {isSelected && <Check className="w-4 h-4 text-white" />}
+                                            </span>
+                                        ) : (
+                                        <>
+                                        {/* Re-frame an existing photo; the edit replaces it */}
+                                        <button
+                                            onClick={() => handleEditPhoto(photoUrl, idx)}
+                                            className="absolute top-2 left-2 p-1.5 bg-black/70 hover:bg-black rounded-full transition-all opacity-0 group-hover:opacity-100 shadow-lg z-10"
+                                            title="Edit photo"
+                                        >
+                                            <Crop className="w-4 h-4 text-white" />
+                                        </button>
+                                        {!photo.isPrimary && (
+                                            <button
+                                                onClick={() => handleSetPrimary(photo.s3Key)}
+                                                className="absolute top-2 left-11 p-1.5 bg-black/70 hover:bg-black rounded-full transition-all opacity-0 group-hover:opacity-100 shadow-lg z-10"
+                                                title="Use as primary photo"
+                                            >
+                                                <Star className="w-4 h-4 text-white" />
+                                            </button>
+                                        )}
+                                        {/* Delete button at top right corner; undoable from the toast */}
                                         <button
-                                            onClick={() => handleDeletePhoto(photoUrl, idx)}
+                                            onClick={() => handleDeletePhoto(photoUrl)}
                                             className="absolute top-2 right-2 p-1.5 bg-red-500/90 hover:bg-red-500 rounded-full transition-all opacity-0 group-hover:opacity-100 shadow-lg z-10"
                                             title="Delete photo"
                                         >
                                             <X className="w-4 h-4 text-white" />
                                         </button>
+                                        </>
+                                        )}
+                                        {/* Tags help the stylist pick the right photo per product category */}
+                                        <div className="flex flex-wrap gap-1 mt-2">
+                                            {(taggingKey === photo.s3Key ? PHOTO_TAGS : photo.tags).map(tag => (
+                                                <button
+                                                    key={tag}
+                                                    onClick={() => taggingKey === photo.s3Key && handleToggleTag(photo, tag)}
+                                                    className={`px-2 py-0.5 text-[10px] rounded-full border transition-colors ${photo.tags.includes(tag)
+                                                        ? 'border-purple-500/50 bg-purple-500/10 text-purple-300'
+                                                        : 'border-white/10 text-zinc-500 hover:text-zinc-300'
+                                                        }`}
+                                                >
+                                                    {tag}
+                                                </button>
+                                            ))}
+                                            {!selectedKeys && (
+                                            <button
+                                                onClick={() => setTaggingKey(taggingKey === photo.s3Key ? null : photo.s3Key)}
+                                                className="px-2 py-0.5 text-[10px] rounded-full border border-dashed border-white/10 text-zinc-500 hover:text-zinc-300"
+                                            >
+                                                {taggingKey === photo.s3Key ? 'Done' : (photo.tags.length > 0 ? 'Edit tags' : '+ Tags')}
+                                            </button>
+                                            )}
+                                        </div>
                                     </div>
-                                ))}
+                                    );
+                                })}
                         </div>
                         ) : (
                             <div className="text-center py-12 text-zinc-500">
                                 <ImageIcon className="w-12 h-12 mx-auto mb-2 opacity-50" />
                                 <p>No photos uploaded yet</p>
+                                <p className="mt-1 text-xs text-zinc-600">Drag photos here to upload them</p>
                             </div>
                         )}
+                        </div>
                     </motion.div>
 
                     {/* Liked Items Section */}
@@ -496,6 +699,21 @@ const Dashboard = () => {
 
                 </div>
             </main>
+
+            {pendingEdits.length > 0 && (
+                <PhotoEditor
+                    key={pendingEdits[0].id}
+                    file={pendingEdits[0].file}
+                    title={pendingEdits[0].replaces ? 'Edit photo' : undefined}
+                    subtitle={pendingEdits.length > 1 ? `Photo 1 of ${pendingEdits.length}` : undefined}
+                    saveLabel={pendingEdits[0].replaces ? 'Save' : undefined}
+                    onSave={finishEdit}
+                    onSkip={pendingEdits[0].replaces ? undefined : () => finishEdit(pendingEdits[0].file)}
+                    onCancel={() => finishEdit(null)}
+                />
+            )}
+
+            <UndoToast items={pendingDeletes} onUndo={undoDelete} />
         </div>
     );
 };
@@ -1,37 +1,77 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { Sparkles, ArrowRight } from 'lucide-react';
-import { login } from '../services/api';
+import { Sparkles, ArrowRight, Mail } from 'lucide-react';
+import { login, loginWithPassword, requestMagicLink } from '../services/api';
+import { isDevAuthMode } from '../services/auth';
+import { AuthError } from '../services/errors';
+import { setSessionUser } from '../services/session';
 
 const Login = () => {
+    const devMode = isDevAuthMode();
+    const [method, setMethod] = useState('password');
     const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [email, setEmail] = useState('');
+    const [linkSent, setLinkSent] = useState(false);
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
-    const navigate = useNavigate();
 
     const handleLogin = async (e) => {
         e.preventDefault();
+        if (method === 'magic' && !devMode) {
+            await handleMagicLink();
+            return;
+        }
+
         if (!username.trim()) {
             setError('Please enter a username');
             return;
         }
+        if (!devMode && !password) {
+            setError('Please enter your password');
+            return;
+        }
 
         setLoading(true);
         setError('');
 
         try {
-            const data = await login(username.trim());
-            localStorage.setItem('user', JSON.stringify(data));
-            navigate('/dashboard');
+            // Dev mode keeps the legacy username-only flow; everything else gets a token session
+            const data = devMode
+                ? await login(username.trim())
+                : await loginWithPassword(username.trim(), password);
+            // The login route's guard takes the user on to where they were headed
+            setSessionUser(data);
         } catch (error) {
             console.error('Login failed:', error);
-            setError('Login failed. Please try again.');
+            setError(error instanceof AuthError ? 'Incorrect username or password.' : 'Login failed. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleMagicLink = async () => {
+        if (!email.trim()) {
+            setError('Please enter your email');
+            return;
+        }
+
+        setLoading(true);
+        setError('');
+
+        try {
+            await requestMagicLink(email.trim());
+            setLinkSent(true);
+        } catch (error) {
+            console.error('Magic link request failed:', error);
+            setError(error.message || 'Failed to send sign-in link. Please try again.');
         } finally {
             setLoading(false);
         }
     };
 
+    const inputClassName = 'w-full px-4 py-3 text-white transition-all duration-200 border outline-none bg-white/5 border-white/10 rounded-xl focus:border-purple-500/50 focus:bg-white/10 placeholder:text-zinc-600';
+
     return (
         <div className="flex items-center justify-center min-h-screen bg-black selection:bg-purple-500/30">
             <div className="absolute inset-0 bg-[radial-gradient(ellipse_at_top,_var(--tw-gradient-stops))] from-purple-900/20 via-black to-black" />
@@ -53,19 +93,88 @@ const Login = () => {
                     </p>
                 </div>
 
-                <form onSubmit={handleLogin} className="space-y-4">
-                    <div>
-                        <label className="block mb-2 text-xs font-medium tracking-wider text-zinc-500 uppercase">
-                            Username
-                        </label>
-                        <input
-                            type="text"
-                            value={username}
-                            onChange={(e) => setUsername(e.target.value)}
-                            className="w-full px-4 py-3 text-white transition-all duration-200 border outline-none bg-white/5 border-white/10 rounded-xl focus:border-purple-500/50 focus:bg-white/10 placeholder:text-zinc-600"
-                            placeholder="Enter your username"
-                        />
+                {devMode ? (
+                    <div className="mb-4 px-3 py-2 text-xs text-center text-yellow-400 border rounded-lg bg-yellow-500/10 border-yellow-500/20">
+                        Dev mode: username-only login, no password required
                     </div>
+                ) : (
+                    <div className="flex p-1 mb-6 rounded-xl bg-white/5">
+                        {[['password', 'Password'], ['magic', 'Email link']].map(([value, label]) => (
+                            <button
+                                key={value}
+                                type="button"
+                                onClick={() => {
+                                    setMethod(value);
+                                    setError('');
+                                }}
+                                className={`flex-1 py-2 text-sm font-medium rounded-lg transition-colors ${method === value ? 'bg-white/10 text-white' : 'text-zinc-500 hover:text-zinc-300'}`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {linkSent && method === 'magic' ? (
+                    <div className="flex flex-col items-center gap-3 py-6 text-center">
+                        <Mail className="w-8 h-8 text-purple-400" />
+                        <p className="text-sm text-zinc-300">Check your inbox for a sign-in link sent to <span className="font-medium text-white">{email}</span>.</p>
+                        <button
+                            type="button"
+                            onClick={() => setLinkSent(false)}
+                            className="text-xs text-zinc-500 hover:text-zinc-300"
+                        >
+                            Use a different email
+                        </button>
+                    </div>
+                ) : (
+                <form onSubmit={handleLogin} className="space-y-4">
+                    {method === 'magic' && !devMode ? (
+                        <div>
+                            <label className="block mb-2 text-xs font-medium tracking-wider text-zinc-500 uppercase">
+                                Email
+                            </label>
+                            <input
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                autoComplete="email"
+                                className={inputClassName}
+                                placeholder="you@example.com"
+                            />
+                        </div>
+                    ) : (
+                        <>
+                            <div>
+                                <label className="block mb-2 text-xs font-medium tracking-wider text-zinc-500 uppercase">
+                                    Username
+                                </label>
+                                <input
+                                    type="text"
+                                    value={username}
+                                    onChange={(e) => setUsername(e.target.value)}
+                                    autoComplete="username"
+                                    className={inputClassName}
+                                    placeholder="Enter your username"
+                                />
+                            </div>
+                            {!devMode && (
+                                <div>
+                                    <label className="block mb-2 text-xs font-medium tracking-wider text-zinc-500 uppercase">
+                                        Password
+                                    </label>
+                                    <input
+                                        type="password"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        autoComplete="current-password"
+                                        className={inputClassName}
+                                        placeholder="Enter your password"
+                                    />
+                                </div>
+                            )}
+                        </>
+                    )}
 
                     {error && (
                         <div className="p-3 text-sm text-red-400 bg-red-500/10 border border-red-500/20 rounded-xl">
@@ -78,10 +187,15 @@ const Login = () => {
                         disabled={loading}
                         className="group relative w-full flex items-center justify-center gap-2 px-4 py-3 font-medium text-white transition-all duration-200 bg-gradient-to-r from-purple-600 to-pink-600 rounded-xl hover:opacity-90 active:scale-[0.98] disabled:opacity-50 disabled:cursor-not-allowed"
                     >
-                        <span>{loading ? 'Logging in...' : 'Get Started'}</span>
+                        <span>
+                            {method === 'magic' && !devMode
+                                ? (loading ? 'Sending link...' : 'Email me a sign-in link')
+                                : (loading ? 'Logging in...' : 'Get Started')}
+                        </span>
                         {!loading && <ArrowRight className="w-4 h-4 transition-transform group-hover:translate-x-1" />}
                     </button>
                 </form>
+                )}
             </motion.div>
         </div>
     );
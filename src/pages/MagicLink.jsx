@@ -0,0 +1,57 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Sparkles } from 'lucide-react';
+import { verifyMagicLink } from '../services/api';
+import { setSessionUser } from '../services/session';
+
+// Landing page for the emailed sign-in link: /auth/magic?token=...
+const MagicLink = () => {
+    const [searchParams] = useSearchParams();
+    const [error, setError] = useState('');
+    const navigate = useNavigate();
+    const token = searchParams.get('token');
+
+    // The token works only once: verify it a single time (StrictMode runs effects twice)
+    // and never abort the request, or the server uses it up without signing us in
+    const verifiedTokenRef = useRef(null);
+
+    useEffect(() => {
+        if (!token || verifiedTokenRef.current === token) return;
+        verifiedTokenRef.current = token;
+
+        verifyMagicLink(token)
+            .then((user) => {
+                setSessionUser(user);
+                navigate('/dashboard', { replace: true });
+            })
+            .catch((err) => {
+                console.error('Magic link sign-in failed:', err);
+                setError(err.message || 'This sign-in link is invalid or has expired.');
+            });
+    }, [token, navigate]);
+
+    const message = !token ? 'This sign-in link is missing its token.' : error;
+
+    return (
+        <div className="flex items-center justify-center min-h-screen bg-black">
+            <div className="flex flex-col items-center gap-4 p-8 text-center">
+                <Sparkles className={`w-8 h-8 text-purple-400 ${message ? '' : 'animate-pulse'}`} />
+                {message ? (
+                    <>
+                        <p className="text-sm text-red-400">{message}</p>
+                        <button
+                            onClick={() => navigate('/login', { replace: true })}
+                            className="px-4 py-2 text-sm font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700"
+                        >
+                            Back to login
+                        </button>
+                    </>
+                ) : (
+                    <p className="text-sm text-zinc-400">Signing you in...</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default MagicLink;
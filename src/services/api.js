@@ -4,13 +4,44 @@
  * ============================================================================
  * 
  * This file contains all API endpoints used by the frontend application.
- * Base URL: Configure via VITE_API_BASE_URL environment variable (default: http://localhost:8000)
+ * Base URL: Resolved by src/lib/config.js from the active backend profile (local/staging/prod)
+ *           and the VITE_API_BASE_URL override
  * 
  * REST API ENDPOINTS:
  * ===================
  * 
+ * AUTHENTICATION:
+ * ===============
+ * 
+ * POST /api/auth/login
+ *    Description: Password login
+ *    Request Body: { username: string, password: string }
+ *    Response: { access_token: string, refresh_token: string, expires_in: number, user: Object }
+ *    Usage: loginWithPassword(username, password)
+ * 
+ * POST /api/auth/magic-link
+ *    Description: Email a one-time sign-in link pointing at {redirect_url}?token=...
+ *    Request Body: { email: string, redirect_url: string }
+ *    Usage: requestMagicLink(email)
+ * 
+ * POST /api/auth/magic-link/verify
+ *    Description: Exchange a magic-link token for a session
+ *    Request Body: { token: string }
+ *    Response: Same as POST /api/auth/login
+ *    Usage: verifyMagicLink(token)
+ * 
+ * GET /api/auth/me
+ *    Description: Current user for the access token
+ *    Response: User object with profile
+ *    Usage: getCurrentUser()
+ * 
+ * POST /api/auth/refresh, POST /api/auth/logout
+ *    Handled by services/auth.js (silent refresh on 401, token revocation on logout)
+ * 
+ * Every request carries `Authorization: Bearer <access_token>` once logged in.
+ * 
  * 1. POST /api/login
- *    Description: Login or create a new user
+ *    Description: Login or create a new user by username only. DEV MODE ONLY (VITE_AUTH_MODE=dev)
  *    Request Body: { username: string }
  *    Response: User object with profile
  *    Usage: login(username)
@@ -22,6 +53,23 @@
  *    Response: { upload_url: string, image_url: string, s3_key: string, expires_in: number }
  *    Usage: getUploadUrl(username, fileName, fileType)
  * 
+ * MULTIPART UPLOADS (large files, resumable - see services/uploads.js):
+ *    POST /api/upload-multipart/{username}
+ *       Request Body: { file_name: string, file_type: string, file_size: number }
+ *       Response: { upload_id: string, s3_key: string, part_size: number }
+ *       Usage: startMultipartUpload(username, file)
+ *    POST /api/upload-multipart/{username}/part-urls
+ *       Request Body: { upload_id: string, s3_key: string, part_numbers: number[] }
+ *       Response: { parts: [{ part_number: number, upload_url: string }] }
+ *       Usage: getMultipartPartUrls(username, uploadId, s3Key, partNumbers)
+ *    POST /api/upload-multipart/{username}/complete
+ *       Request Body: { upload_id: string, s3_key: string, parts: [{ part_number: number, etag: string }] }
+ *       Response: { s3_key: string, image_url: string, expires_in: number }
+ *       Usage: completeMultipartUpload(username, uploadId, s3Key, parts)
+ *    POST /api/upload-multipart/{username}/abort
+ *       Request Body: { upload_id: string, s3_key: string }
+ *       Usage: abortMultipartUpload(username, uploadId, s3Key)
+ * 
  * 3. GET /api/image-url/{username}
  *    Description: Get presigned URL for viewing/downloading image from S3 (for refreshing expired URLs)
  *    Path Params: username (string)
@@ -32,9 +80,10 @@
  * 4. PUT /api/update/{username}
  *    Description: Update user credentials/profile (stores S3 key after upload, returns image_url)
  *    Path Params: username (string)
- *    Request Body: FormData with s3_key (string)
+ *    Request Body: FormData with s3_key (string), or photo layout fields:
+ *                  photo_order (JSON s3_key[]), primary_photo (s3_key), photo_tags (JSON { [s3_key]: string[] })
  *    Response: Updated user object with image_url field
- *    Usage: updateUser(username, { s3_key: string })
+ *    Usage: updateUser(username, { s3_key: string }) - layout changes via services/queries.updatePhotoLayout
  * 
  * 3. POST /api/like/{username}/{image_id}
  *    Description: Like an image (updates user embeddings internally)
@@ -52,20 +101,61 @@
  * 5. GET /api/chats/{username}
  *    Description: Get all chat sessions for a user
  *    Path Params: username (string)
+ *    Query Params: include_messages=false - sessions only, with message_count
+ *      instead of the full history (the chat view pages it in from the messages
+ *      endpoint below); true returns every message, for the search index
  *    Response: Array of chat session objects
- *    Usage: getChats(username)
+ *    Usage: getChats(username, { includeMessages })
+ * 
+ * CHAT SESSION MANAGEMENT (cached wrappers in services/queries.js):
+ *    PATCH /api/chats/{user_id}/{chat_id}
+ *       Request Body: { session_name?: string, pinned?: boolean, archived?: boolean }
+ *       Response: Updated chat session object
+ *       Usage: updateChat(userId, chatId, fields) - rename, pin and archive
+ *    DELETE /api/chats/{user_id}/{chat_id}
+ *       Response: { success: true }
+ *       Usage: deleteChat(userId, chatId)
+ *    GET /api/chats/{user_id}/{chat_id}/messages?limit=30&before={message_id}
+ *       Response: { messages: [...] (oldest first, each with an id), has_more: boolean }
+ *       The latest `limit` messages, or the ones just before `before`
+ *       Usage: getChatMessages(userId, chatId, { before, limit })
  * 
  * 6. POST /chat
  *    Description: Send a chat message and get AI response
- *    Request Body: { message: string, user_id: string, thread_id?: string }
+ *    Request Body: { message: string, user_id: string, thread_id?: string, client_id?: string }
  *    Response: { response: string, thread_id: string, user_id: string, ... }
+ *    client_id is generated by the app for each message and returned on the stored
+ *    user message by getChats, so the optimistic copy can be matched with it
  *    Usage: sendChatMessage(message, userId, threadId?)
  * 
+ * 7. POST /chat/stream
+ *    Description: Same as POST /chat, streamed as Server-Sent Events
+ *    Request Body: { message: string, user_id: string, thread_id?: string, client_id?: string }
+ *    Events: token { delta }, ranked_products [...], styled_products [...],
+ *            merged_images {...}, done { response, thread_id, ... }, error { detail }
+ *    Usage: streamChatMessage(message, userId, threadId?, { onToken, onProducts, onMergedImages })
+ * 
+ * ERRORS & CANCELLATION:
+ * =======================
+ * 
+ * All requests go through the shared core in services/http.js. Failures reject with
+ * an ApiError subclass from services/errors.js (NetworkError, TimeoutError,
+ * ValidationError, AuthError, ServerError) carrying `status` and the backend `detail`.
+ * GET requests are retried with exponential backoff. Every function accepts a
+ * trailing `options` object with an AbortSignal: fn(..., { signal }).
+ * 
  * ============================================================================
  */
 
-// API Base URL - Production endpoint
-const API_BASE_URL = 'https://aura-ai-997596012968.us-central1.run.app';
+import { getConfig } from '../lib/config';
+import { request } from './http';
+import { ValidationError } from './errors';
+import { isDevAuthMode, setTokens } from './auth';
+import { readEventStream } from '../lib/sse';
+import { applyMergedImages } from '../lib/chatMessages';
+
+// API Base URL - resolved per call so a runtime profile switch takes effect
+const apiBaseUrl = () => getConfig().apiBaseUrl;
 
 /**
  * Convert S3 URL to backend proxy URL (avoids CORS issues)
@@ -84,12 +174,12 @@ export const getImageProxyUrl = (s3Url, username) => {
         const pathParts = url.pathname.split('/');
         // Path format: /bucket-name/users/username/profile/filename.jpg
         // We need: users/username/profile/filename.jpg
-        const bucketIndex = pathParts.findIndex(part => part === 'aura-ai-users');
+        const bucketIndex = pathParts.findIndex(part => part === getConfig().imageBucket);
         if (bucketIndex !== -1 && bucketIndex < pathParts.length - 1) {
             const s3Key = pathParts.slice(bucketIndex + 1).join('/');
             // Pass both s3_key and image_url (presigned URL) to backend
             // Backend will use image_url if available, otherwise generate new presigned URL
-            return `${API_BASE_URL}/api/image-proxy/${username}?s3_key=${encodeURIComponent(s3Key)}&image_url=${encodeURIComponent(s3Url)}`;
+            return `${apiBaseUrl()}/api/image-proxy/${username}?s3_key=${encodeURIComponent(s3Key)}&image_url=${encodeURIComponent(s3Url)}`;
         }
     } catch (e) {
         console.warn('Failed to parse S3 URL:', e);
@@ -99,6 +189,22 @@ export const getImageProxyUrl = (s3Url, username) => {
     return s3Url;
 };
 
+/**
+ * Download a photo (through the backend proxy when possible) so it can be edited locally
+ * @param {string} photoUrl - Photo URL from the profile
+ * @param {string} username - Username
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Blob>} Image data
+ */
+export const fetchPhotoBlob = async (photoUrl, username, { signal } = {}) => {
+    const response = await request(getImageProxyUrl(photoUrl, username), {
+        signal,
+        raw: true,
+        errorMessage: 'Failed to load photo',
+    });
+    return response.blob();
+};
+
 /**
  * Extract S3 key from a photo URL (presigned URL or proxy URL)
  * @param {string} photoUrl - Photo URL (presigned URL or proxy URL)
@@ -115,10 +221,16 @@ export const extractS3KeyFromUrl = (photoUrl) => {
         if (s3KeyParam) {
             return decodeURIComponent(s3KeyParam);
         }
+
+        // blob:/data: URLs (mock backend) carry the key in the fragment instead
+        const s3KeyHash = new URLSearchParams(url.hash.slice(1)).get('s3_key');
+        if (s3KeyHash) {
+            return s3KeyHash;
+        }
         
         // Otherwise, extract from pathname (presigned URL)
         const pathParts = url.pathname.split('/');
-        const bucketIndex = pathParts.findIndex(part => part === 'aura-ai-users');
+        const bucketIndex = pathParts.findIndex(part => part === getConfig().imageBucket);
         if (bucketIndex !== -1 && bucketIndex < pathParts.length - 1) {
             return pathParts.slice(bucketIndex + 1).join('/');
         }
@@ -130,36 +242,116 @@ export const extractS3KeyFromUrl = (photoUrl) => {
 };
 
 /**
- * Login user
- * @param {string} username - Username for login
+ * Store the tokens from an auth response and return its user
+ * @param {Object} data - { access_token, refresh_token, expires_in, user }
+ * @returns {Object} User data
+ */
+const startSession = (data) => {
+    if (!data?.access_token) {
+        throw new Error('Login failed: no access token returned');
+    }
+    setTokens(data);
+    return data.user;
+};
+
+/**
+ * Log in with username and password
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @param {Object} [options] - { signal?: AbortSignal }
  * @returns {Promise<Object>} User data
  */
-export const login = async (username) => {
+export const loginWithPassword = async (username, password, { signal } = {}) => {
     if (!username || !username.trim()) {
         throw new Error('Username is required');
     }
 
-    try {
-        const response = await fetch(`${API_BASE_URL}/api/login`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ username: username.trim() }),
-        });
+    if (!password) {
+        throw new Error('Password is required');
+    }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.message || `Login failed: ${response.statusText}`);
-        }
+    const data = await request('/api/auth/login', {
+        method: 'POST',
+        body: { username: username.trim(), password },
+        auth: false,
+        signal,
+        errorMessage: 'Login failed',
+    });
+    return startSession(data);
+};
 
-        return await response.json();
-    } catch (error) {
-        if (error instanceof Error) {
-            throw error;
-        }
-        throw new Error('Network error: Failed to connect to server');
+/**
+ * Email a magic sign-in link
+ * @param {string} email - Email address
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} Response data
+ */
+export const requestMagicLink = async (email, { signal } = {}) => {
+    if (!email || !email.trim()) {
+        throw new Error('Email is required');
+    }
+
+    return request('/api/auth/magic-link', {
+        method: 'POST',
+        body: { email: email.trim(), redirect_url: `${window.location.origin}/auth/magic` },
+        auth: false,
+        signal,
+        errorMessage: 'Failed to send sign-in link',
+    });
+};
+
+/**
+ * Exchange the token from a magic link for a session
+ * @param {string} token - Token from the link's query string
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} User data
+ */
+export const verifyMagicLink = async (token, { signal } = {}) => {
+    if (!token) {
+        throw new Error('Sign-in token is required');
+    }
+
+    const data = await request('/api/auth/magic-link/verify', {
+        method: 'POST',
+        body: { token },
+        auth: false,
+        signal,
+        errorMessage: 'Sign-in link is invalid or has expired',
+    });
+    return startSession(data);
+};
+
+/**
+ * Get the user the current access token belongs to
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} User data
+ */
+export const getCurrentUser = async ({ signal } = {}) => request('/api/auth/me', {
+    signal,
+    errorMessage: 'Failed to load user',
+});
+
+/**
+ * Login user by username only (legacy flow, dev mode only)
+ * @param {string} username - Username for login
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} User data
+ */
+export const login = async (username, { signal } = {}) => {
+    if (!isDevAuthMode()) {
+        throw new Error('Username-only login is disabled. Set VITE_AUTH_MODE=dev to enable it.');
+    }
+
+    if (!username || !username.trim()) {
+        throw new Error('Username is required');
     }
+
+    return request('/api/login', {
+        method: 'POST',
+        body: { username: username.trim() },
+        signal,
+        errorMessage: 'Login failed',
+    });
 };
 
 /**
@@ -167,9 +359,10 @@ export const login = async (username) => {
  * @param {string} username - Username
  * @param {string} fileName - Name of the file
  * @param {string} fileType - MIME type of the file (e.g., 'image/jpeg')
+ * @param {Object} [options] - { signal?: AbortSignal }
  * @returns {Promise<Object>} { upload_url: string, image_url: string, s3_key: string, expires_in: number }
  */
-export const getUploadUrl = async (username, fileName, fileType) => {
+export const getUploadUrl = async (username, fileName, fileType, { signal } = {}) => {
     if (!username || !username.trim()) {
         throw new Error('Username is required');
     }
@@ -182,119 +375,143 @@ export const getUploadUrl = async (username, fileName, fileType) => {
         throw new Error('File type is required');
     }
 
-    try {
-        const params = new URLSearchParams({
-            file_name: fileName,
-            file_type: fileType
-        });
-
-        const response = await fetch(`${API_BASE_URL}/api/upload-url/${username}?${params}`, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.detail || errorData.message || `Failed to get upload URL: ${response.statusText}`);
-        }
-
-        return await response.json();
-    } catch (error) {
-        if (error instanceof Error) {
-            throw error;
-        }
-        throw new Error('Network error: Failed to connect to server');
-    }
+    return request(`/api/upload-url/${username}`, {
+        query: { file_name: fileName, file_type: fileType },
+        signal,
+        errorMessage: 'Failed to get upload URL',
+    });
 };
 
 /**
  * Get presigned URL for viewing/downloading image from S3
  * @param {string} username - Username
  * @param {string} s3Key - Optional S3 key. If not provided, returns user's profile image
+ * @param {Object} [options] - { signal?: AbortSignal }
  * @returns {Promise<Object>} { image_url: string, s3_key: string, expires_in: number }
  */
-export const getImageUrl = async (username, s3Key = null) => {
+export const getImageUrl = async (username, s3Key = null, { signal } = {}) => {
     if (!username || !username.trim()) {
         throw new Error('Username is required');
     }
 
-    try {
-        const params = new URLSearchParams();
-        if (s3Key) {
-            params.append('s3_key', s3Key);
-        }
-
-        const url = s3Key 
-            ? `${API_BASE_URL}/api/image-url/${username}?${params}`
-            : `${API_BASE_URL}/api/image-url/${username}`;
-
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.detail || errorData.message || `Failed to get image URL: ${response.statusText}`);
-        }
-
-        return await response.json();
-    } catch (error) {
-        if (error instanceof Error) {
-            throw error;
-        }
-        throw new Error('Network error: Failed to connect to server');
-    }
+    return request(`/api/image-url/${username}`, {
+        query: s3Key ? { s3_key: s3Key } : undefined,
+        signal,
+        errorMessage: 'Failed to get image URL',
+    });
 };
 
 /**
  * Upload file directly to S3 using presigned URL
- * @param {string} uploadUrl - Presigned URL from getUploadUrl
- * @param {File} file - File to upload
- * @returns {Promise<Response>} Fetch response
+ * @param {string} uploadUrl - Presigned URL from getUploadUrl (or a multipart part URL)
+ * @param {Blob} file - File (or file slice) to upload
+ * @param {Object} [options] - { signal?: AbortSignal, onProgress?: ({ loaded, total }) => void }
+ * @returns {Promise<Response>} Fetch response (its ETag header identifies multipart parts)
  */
-export const uploadFileToS3 = async (uploadUrl, file) => {
+export const uploadFileToS3 = async (uploadUrl, file, { signal, onProgress } = {}) => {
     if (!uploadUrl) {
         throw new Error('Upload URL is required');
     }
 
-    if (!file || !(file instanceof File)) {
+    if (!file || !(file instanceof Blob)) {
         throw new Error('File is required');
     }
 
-    try {
-        const response = await fetch(uploadUrl, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': file.type,
-            },
-            body: file,
-        });
+    return request(uploadUrl, {
+        method: 'PUT',
+        headers: file.type ? { 'Content-Type': file.type } : {},
+        body: file,
+        signal,
+        // Large uploads on slow connections legitimately take minutes
+        timeout: 0,
+        errorMessage: 'Failed to upload file to S3',
+        raw: true,
+        onUploadProgress: onProgress,
+    });
+};
 
-        if (!response.ok) {
-            throw new Error(`Failed to upload file to S3: ${response.statusText}`);
-        }
+/**
+ * Start a multipart upload for a large file
+ * @param {string} username - Username
+ * @param {File} file - File to upload
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} { upload_id: string, s3_key: string, part_size: number }
+ */
+export const startMultipartUpload = async (username, file, { signal } = {}) => {
+    if (!username || !username.trim()) {
+        throw new Error('Username is required');
+    }
 
-        return response;
-    } catch (error) {
-        if (error instanceof Error) {
-            throw error;
-        }
-        throw new Error('Network error: Failed to upload file');
+    return request(`/api/upload-multipart/${username}`, {
+        method: 'POST',
+        body: { file_name: file.name, file_type: file.type, file_size: file.size },
+        signal,
+        errorMessage: 'Failed to start upload',
+    });
+};
+
+/**
+ * Get presigned URLs for parts of a multipart upload
+ * @param {string} username - Username
+ * @param {string} uploadId - Multipart upload ID
+ * @param {string} s3Key - S3 key of the upload
+ * @param {number[]} partNumbers - 1-based part numbers
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} { parts: [{ part_number: number, upload_url: string }] }
+ */
+export const getMultipartPartUrls = async (username, uploadId, s3Key, partNumbers, { signal } = {}) => request(
+    `/api/upload-multipart/${username}/part-urls`,
+    {
+        method: 'POST',
+        body: { upload_id: uploadId, s3_key: s3Key, part_numbers: partNumbers },
+        signal,
+        errorMessage: 'Failed to get upload part URLs',
     }
+);
+
+/**
+ * Assemble the uploaded parts into the final object
+ * @param {string} username - Username
+ * @param {string} uploadId - Multipart upload ID
+ * @param {string} s3Key - S3 key of the upload
+ * @param {Array} parts - [{ part_number: number, etag: string }] in part order
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} { s3_key: string, image_url: string, expires_in: number }
+ */
+export const completeMultipartUpload = async (username, uploadId, s3Key, parts, { signal } = {}) => request(
+    `/api/upload-multipart/${username}/complete`,
+    {
+        method: 'POST',
+        body: { upload_id: uploadId, s3_key: s3Key, parts },
+        signal,
+        errorMessage: 'Failed to complete upload',
+    }
+);
+
+/**
+ * Abort a multipart upload and discard its parts
+ * @param {string} username - Username
+ * @param {string} uploadId - Multipart upload ID
+ * @param {string} s3Key - S3 key of the upload
+ * @returns {Promise<void>}
+ */
+export const abortMultipartUpload = async (username, uploadId, s3Key) => {
+    await request(`/api/upload-multipart/${username}/abort`, {
+        method: 'POST',
+        body: { upload_id: uploadId, s3_key: s3Key },
+        timeout: 5000,
+        errorMessage: 'Failed to abort upload',
+    });
 };
 
 /**
  * Upload file through backend proxy (avoids CORS issues)
  * @param {string} username - Username
  * @param {File} file - File to upload
+ * @param {Object} [options] - { signal?: AbortSignal }
  * @returns {Promise<Object>} Updated user data
  */
-export const uploadImageViaProxy = async (username, file) => {
+export const uploadImageViaProxy = async (username, file, { signal } = {}) => {
     if (!username || !username.trim()) {
         throw new Error('Username is required');
     }
@@ -303,45 +520,29 @@ export const uploadImageViaProxy = async (username, file) => {
         throw new Error('File is required');
     }
 
-    try {
-        const formData = new FormData();
-        formData.append('file', file);
-
-        // Add username to FormData (backend expects it as Form parameter)
-        formData.append('username', username);
+    const formData = new FormData();
+    formData.append('file', file);
 
-        const response = await fetch(`${API_BASE_URL}/api/upload`, {
-            method: 'POST',
-            body: formData,
-        });
+    // Add username to FormData (backend expects it as Form parameter)
+    formData.append('username', username);
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.detail || errorData.message || `Upload failed: ${response.statusText}`);
-        }
-
-        return await response.json();
-    } catch (error) {
-        if (error instanceof Error) {
-            throw error;
-        }
-        throw new Error('Network error: Failed to upload image');
-    }
+    return request('/api/upload', {
+        method: 'POST',
+        body: formData,
+        signal,
+        timeout: 0,
+        errorMessage: 'Upload failed',
+    });
 };
 
-/**
- * Update user credentials/profile (stores S3 key after upload)
- * @param {string} username - Username
- * @param {Object} fields - Fields to update (e.g., { s3_key: string, ... })
- * @returns {Promise<Object>} Updated user data
- */
 /**
  * Delete a photo from S3 and user profile
  * @param {string} username - Username
  * @param {string} s3Key - S3 key of the photo to delete
+ * @param {Object} [options] - { signal?: AbortSignal }
  * @returns {Promise<Object>} Updated user data with photo_urls
  */
-export const deletePhoto = async (username, s3Key) => {
+export const deletePhoto = async (username, s3Key, { signal } = {}) => {
     if (!username || !username.trim()) {
         throw new Error('Username is required');
     }
@@ -350,31 +551,23 @@ export const deletePhoto = async (username, s3Key) => {
         throw new Error('S3 key is required');
     }
 
-    try {
-        // Backend endpoint: DELETE /api/image/{username}/{s3_key:path}
-        // FastAPI path parameters handle URL encoding automatically
-        const response = await fetch(`${API_BASE_URL}/api/image/${username}/${s3Key}`, {
-            method: 'DELETE',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.detail || errorData.message || `Failed to delete photo: ${response.statusText}`);
-        }
-
-        return await response.json();
-    } catch (error) {
-        if (error instanceof Error) {
-            throw error;
-        }
-        throw new Error('Network error: Failed to delete photo');
-    }
+    // Backend endpoint: DELETE /api/image/{username}/{s3_key:path}
+    // FastAPI path parameters handle URL encoding automatically
+    return request(`/api/image/${username}/${s3Key}`, {
+        method: 'DELETE',
+        signal,
+        errorMessage: 'Failed to delete photo',
+    });
 };
 
-export const updateUser = async (username, fields) => {
+/**
+ * Update user credentials/profile (stores S3 key after upload)
+ * @param {string} username - Username
+ * @param {Object} fields - Fields to update (e.g., { s3_key: string, ... })
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} Updated user data
+ */
+export const updateUser = async (username, fields, { signal } = {}) => {
     if (!username || !username.trim()) {
         throw new Error('Username is required');
     }
@@ -383,43 +576,31 @@ export const updateUser = async (username, fields) => {
         throw new Error('At least one field is required for update');
     }
 
-    try {
-        const formData = new FormData();
-        
-        // Append all fields to FormData
-        Object.entries(fields).forEach(([key, value]) => {
-            if (value !== null && value !== undefined) {
-                formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
-            }
-        });
-
-        const response = await fetch(`${API_BASE_URL}/api/update/${username}`, {
-            method: 'PUT',
-            // Don't set Content-Type header - browser will set it with boundary for FormData
-            body: formData,
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.detail || errorData.message || `Update failed: ${response.statusText}`);
-        }
+    const formData = new FormData();
 
-        return await response.json();
-    } catch (error) {
-        if (error instanceof Error) {
-            throw error;
+    // Append all fields to FormData
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) {
+            formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
         }
-        throw new Error('Network error: Failed to connect to server');
-    }
+    });
+
+    return request(`/api/update/${username}`, {
+        method: 'PUT',
+        body: formData,
+        signal,
+        errorMessage: 'Update failed',
+    });
 };
 
 /**
  * Like an image (updates user embeddings internally)
  * @param {string} username - Username
  * @param {string} imageId - Image ID
+ * @param {Object} [options] - { signal?: AbortSignal }
  * @returns {Promise<Object>} Response data
  */
-export const likeImage = async (username, imageId) => {
+export const likeImage = async (username, imageId, { signal } = {}) => {
     if (!username || !username.trim()) {
         throw new Error('Username is required');
     }
@@ -428,100 +609,108 @@ export const likeImage = async (username, imageId) => {
         throw new Error('Image ID is required');
     }
 
-    try {
-        const response = await fetch(`${API_BASE_URL}/api/like/${username}/${imageId}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.message || `Like failed: ${response.statusText}`);
-        }
-
-        return await response.json();
-    } catch (error) {
-        if (error instanceof Error) {
-            throw error;
-        }
-        throw new Error('Network error: Failed to connect to server');
-    }
+    return request(`/api/like/${username}/${imageId}`, {
+        method: 'POST',
+        signal,
+        errorMessage: 'Like failed',
+    });
 };
 
 /**
  * Create a new chat session
  * @param {Object} chatData - Chat session data (should include username)
+ * @param {Object} [options] - { signal?: AbortSignal }
  * @returns {Promise<Object>} Created chat session
  */
-export const createChat = async (chatData) => {
+export const createChat = async (chatData, { signal } = {}) => {
     if (!chatData || !chatData.user_id) {
         throw new Error('User ID is required to create a chat');
     }
 
-    try {
-        const response = await fetch(`${API_BASE_URL}/api/createChat/`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(chatData),
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.message || `Failed to create chat: ${response.statusText}`);
-        }
-
-        return await response.json();
-    } catch (error) {
-        if (error instanceof Error) {
-            throw error;
-        }
-        throw new Error('Network error: Failed to connect to server');
-    }
+    return request('/api/createChat/', {
+        method: 'POST',
+        body: chatData,
+        signal,
+        errorMessage: 'Failed to create chat',
+    });
 };
 
 /**
  * Get all chat sessions for a user
  * @param {string} user_id - User ID
+ * @param {Object} [options] - { includeMessages?: boolean (default false), signal?: AbortSignal }
  * @returns {Promise<Array>} Array of chat sessions
  */
-export const getChats = async (user_id) => {
+export const getChats = async (user_id, { includeMessages = false, signal } = {}) => {
     if (!user_id || !user_id.trim()) {
         throw new Error('User ID is required');
     }
 
-    try {
-        const url = `${API_BASE_URL}/api/chats/${user_id}`;
-        console.log('🌐 Fetching chats from:', url);
-        
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-        });
+    // Without messages the list stays small; they are paged in through getChatMessages
+    return request(`/api/chats/${user_id}`, {
+        query: { include_messages: String(includeMessages) },
+        signal,
+        errorMessage: 'Failed to fetch chats',
+    });
+};
 
-        console.log('📡 Response status:', response.status, response.statusText);
+/**
+ * Get one page of a chat's messages, newest page first
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat session ID
+ * @param {Object} [options] - { before?: ID of the oldest message already loaded, limit?: number, signal?: AbortSignal }
+ * @returns {Promise<Object>} { messages (oldest first), has_more }
+ */
+export const getChatMessages = async (userId, chatId, { before = null, limit = 30, signal } = {}) => {
+    if (!userId || !chatId) {
+        throw new Error('User ID and chat ID are required');
+    }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            console.error('❌ API Error:', errorData);
-            throw new Error(errorData.detail || errorData.message || `Failed to fetch chats: ${response.statusText}`);
-        }
+    return request(`/api/chats/${userId}/${encodeURIComponent(chatId)}/messages`, {
+        query: { limit, before },
+        signal,
+        errorMessage: 'Failed to fetch messages',
+    });
+};
 
-        const data = await response.json();
-        console.log('✅ Received chats data:', Array.isArray(data) ? `${data.length} chats` : 'not an array', data);
-        return data;
-    } catch (error) {
-        console.error('❌ getChats error:', error);
-        if (error instanceof Error) {
-            throw error;
-        }
-        throw new Error('Network error: Failed to connect to server');
+/**
+ * Update a chat session (rename, pin, archive)
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat session ID
+ * @param {Object} fields - { session_name?, pinned?, archived? }
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} Updated chat session
+ */
+export const updateChat = async (userId, chatId, fields, { signal } = {}) => {
+    if (!userId || !chatId) {
+        throw new Error('User ID and chat ID are required');
     }
+
+    return request(`/api/chats/${userId}/${encodeURIComponent(chatId)}`, {
+        method: 'PATCH',
+        body: fields,
+        signal,
+        errorMessage: 'Failed to update chat',
+    });
+};
+
+/**
+ * Delete a chat session and its messages
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat session ID
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} Success response
+ */
+export const deleteChat = async (userId, chatId, { signal } = {}) => {
+    if (!userId || !chatId) {
+        throw new Error('User ID and chat ID are required');
+    }
+
+    return request(`/api/chats/${userId}/${encodeURIComponent(chatId)}`, {
+        method: 'DELETE',
+        signal,
+        errorMessage: 'Failed to delete chat',
+    });
 };
 
 /**
@@ -529,9 +718,10 @@ export const getChats = async (user_id) => {
  * @param {string} message - Message text
  * @param {string} userId - User ID (e.g., "user_username")
  * @param {string} threadId - Optional thread/chat ID
+ * @param {Object} [options] - { signal?: AbortSignal, clientId?: string (client_id stored with the message) }
  * @returns {Promise<Object>} Chat response with assistant's reply
  */
-export const sendChatMessage = async (message, userId, threadId = null) => {
+export const sendChatMessage = async (message, userId, threadId = null, { signal, clientId } = {}) => {
     if (!message || !message.trim()) {
         throw new Error('Message is required');
     }
@@ -540,37 +730,143 @@ export const sendChatMessage = async (message, userId, threadId = null) => {
         throw new Error('User ID is required');
     }
 
-    try {
-        const requestBody = {
-            message: message.trim(),
-            user_id: userId,
-        };
+    const requestBody = {
+        message: message.trim(),
+        user_id: userId,
+    };
 
-        if (threadId) {
-            requestBody.thread_id = threadId;
-        }
+    if (threadId) {
+        requestBody.thread_id = threadId;
+    }
 
-        const response = await fetch(`${API_BASE_URL}/chat`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(requestBody),
-        });
+    if (clientId) {
+        requestBody.client_id = clientId;
+    }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.detail || errorData.message || `Failed to send message: ${response.statusText}`);
-        }
+    return request('/chat', {
+        method: 'POST',
+        body: requestBody,
+        signal,
+        // The agent pipeline (ranking, styling, merged images) can run for minutes
+        timeout: 180000,
+        errorMessage: 'Failed to send message',
+    });
+};
+
+/**
+ * Send a chat message and stream the assistant's reply (SSE over POST /chat/stream).
+ * Falls back to the non-streaming /chat endpoint when the backend has no stream route.
+ * @param {string} message - Message text
+ * @param {string} userId - User ID (e.g., "user_username")
+ * @param {string} threadId - Optional thread/chat ID
+ * @param {Object} [options]
+ * @param {Function} [options.onToken] - Called with (delta, fullText) for each text chunk
+ * @param {Function} [options.onProducts] - Called with ('ranked_products' | 'styled_products', products)
+ * @param {Function} [options.onMergedImages] - Called with the merged_images payload
+ * @param {AbortSignal} [options.signal] - Cancels the stream
+ * @param {string} [options.clientId] - Client-generated message ID, stored with the message
+ * @returns {Promise<Object>} Final chat response, same shape as sendChatMessage
+ */
+export const streamChatMessage = async (message, userId, threadId = null, {
+    onToken,
+    onProducts,
+    onMergedImages,
+    signal,
+    clientId,
+} = {}) => {
+    if (!message || !message.trim()) {
+        throw new Error('Message is required');
+    }
+
+    if (!userId) {
+        throw new Error('User ID is required');
+    }
 
-        return await response.json();
+    const requestBody = {
+        message: message.trim(),
+        user_id: userId,
+    };
+
+    if (threadId) {
+        requestBody.thread_id = threadId;
+    }
+
+    if (clientId) {
+        requestBody.client_id = clientId;
+    }
+
+    let response;
+    try {
+        response = await request('/chat/stream', {
+            method: 'POST',
+            headers: { Accept: 'text/event-stream' },
+            body: requestBody,
+            signal,
+            timeout: 60000,
+            errorMessage: 'Failed to send message',
+            raw: true,
+        });
     } catch (error) {
-        if (error instanceof Error) {
-            throw error;
+        // Backend without streaming support: deliver the full reply as one chunk
+        if (error instanceof ValidationError && (error.status === 404 || error.status === 405)) {
+            const result = await sendChatMessage(message, userId, threadId, { signal, clientId });
+            if (result?.response) onToken?.(result.response, result.response);
+            if (result?.ranked_products) onProducts?.('ranked_products', result.ranked_products);
+            if (result?.styled_products) onProducts?.('styled_products', result.styled_products);
+            if (result?.merged_images) onMergedImages?.(result.merged_images);
+            return result;
         }
-        throw new Error('Network error: Failed to send message');
-    }
-};
+        throw error;
+    }
+
+    const result = {
+        response: '',
+        thread_id: threadId,
+        user_id: userId,
+        ranked_products: null,
+        styled_products: null,
+        merged_images: null,
+    };
+
+    await readEventStream(response, ({ event, data }) => {
+        switch (event) {
+            case 'token':
+            case 'message': {
+                const delta = typeof data === 'string' ? data : data?.delta ?? data?.token ?? '';
+                if (!delta) return;
+                result.response += delta;
+                onToken?.(delta, result.response);
+                break;
+            }
+            case 'ranked_products':
+            case 'styled_products':
+                result[event] = applyMergedImages(data, result.merged_images);
+                onProducts?.(event, result[event]);
+                break;
+            case 'merged_images':
+                result.merged_images = data;
+                result.ranked_products = applyMergedImages(result.ranked_products, data);
+                result.styled_products = applyMergedImages(result.styled_products, data);
+                onMergedImages?.(data);
+                break;
+            case 'done':
+                // The final event carries the authoritative full response
+                if (data && typeof data === 'object') {
+                    Object.assign(result, Object.fromEntries(
+                        Object.entries(data).filter(([, value]) => value !== null && value !== undefined)
+                    ));
+                    result.ranked_products = applyMergedImages(result.ranked_products, result.merged_images);
+                    result.styled_products = applyMergedImages(result.styled_products, result.merged_images);
+                }
+                break;
+            case 'error':
+                throw new Error(data?.detail || data?.message || (typeof data === 'string' ? data : 'Streaming failed'));
+            default:
+                break;
+        }
+    });
 
-// WebSocket functions removed - using REST API only
+    return result;
+};
 
+// Real-time WebSocket delivery lives in services/chatTransport.js, which falls back to the functions above
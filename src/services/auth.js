@@ -0,0 +1,163 @@
+/**
+ * Authentication session
+ *
+ * Owns the access/refresh token pair and plugs it into the shared request core
+ * (services/http.js), which then:
+ *   - sends `Authorization: Bearer <access_token>` with every API call
+ *   - refreshes the pair through POST /api/auth/refresh on a 401 and replays the call
+ *
+ * Tokens are persisted in localStorage under `auth`. When the refresh token is
+ * rejected the session is cleared and an `aura:auth-expired` window event is
+ * dispatched so the UI can send the user back to the login page.
+ *
+ * With VITE_AUTH_MODE=dev there are no tokens and the legacy username-only
+ * login (api.login) is used instead.
+ */
+
+import { getConfig } from '../lib/config';
+import { request, setAuthProvider } from './http';
+import { clearQueryCache } from './queryCache';
+import { clearSession } from './session';
+
+const TOKEN_STORAGE_KEY = 'auth';
+// Refresh a little before the access token actually expires
+const EXPIRY_MARGIN_MS = 30000;
+
+export const AUTH_EXPIRED_EVENT = 'aura:auth-expired';
+
+let refreshPromise = null;
+
+/**
+ * Whether the legacy username-only login is enabled (VITE_AUTH_MODE=dev)
+ * @returns {boolean}
+ */
+export const isDevAuthMode = () => getConfig().authMode === 'dev';
+
+const readTokens = () => {
+    try {
+        return JSON.parse(localStorage.getItem(TOKEN_STORAGE_KEY)) || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Store a token pair returned by the auth endpoints
+ * @param {Object} tokens - { access_token, refresh_token?, expires_in? }
+ */
+export const setTokens = ({ access_token, refresh_token, expires_in }) => {
+    const previous = readTokens();
+    localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify({
+        access_token,
+        // Refresh endpoints may rotate the refresh token or keep the old one
+        refresh_token: refresh_token || previous?.refresh_token || null,
+        expires_at: expires_in ? Date.now() + expires_in * 1000 : null,
+    }));
+};
+
+/**
+ * Forget the stored token pair
+ */
+export const clearTokens = () => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+};
+
+/**
+ * Whether a token session exists (dev mode never has one)
+ * @returns {boolean}
+ */
+export const hasSession = () => Boolean(readTokens()?.access_token);
+
+/**
+ * Exchange the refresh token for a new token pair. Concurrent callers share one request.
+ * @returns {Promise<boolean>} true when the session was refreshed
+ */
+export const refreshSession = () => {
+    if (refreshPromise) return refreshPromise;
+
+    const refreshToken = readTokens()?.refresh_token;
+    if (!refreshToken) return Promise.resolve(false);
+
+    refreshPromise = request('/api/auth/refresh', {
+        method: 'POST',
+        body: { refresh_token: refreshToken },
+        auth: false,
+        errorMessage: 'Session refresh failed',
+    })
+        .then((tokens) => {
+            setTokens(tokens);
+            return true;
+        })
+        .catch((error) => {
+            console.warn('⚠️ Session refresh failed:', error);
+            return false;
+        })
+        .finally(() => {
+            refreshPromise = null;
+        });
+
+    return refreshPromise;
+};
+
+/**
+ * Get a usable access token, refreshing it first when it is about to expire
+ * @returns {Promise<string|null>} Access token or null when there is no session
+ */
+export const getAccessToken = async () => {
+    const tokens = readTokens();
+    if (!tokens?.access_token) return null;
+
+    if (tokens.expires_at && tokens.expires_at - EXPIRY_MARGIN_MS < Date.now()) {
+        await refreshSession();
+        return readTokens()?.access_token ?? null;
+    }
+    return tokens.access_token;
+};
+
+/**
+ * Get the current access token without refreshing (for WebSocket URLs)
+ * @returns {string|null}
+ */
+export const peekAccessToken = () => readTokens()?.access_token ?? null;
+
+const handleAuthFailure = () => {
+    clearTokens();
+    clearQueryCache();
+    clearSession();
+    window.dispatchEvent(new CustomEvent(AUTH_EXPIRED_EVENT));
+};
+
+/**
+ * Log out: revoke the refresh token on the server and clear the local session.
+ * The local session is cleared even if the revoke call fails.
+ * @returns {Promise<void>}
+ */
+export const logout = async () => {
+    const tokens = readTokens();
+    try {
+        if (tokens?.refresh_token) {
+            await request('/api/auth/logout', {
+                method: 'POST',
+                body: { refresh_token: tokens.refresh_token },
+                // The access token may already be gone; revoking must not trigger a refresh loop
+                auth: false,
+                headers: tokens.access_token ? { Authorization: `Bearer ${tokens.access_token}` } : {},
+                timeout: 5000,
+                errorMessage: 'Logout failed',
+            });
+        }
+    } catch (error) {
+        console.warn('⚠️ Failed to revoke session on the server:', error);
+    } finally {
+        clearTokens();
+        // Cached chats and profile belong to the user that just left
+        clearQueryCache();
+        clearSession();
+    }
+};
+
+setAuthProvider({
+    getAccessToken,
+    refresh: refreshSession,
+    onAuthFailure: handleAuthFailure,
+});
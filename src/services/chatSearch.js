@@ -0,0 +1,63 @@
+/**
+ * Offline copy of the chat history for search
+ *
+ * Chats are cached in memory only (services/queryCache.js), so the searchable
+ * part of every chat (names, message text, product titles/sources) is also
+ * kept in IndexedDB per user. Search works from that copy while the chat list
+ * can't be fetched. It is wiped when the user signs out.
+ */
+
+import { createStore, openDatabase } from '../lib/idb';
+import { getMessageProducts } from '../lib/chatMessages';
+import { subscribeSession } from './session';
+
+const store = createStore(openDatabase('aura-search', ['chats']), 'chats');
+
+// Only what lib/chatSearch.js indexes, to keep the stored copy small
+const toSearchable = (chat) => ({
+    id: chat.id,
+    chat_id: chat.chat_id,
+    chat_room_id: chat.chat_room_id,
+    session_name: chat.session_name,
+    name: chat.name,
+    created_at: chat.created_at,
+    updated_at: chat.updated_at,
+    messages: (chat.messages || []).map((msg) => ({
+        id: msg.id,
+        role: msg.role,
+        type: msg.type,
+        content: msg.content,
+        ranked_products: getMessageProducts(msg).map(({ title, source }) => ({ title, source })),
+    })),
+});
+
+/**
+ * Store the searchable copy of a user's chats
+ * @param {string} userId - User ID
+ * @param {Array} chats - Chat sessions with messages
+ * @returns {Promise<void>}
+ */
+export const saveSearchableChats = (userId, chats) => (
+    store.set(userId, chats.map(toSearchable)).catch((error) => {
+        console.warn('⚠️ Could not store chats for offline search:', error);
+    })
+);
+
+/**
+ * Searchable copy of a user's chats from the last time they were loaded
+ * @param {string} userId - User ID
+ * @returns {Promise<Array|null>} null when nothing was stored
+ */
+export const loadSearchableChats = (userId) => (
+    store.get(userId)
+        .then((chats) => chats || null)
+        .catch((error) => {
+            console.warn('⚠️ Could not read stored chats for search:', error);
+            return null;
+        })
+);
+
+// Chat history must not outlive the session on a shared device
+subscribeSession((user) => {
+    if (!user) store.clear().catch(() => {});
+});
@@ -0,0 +1,228 @@
+/**
+ * Chat transport
+ *
+ * One interface for sending chat messages regardless of how they travel:
+ *   - WebSocket (`${wsUrl}/ws/{thread_id}/{user_id}`) when the socket is connected
+ *   - REST streaming (streamChatMessage → POST /chat/stream, then POST /chat) otherwise,
+ *     also when the frame couldn't be written to the socket
+ * Once a frame is written it is never sent again over REST: a missing ack or a
+ * dropped connection doesn't mean the server didn't get it. Those sends fail
+ * with a plain Error (not a NetworkError), so they aren't queued for resending;
+ * so does a reply that stops arriving for REPLY_TIMEOUT_MS.
+ *
+ * WebSocket reply frames reference the chat frame they answer through `reply_to`:
+ *   { type: 'token', reply_to, delta }
+ *   { type: 'ranked_products' | 'styled_products', reply_to, data: [...] }
+ *   { type: 'merged_images', reply_to, data }
+ *   { type: 'done', reply_to, data: { response, thread_id, ... } }
+ *   { type: 'error', reply_to, detail }
+ * Frames without `reply_to` (e.g. room broadcasts) go to subscribe() listeners.
+ */
+
+import { getConfig } from '../lib/config';
+import { applyMergedImages } from '../lib/chatMessages';
+import { streamChatMessage } from './api';
+import { peekAccessToken } from './auth';
+import { createFrameId, createSocketClient } from './socket';
+
+// Longest silence allowed between reply frames (ack included) before giving up
+const REPLY_TIMEOUT_MS = 60000;
+
+/**
+ * Create a chat transport bound to one user and thread
+ * @param {Object} params
+ * @param {string} params.userId - User ID (e.g., "user_username")
+ * @param {string} [params.threadId] - Chat/room ID; without one only REST is used
+ * @returns {Object} { connect, send, subscribe, onStatusChange, getStatus, close }
+ */
+export const createChatTransport = ({ userId, threadId }) => {
+    const pendingReplies = new Map();
+    const subscribers = new Set();
+    const statusListeners = new Set();
+
+    const socket = threadId
+        ? createSocketClient(() => {
+            const { wsUrl, mock } = getConfig();
+            // The mock backend only speaks REST
+            if (!wsUrl || mock) return null;
+            // Browsers can't set headers on a WebSocket handshake, so the token goes in the query
+            const token = peekAccessToken();
+            const query = token ? `?token=${encodeURIComponent(token)}` : '';
+            return `${wsUrl}/ws/${encodeURIComponent(threadId)}/${encodeURIComponent(userId)}${query}`;
+        })
+        : null;
+
+    // Public status: which transport the next message will use
+    const getStatus = () => {
+        const socketStatus = socket?.getStatus();
+        if (socketStatus === 'open') return 'websocket';
+        if (socketStatus === 'connecting') return 'connecting';
+        return 'rest';
+    };
+
+    if (socket) {
+        socket.onStatusChange((socketStatus) => {
+            if (socketStatus !== 'open') {
+                // Replies can't arrive on a dropped connection (the server already has the message)
+                pendingReplies.forEach(({ reject }) => reject(new Error('Connection lost while waiting for the reply')));
+                pendingReplies.clear();
+            }
+            const status = getStatus();
+            statusListeners.forEach((listener) => listener(status));
+        });
+
+        socket.onMessage((frame) => {
+            const pending = frame.reply_to ? pendingReplies.get(frame.reply_to) : null;
+            if (pending) {
+                pending.handle(frame);
+            } else {
+                subscribers.forEach((listener) => listener(frame));
+            }
+        });
+    }
+
+    const sendOverSocket = async (message, { onToken, onProducts, onMergedImages, signal, clientId }) => {
+        const id = createFrameId();
+        const result = {
+            response: '',
+            thread_id: threadId,
+            user_id: userId,
+            ranked_products: null,
+            styled_products: null,
+            merged_images: null,
+        };
+
+        const reply = new Promise((resolve, reject) => {
+            let timer = null;
+            const settle = (done, value) => {
+                pendingReplies.delete(id);
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+                done(value);
+            };
+            const onAbort = () => settle(reject, signal.reason ?? new DOMException('Aborted', 'AbortError'));
+            // Restarted by every frame, so only a reply that stalls fails, not a long one
+            const restartTimeout = () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    settle(reject, new Error('The server stopped responding before the reply was complete'));
+                }, REPLY_TIMEOUT_MS);
+            };
+
+            pendingReplies.set(id, {
+                reject: (error) => settle(reject, error),
+                handle: (frame) => {
+                    restartTimeout();
+                    switch (frame.type) {
+                        case 'token':
+                            result.response += frame.delta || '';
+                            onToken?.(frame.delta || '', result.response);
+                            break;
+                        case 'ranked_products':
+                        case 'styled_products':
+                            result[frame.type] = applyMergedImages(frame.data, result.merged_images);
+                            onProducts?.(frame.type, result[frame.type]);
+                            break;
+                        case 'merged_images':
+                            result.merged_images = frame.data;
+                            result.ranked_products = applyMergedImages(result.ranked_products, frame.data);
+                            result.styled_products = applyMergedImages(result.styled_products, frame.data);
+                            onMergedImages?.(frame.data);
+                            break;
+                        case 'done': {
+                            // The final frame carries the full response, like the SSE `done` event
+                            const final = { ...result, ...(frame.data || {}) };
+                            final.ranked_products = applyMergedImages(final.ranked_products, final.merged_images);
+                            final.styled_products = applyMergedImages(final.styled_products, final.merged_images);
+                            settle(resolve, final);
+                            break;
+                        }
+                        case 'error':
+                            settle(reject, new Error(frame.detail || frame.message || 'Failed to send message'));
+                            break;
+                        default:
+                            break;
+                    }
+                },
+            });
+            signal?.addEventListener('abort', onAbort, { once: true });
+            restartTimeout();
+        });
+
+        try {
+            await socket.send({
+                type: 'chat',
+                id,
+                message: message.trim(),
+                user_id: userId,
+                thread_id: threadId,
+                client_id: clientId,
+            });
+        } catch (error) {
+            reply.catch(() => {});
+            pendingReplies.get(id)?.reject(error);
+            // Never written: the server didn't see the message, so REST can safely take over
+            if (error.unsent) throw error;
+            // Written but the ack was lost or late: the server may have it, so only the user retries
+            throw new Error('The server did not confirm the message, it may not have been delivered');
+        }
+
+        return reply;
+    };
+
+    return {
+        /**
+         * Send a chat message over the active transport
+         * @param {string} message - Message text
+         * @param {Object} [handlers] - { onToken, onProducts, onMergedImages, signal, clientId }, see streamChatMessage
+         * @returns {Promise<Object>} Final chat response, same shape as sendChatMessage
+         */
+        async send(message, handlers = {}) {
+            if (socket?.getStatus() === 'open') {
+                try {
+                    return await sendOverSocket(message, handlers);
+                } catch (error) {
+                    if (!error.unsent) throw error;
+                    console.warn('⚠️ WebSocket send failed, falling back to REST:', error.message);
+                }
+            }
+            return streamChatMessage(message, userId, threadId, handlers);
+        },
+
+        /**
+         * Listen for server-pushed frames that are not replies to our own messages
+         * @param {Function} listener - Called with each frame
+         * @returns {Function} Unsubscribe
+         */
+        subscribe(listener) {
+            subscribers.add(listener);
+            return () => subscribers.delete(listener);
+        },
+
+        /**
+         * Listen for transport changes: websocket | connecting | rest
+         * @param {Function} listener - Called with the new status
+         * @returns {Function} Unsubscribe
+         */
+        onStatusChange(listener) {
+            statusListeners.add(listener);
+            return () => statusListeners.delete(listener);
+        },
+
+        getStatus,
+
+        /**
+         * Open the WebSocket (REST needs no connection)
+         */
+        connect() {
+            socket?.connect();
+        },
+
+        /**
+         * Close the WebSocket; send() keeps working over REST
+         */
+        close() {
+            socket?.close();
+        },
+    };
+};
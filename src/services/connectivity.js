@@ -0,0 +1,38 @@
+/**
+ * Online/offline state of the browser
+ *
+ * navigator.onLine only says whether there is a network at all: on a flaky
+ * connection requests can still fail while it is true, so senders also treat
+ * a NetworkError as "offline" (see services/offlineQueue.js).
+ */
+
+const listeners = new Set();
+let online = typeof navigator === 'undefined' ? true : navigator.onLine;
+
+const setOnline = (value) => {
+    if (value === online) return;
+    online = value;
+    console.log(online ? '🔄 Back online' : '⚠️ Connection lost');
+    listeners.forEach((listener) => listener(online));
+};
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => setOnline(true));
+    window.addEventListener('offline', () => setOnline(false));
+}
+
+/**
+ * Whether the browser has a network connection
+ * @returns {boolean}
+ */
+export const isOnline = () => online;
+
+/**
+ * Listen for connectivity changes
+ * @param {Function} listener - Called with true (online) or false (offline)
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeConnectivity = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
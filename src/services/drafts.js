@@ -0,0 +1,51 @@
+/**
+ * Unsent composer text per chat
+ *
+ * Drafts are kept in localStorage under `aura:drafts` (chat ID → text) so
+ * switching chats or reloading the page doesn't lose a half-typed message.
+ * They are wiped when the user signs out.
+ */
+
+import { subscribeSession } from './session';
+
+const DRAFTS_STORAGE_KEY = 'aura:drafts';
+
+const readDrafts = () => {
+    try {
+        return JSON.parse(localStorage.getItem(DRAFTS_STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Saved draft of a chat
+ * @param {string} chatId - Chat ID
+ * @returns {string} Empty when there is none
+ */
+export const loadDraft = (chatId) => (chatId ? readDrafts()[chatId] || '' : '');
+
+/**
+ * Save (or with empty text, forget) the draft of a chat
+ * @param {string} chatId - Chat ID
+ * @param {string} text - Composer text
+ */
+export const saveDraft = (chatId, text) => {
+    if (!chatId) return;
+    const drafts = readDrafts();
+    if (text.trim()) {
+        drafts[chatId] = text;
+    } else {
+        delete drafts[chatId];
+    }
+    try {
+        localStorage.setItem(DRAFTS_STORAGE_KEY, JSON.stringify(drafts));
+    } catch (error) {
+        console.warn('⚠️ Could not save draft:', error);
+    }
+};
+
+// Unsent messages must not outlive the session on a shared device
+subscribeSession((user) => {
+    if (!user) localStorage.removeItem(DRAFTS_STORAGE_KEY);
+});
@@ -3,13 +3,9 @@
  * Handles speech-to-text (STT) using Web Speech API and text-to-speech (TTS) using ElevenLabs
  */
 
-// Get API key from environment variable (works with both local .env and Amplify env variables)
-// Vite requires VITE_ prefix for environment variables to be accessible in the browser
-const ELEVENLABS_API_KEY = import.meta.env.VITE_ELEVENLABS_API_KEY || '';
+import { getConfig } from '../lib/config';
 
-if (!ELEVENLABS_API_KEY) {
-    console.warn('⚠️ VITE_ELEVENLABS_API_KEY is not set. Please set it in your .env file or Amplify environment variables.');
-}
+// API key, voice and model come from src/lib/config.js (VITE_ELEVENLABS_* variables)
 
 const ELEVENLABS_TTS_API_URL = 'https://api.elevenlabs.io/v1/text-to-speech';
 
@@ -116,21 +112,23 @@ export const speechToTextFromBlob = async (audioBlob) => {
 /**
  * Convert text to audio using ElevenLabs Text-to-Speech
  * @param {string} text - Text to convert to speech
- * @param {string} voiceId - Voice ID (default: '21m00Tcm4TlvDq8ikWAM' - Rachel)
+ * @param {string} voiceId - Voice ID (default: VITE_ELEVENLABS_VOICE_ID, else '21m00Tcm4TlvDq8ikWAM' - Rachel)
  * @returns {Promise<Blob>} Audio blob
  */
-export const textToSpeech = async (text, voiceId = '21m00Tcm4TlvDq8ikWAM') => {
+export const textToSpeech = async (text, voiceId = getConfig().elevenLabs.voiceId) => {
+    const { apiKey, modelId } = getConfig().elevenLabs;
+
     try {
         const response = await fetch(`${ELEVENLABS_TTS_API_URL}/${voiceId}`, {
             method: 'POST',
             headers: {
                 'Accept': 'audio/mpeg',
                 'Content-Type': 'application/json',
-                'xi-api-key': ELEVENLABS_API_KEY,
+                'xi-api-key': apiKey,
             },
             body: JSON.stringify({
                 text: text,
-                model_id: 'eleven_multilingual_v2',
+                model_id: modelId,
                 voice_settings: {
                     stability: 0.5,
                     similarity_boost: 0.75,
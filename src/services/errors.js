@@ -0,0 +1,119 @@
+/**
+ * API error hierarchy
+ *
+ * Every failed call made through the shared request core (services/http.js)
+ * rejects with one of these, so callers can branch on the error class instead
+ * of matching message strings:
+ *
+ *   ApiError
+ *   ├── NetworkError     - request never reached the server (offline, DNS, CORS)
+ *   ├── TimeoutError     - no response within the request timeout
+ *   ├── ValidationError  - 4xx response (bad input, not found, conflict, ...)
+ *   │   └── AuthError    - 401 response
+ *   ├── ServerError      - 5xx response
+ *   └── ResponseError    - 2xx response whose body isn't valid JSON
+ *
+ * Caller cancellations are not wrapped: they reject with the native
+ * AbortError DOMException, see isAbortError().
+ */
+
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Human readable message (backend detail when available)
+     * @param {Object} [info]
+     * @param {number} [info.status] - HTTP status code (0 when there was no response)
+     * @param {*} [info.detail] - Raw `detail` payload returned by the backend
+     * @param {Error} [info.cause] - Underlying error
+     */
+    constructor(message, { status = 0, detail = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'ApiError';
+        this.status = status;
+        this.detail = detail;
+    }
+}
+
+export class NetworkError extends ApiError {
+    constructor(message = 'Network error: Failed to connect to server', info) {
+        super(message, info);
+        this.name = 'NetworkError';
+    }
+}
+
+export class TimeoutError extends ApiError {
+    constructor(message = 'Request timed out', info) {
+        super(message, info);
+        this.name = 'TimeoutError';
+    }
+}
+
+export class ValidationError extends ApiError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'ValidationError';
+    }
+}
+
+export class AuthError extends ValidationError {
+    constructor(message = 'Authentication required', info) {
+        super(message, info);
+        this.name = 'AuthError';
+    }
+}
+
+export class ServerError extends ApiError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'ServerError';
+    }
+}
+
+export class ResponseError extends ApiError {
+    constructor(message = 'The server sent a response that could not be read', info) {
+        super(message, info);
+        this.name = 'ResponseError';
+    }
+}
+
+/**
+ * Turn a backend `detail` payload into a readable message.
+ * FastAPI returns a string for HTTPException and a list of { loc, msg } for 422s.
+ * @param {*} detail - Backend detail payload
+ * @returns {string|null} Message or null when there is nothing usable
+ */
+const formatDetail = (detail) => {
+    if (!detail) return null;
+    if (typeof detail === 'string') return detail;
+    if (Array.isArray(detail)) {
+        const messages = detail
+            .map((item) => (typeof item === 'string' ? item : item?.msg))
+            .filter(Boolean);
+        return messages.length > 0 ? messages.join('; ') : null;
+    }
+    return null;
+};
+
+/**
+ * Build the matching ApiError subclass for a failed HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} errorData - Parsed response body ({} when it was not JSON)
+ * @param {string} fallbackMessage - Message used when the backend sent no detail
+ * @returns {ApiError}
+ */
+export const createHttpError = (status, errorData, fallbackMessage) => {
+    const detail = errorData?.detail ?? null;
+    const message = formatDetail(detail) || errorData?.message || fallbackMessage;
+    const info = { status, detail };
+
+    if (status === 401) return new AuthError(message, info);
+    if (status >= 500) return new ServerError(message, info);
+    if (status >= 400) return new ValidationError(message, info);
+    return new ApiError(message, info);
+};
+
+/**
+ * Check whether an error comes from a caller-initiated AbortSignal
+ * @param {*} error - Caught error
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
@@ -0,0 +1,320 @@
+/**
+ * Shared HTTP request core
+ *
+ * Every call in services/api.js goes through request(). It takes care of:
+ *   - resolving paths against the configured API base URL
+ *   - JSON / FormData request bodies
+ *   - per-request timeouts and caller cancellation (AbortSignal)
+ *   - mapping failures onto the ApiError hierarchy in services/errors.js
+ *   - retrying idempotent GETs with exponential backoff
+ *   - upload progress events (XMLHttpRequest transport, see onUploadProgress)
+ *   - attaching the access token and silently refreshing it on 401
+ *     (the token logic lives in services/auth.js and is plugged in via setAuthProvider)
+ */
+
+import { getConfig } from '../lib/config';
+import { AuthError, createHttpError, isAbortError, NetworkError, ResponseError, ServerError, TimeoutError } from './errors';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_GET_RETRIES = 2;
+const BACKOFF_BASE_MS = 400;
+const BACKOFF_MAX_MS = 5000;
+
+let authProvider = null;
+
+/**
+ * Plug in access-token handling (called by services/auth.js)
+ * @param {Object} provider
+ * @param {Function} provider.getAccessToken - Returns a valid token (refreshing if about to expire) or null
+ * @param {Function} provider.refresh - Refreshes the session; resolves true on success
+ * @param {Function} provider.onAuthFailure - Called when a 401 survives a refresh
+ */
+export const setAuthProvider = (provider) => {
+    authProvider = provider;
+};
+
+/**
+ * Build a full URL for an API path (absolute http(s), blob: and data: URLs are passed through)
+ * @param {string} path - API path (e.g. '/api/chats/user_1') or absolute URL
+ * @param {Object} [query] - Query parameters; null/undefined values are skipped
+ * @returns {string} Full URL
+ */
+export const buildUrl = (path, query) => {
+    const base = /^(https?:\/\/|blob:|data:)/.test(path) ? path : `${getConfig().apiBaseUrl}${path}`;
+    if (!query) return base;
+
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) {
+            params.append(key, value);
+        }
+    });
+    const search = params.toString();
+    return search ? `${base}${base.includes('?') ? '&' : '?'}${search}` : base;
+};
+
+/**
+ * Wait for the given delay, rejecting early if the signal aborts
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+        return;
+    }
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in ms
+ */
+const backoffDelay = (attempt) => {
+    const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+};
+
+const isRetryable = (error) => (
+    error instanceof NetworkError || error instanceof TimeoutError || error instanceof ServerError
+);
+
+const prepareBody = (body, headers) => {
+    if (body === undefined || body === null) return undefined;
+    // FormData, Blob/File and strings are sent as-is; the browser sets multipart boundaries
+    if (body instanceof FormData || body instanceof Blob || typeof body === 'string') {
+        return body;
+    }
+    if (!Object.keys(headers).some((key) => key.toLowerCase() === 'content-type')) {
+        headers['Content-Type'] = 'application/json';
+    }
+    return JSON.stringify(body);
+};
+
+const parseXhrHeaders = (raw) => {
+    const headers = new Headers();
+    raw.trim().split(/[\r\n]+/).forEach((line) => {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+        }
+    });
+    return headers;
+};
+
+/**
+ * fetch()-compatible transport on XMLHttpRequest, which (unlike fetch) reports
+ * upload progress. Fails like fetch: TypeError on network/CORS errors, AbortError on abort.
+ */
+const xhrFetch = (url, { method, headers, body, signal }, onUploadProgress) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, url);
+    xhr.responseType = 'blob';
+    Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+
+    xhr.upload.onprogress = (event) => {
+        if (event.lengthComputable) {
+            onUploadProgress({ loaded: event.loaded, total: event.total });
+        }
+    };
+    xhr.onload = () => {
+        signal?.removeEventListener('abort', onAbort);
+        // Responses without a body (e.g. S3 PUT) must not be given one
+        const responseBody = [204, 205, 304].includes(xhr.status) ? null : xhr.response;
+        resolve(new Response(responseBody, {
+            status: xhr.status,
+            statusText: xhr.statusText,
+            headers: parseXhrHeaders(xhr.getAllResponseHeaders()),
+        }));
+    };
+    xhr.onerror = () => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(new TypeError('Failed to fetch'));
+    };
+    const onAbort = () => {
+        xhr.abort();
+        reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    xhr.send(body ?? null);
+});
+
+/**
+ * fetch(), or the in-browser mock backend when the `mock` API profile is active.
+ * The mock is loaded lazily so it stays out of the production bundle.
+ * With an upload progress callback the XMLHttpRequest transport is used instead
+ * (the mock reports a single 100% event).
+ */
+const resolveFetch = async (url, onUploadProgress) => {
+    const config = getConfig();
+    if (config.mock && url.startsWith(config.apiBaseUrl)) {
+        const { mockFetch } = await import('../mocks/mockBackend');
+        if (!onUploadProgress) return mockFetch;
+        return async (mockUrl, init) => {
+            const response = await mockFetch(mockUrl, init);
+            const size = init.body?.size ?? 0;
+            onUploadProgress({ loaded: size, total: size });
+            return response;
+        };
+    }
+    if (onUploadProgress) {
+        return (xhrUrl, init) => xhrFetch(xhrUrl, init, onUploadProgress);
+    }
+    return fetch;
+};
+
+/**
+ * Perform a single fetch attempt with timeout handling
+ */
+const attempt = async (url, { method, headers, body, signal, timeout, errorMessage, raw, onUploadProgress }) => {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = timeout > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout)
+        : null;
+
+    const onCallerAbort = () => controller.abort(signal.reason);
+    if (signal) {
+        if (signal.aborted) {
+            clearTimeout(timer);
+            throw signal.reason ?? new DOMException('Aborted', 'AbortError');
+        }
+        signal.addEventListener('abort', onCallerAbort, { once: true });
+    }
+
+    // A raw response body (e.g. a stream) is still being read after we return,
+    // so the caller's signal must stay linked to it
+    let keepLinked = false;
+
+    try {
+        let response;
+        try {
+            const doFetch = await resolveFetch(url, onUploadProgress);
+            response = await doFetch(url, { method, headers, body, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                throw new TimeoutError(`${errorMessage}: request timed out after ${timeout / 1000}s`, { cause: error });
+            }
+            if (signal?.aborted || isAbortError(error)) {
+                throw error;
+            }
+            throw new NetworkError(undefined, { cause: error });
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw createHttpError(response.status, errorData, `${errorMessage}: ${response.statusText || response.status}`);
+        }
+
+        if (raw) {
+            keepLinked = true;
+            return response;
+        }
+        if (response.status === 204) return null;
+
+        const text = await response.text();
+        if (!text.trim()) return null;
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new ResponseError(`${errorMessage}: the response was not valid JSON`, { status: response.status, cause: error });
+        }
+    } finally {
+        clearTimeout(timer);
+        if (!keepLinked) {
+            signal?.removeEventListener('abort', onCallerAbort);
+        }
+    }
+};
+
+/**
+ * Send an HTTP request through the shared core
+ * @param {string} path - API path or absolute URL
+ * @param {Object} [options]
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.query] - Query parameters
+ * @param {*} [options.body] - Plain object (sent as JSON), FormData, Blob or string
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {AbortSignal} [options.signal] - Cancels the request (and any pending retry)
+ * @param {number} [options.timeout=30000] - Per-attempt timeout in ms until the response headers arrive (0 disables it)
+ * @param {number} [options.retries] - Retry count; defaults to 2 for GET and 0 otherwise
+ * @param {string} [options.errorMessage='Request failed'] - Prefix for errors without a backend detail
+ * @param {boolean} [options.raw=false] - Resolve with the Response instead of parsed JSON
+ * @param {boolean} [options.auth=true] - Send the access token (API URLs only) and refresh it on 401
+ * @param {Function} [options.onUploadProgress] - Called with { loaded, total } while the body uploads
+ * @returns {Promise<*>} Parsed JSON body (null for empty responses) or the Response when raw
+ * @throws {ApiError} NetworkError, TimeoutError, ValidationError, AuthError, ServerError or ResponseError
+ */
+export const request = async (path, {
+    method = 'GET',
+    query,
+    body,
+    headers = {},
+    signal,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries,
+    errorMessage = 'Request failed',
+    raw = false,
+    auth = true,
+    onUploadProgress,
+} = {}) => {
+    const url = buildUrl(path, query);
+    const requestHeaders = { ...headers };
+    const preparedBody = prepareBody(body, requestHeaders);
+    // Only idempotent reads are retried; a repeated POST could duplicate a chat or message
+    const maxRetries = retries ?? (method === 'GET' ? DEFAULT_GET_RETRIES : 0);
+    // Never leak the token to third-party hosts such as presigned S3 URLs
+    const useAuth = auth && authProvider && url.startsWith(getConfig().apiBaseUrl);
+    let refreshed = false;
+    let sentToken = false;
+
+    for (let retry = 0; ; retry++) {
+        try {
+            if (useAuth) {
+                const token = await authProvider.getAccessToken();
+                if (token) {
+                    requestHeaders.Authorization = `Bearer ${token}`;
+                    sentToken = true;
+                }
+            }
+            return await attempt(url, {
+                method,
+                headers: requestHeaders,
+                body: preparedBody,
+                signal,
+                timeout,
+                errorMessage,
+                raw,
+                onUploadProgress,
+            });
+        } catch (error) {
+            // Expired access token: refresh once and replay the request with the new one
+            if (error instanceof AuthError && sentToken) {
+                if (!refreshed && await authProvider.refresh()) {
+                    refreshed = true;
+                    retry--;
+                    continue;
+                }
+                authProvider.onAuthFailure(error);
+                throw error;
+            }
+            if (retry >= maxRetries || !isRetryable(error)) {
+                throw error;
+            }
+            const delay = backoffDelay(retry);
+            console.warn(`⚠️ ${method} ${path} failed (${error.name}), retrying in ${delay}ms`);
+            await sleep(delay, signal);
+        }
+    }
+};
@@ -0,0 +1,150 @@
+/**
+ * Presigned image URL lifecycle
+ *
+ * Photo URLs are S3 presigned URLs that stop working after `expires_in`
+ * seconds, while the profile (and its photo_urls) lives on in the cache and
+ * localStorage. This module remembers when every S3 key's URL expires, fetches
+ * a fresh one through getImageUrl shortly before that, and swaps it into the
+ * cached and persisted profile. A URL that fails to load is refreshed once.
+ */
+
+import { extractS3KeyFromUrl, getImageUrl } from './api';
+import { replacePhotoUrl } from './queries';
+
+// Refresh this long before the URL actually expires, or halfway through the
+// remaining time for URLs that don't live much longer than that
+const REFRESH_MARGIN_MS = 60000;
+// Never refresh sooner than this, so short-lived URLs can't refresh in a tight loop
+const MIN_REFRESH_DELAY_MS = 10000;
+// setTimeout overflows above 2^31 - 1 ms
+const MAX_TIMER_MS = 2147483647;
+
+// s3Key -> { url, expiresAt }
+const expiries = new Map();
+// s3Key -> in-flight refresh promise
+const refreshes = new Map();
+// A broken photo gets one retry per key within this window, so a refresh that
+// keeps returning unusable URLs can't loop
+const RETRY_COOLDOWN_MS = 5 * 60000;
+// s3Key -> time of the last retry after a load error
+const retries = new Map();
+
+/**
+ * Read the expiry from the URL's own signature parameters
+ * (SigV4: X-Amz-Date + X-Amz-Expires, SigV2: Expires)
+ * @param {string} url - Presigned URL
+ * @returns {number|null} Expiry as epoch ms, or null if the URL carries none
+ */
+export const parseUrlExpiry = (url) => {
+    try {
+        const params = new URL(url).searchParams;
+        const amzDate = params.get('X-Amz-Date');
+        const amzExpires = params.get('X-Amz-Expires');
+        if (amzDate && amzExpires) {
+            // Format: 20240131T120000Z
+            const match = amzDate.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+            if (match) {
+                const [, year, month, day, hour, minute, second] = match.map(Number);
+                return Date.UTC(year, month - 1, day, hour, minute, second) + Number(amzExpires) * 1000;
+            }
+        }
+        const expires = params.get('Expires');
+        if (expires && /^\d+$/.test(expires)) {
+            return Number(expires) * 1000;
+        }
+    } catch {
+        // Not a URL we can parse (e.g. a relative path)
+    }
+    return null;
+};
+
+/**
+ * Remember when a freshly issued URL expires
+ * @param {string} s3Key - S3 key
+ * @param {string} url - Presigned URL
+ * @param {number} [expiresIn] - Lifetime in seconds, as returned by the backend
+ */
+export const recordImageUrl = (s3Key, url, expiresIn) => {
+    if (!s3Key || !url) return;
+    const expiresAt = expiresIn ? Date.now() + expiresIn * 1000 : parseUrlExpiry(url);
+    expiries.set(s3Key, { url, expiresAt });
+};
+
+/**
+ * When the URL for a photo expires, from the recorded lifetime or the URL itself
+ * @param {string} photoUrl - Photo URL
+ * @returns {number|null} Expiry as epoch ms, or null if unknown
+ */
+export const getImageUrlExpiry = (photoUrl) => {
+    const s3Key = extractS3KeyFromUrl(photoUrl);
+    const recorded = s3Key ? expiries.get(s3Key) : null;
+    if (recorded?.url === photoUrl && recorded.expiresAt) return recorded.expiresAt;
+    return parseUrlExpiry(photoUrl);
+};
+
+/**
+ * Fetch a new URL for a photo and swap it into the cached and stored profile.
+ * Concurrent refreshes of the same key share one request.
+ * @param {string} username - Username
+ * @param {string} photoUrl - Current (expiring or broken) photo URL
+ * @returns {Promise<string>} The new URL
+ */
+export const refreshImageUrl = (username, photoUrl) => {
+    const s3Key = extractS3KeyFromUrl(photoUrl);
+    if (!s3Key) {
+        return Promise.reject(new Error('Could not extract S3 key from photo URL'));
+    }
+
+    if (!refreshes.has(s3Key)) {
+        const pending = getImageUrl(username, s3Key)
+            .then(({ image_url: imageUrl, expires_in: expiresIn }) => {
+                recordImageUrl(s3Key, imageUrl, expiresIn);
+                replacePhotoUrl(username, photoUrl, imageUrl);
+                console.log('🔄 Refreshed image URL for', s3Key);
+                return imageUrl;
+            })
+            .finally(() => refreshes.delete(s3Key));
+        refreshes.set(s3Key, pending);
+    }
+    return refreshes.get(s3Key);
+};
+
+/**
+ * Refresh a photo URL after an image load error, once per photo
+ * @param {string} username - Username
+ * @param {string} photoUrl - URL that failed to load
+ * @returns {Promise<string|null>} The new URL, or null if it was already retried or the refresh failed
+ */
+export const retryImageUrl = async (username, photoUrl) => {
+    const s3Key = extractS3KeyFromUrl(photoUrl);
+    if (!s3Key || Date.now() - (retries.get(s3Key) || 0) < RETRY_COOLDOWN_MS) return null;
+    retries.set(s3Key, Date.now());
+    try {
+        return await refreshImageUrl(username, photoUrl);
+    } catch (error) {
+        console.warn('⚠️ Failed to refresh image URL:', error);
+        return null;
+    }
+};
+
+/**
+ * Keep a set of photo URLs fresh: each is refreshed shortly before it expires
+ * @param {string} username - Username
+ * @param {string[]} photoUrls - Current photo URLs
+ * @returns {Function} Stops the timers
+ */
+export const watchImageUrls = (username, photoUrls) => {
+    const timers = photoUrls.map((photoUrl) => {
+        const expiresAt = getImageUrlExpiry(photoUrl);
+        if (!expiresAt) return null;
+        const remaining = expiresAt - Date.now();
+        const margin = Math.min(REFRESH_MARGIN_MS, remaining / 2);
+        const delay = Math.min(Math.max(remaining - margin, MIN_REFRESH_DELAY_MS), MAX_TIMER_MS);
+        return setTimeout(() => {
+            refreshImageUrl(username, photoUrl).catch((error) => {
+                console.warn('⚠️ Failed to refresh expiring image URL:', error);
+            });
+        }, delay);
+    });
+    return () => timers.forEach((timer) => timer && clearTimeout(timer));
+};
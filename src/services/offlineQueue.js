@@ -0,0 +1,212 @@
+/**
+ * Offline outbox
+ *
+ * Chat messages and photos that couldn't be sent because the connection was
+ * down are kept in IndexedDB (`aura-offline`) and replayed, oldest first, as
+ * soon as the browser is back online - or the next time the app starts. An
+ * entry is one of:
+ *   { kind: 'message', userId, chatId, clientId, content }  → sendChatMessage
+ *   { kind: 'photo', username, file, replaces? }            → uploadImageViaProxy
+ * plus { id, status: 'queued' | 'failed', error, created_at }. Only requests
+ * that never reached the server (NetworkError) are queued or replayed again:
+ * a timed-out request may have got through, so like an entry the server
+ * rejects it is kept as failed for the user to retry or discard. Open tabs
+ * share the outbox, so only one of them replays at a time. The outbox is
+ * wiped when the user signs out.
+ */
+
+import { createStore, openDatabase } from '../lib/idb';
+import { sendChatMessage } from './api';
+import { invalidateChats, replacePhoto, uploadImageViaProxy } from './queries';
+import { isOnline, subscribeConnectivity } from './connectivity';
+import { getSessionUser, subscribeSession } from './session';
+import { NetworkError } from './errors';
+
+// Connections that look up but still fail are retried after this delay
+const RETRY_DELAY_MS = 30 * 1000;
+
+const store = createStore(openDatabase('aura-offline', ['outbox']), 'outbox');
+
+let state = { items: [], replaying: false };
+const listeners = new Set();
+let retryTimer = null;
+let entryCounter = 0;
+// id -> write of a new entry still in progress
+const pendingSaves = new Map();
+
+const setState = (patch) => {
+    state = { ...state, ...patch };
+    listeners.forEach((listener) => listener());
+};
+
+const REPLAY = {
+    message: async ({ userId, chatId, clientId, content }) => {
+        await sendChatMessage(content, userId, chatId, { clientId });
+        // The stored copy (matched through client_id) replaces the queued bubble
+        await invalidateChats(userId);
+    },
+    photo: async ({ username, file, replaces }) => {
+        const user = await uploadImageViaProxy(username, file);
+        if (replaces) await replacePhoto(user, replaces);
+    },
+};
+
+// Not TimeoutError: the server may have got the request, so sending it again could duplicate it
+const isConnectionError = (error) => error instanceof NetworkError;
+
+const saveEntry = (entry) => store.set(entry.id, entry).catch((error) => {
+    console.warn('⚠️ Could not store queued item:', error);
+});
+
+const updateEntry = (id, patch) => {
+    const items = state.items.map((entry) => (entry.id === id ? { ...entry, ...patch } : entry));
+    setState({ items });
+    const entry = items.find((item) => item.id === id);
+    if (entry) saveEntry(entry);
+};
+
+const addEntry = (entry) => {
+    const queued = {
+        ...entry,
+        id: `${entry.kind}-${Date.now()}-${++entryCounter}`,
+        status: 'queued',
+        error: null,
+        created_at: Date.now(),
+    };
+    setState({ items: [...state.items, queued] });
+    const saved = saveEntry(queued).finally(() => pendingSaves.delete(queued.id));
+    pendingSaves.set(queued.id, saved);
+    console.log(`📥 Queued ${entry.kind} until the connection is back`);
+    return queued;
+};
+
+// Every open tab replays the same stored outbox: they take turns (where the
+// Web Locks API exists), and each entry is read back from the store right
+// before it's sent, so one another tab already sent or gave up on is skipped
+const withReplayLock = (fn) => (
+    globalThis.navigator?.locks ? navigator.locks.request('aura-outbox-replay', fn) : fn()
+);
+
+// The stored copy of an entry, or the local one when IndexedDB isn't available
+const readStoredEntry = async (entry) => {
+    await pendingSaves.get(entry.id);
+    return store.get(entry.id).catch(() => entry);
+};
+
+/**
+ * Send everything still queued, oldest first
+ * @returns {Promise<void>}
+ */
+export const replayQueue = async () => {
+    if (state.replaying || !isOnline() || !getSessionUser()) return;
+    clearTimeout(retryTimer);
+    setState({ replaying: true });
+
+    try {
+        await withReplayLock(replayEntries);
+    } finally {
+        setState({ replaying: false });
+    }
+};
+
+const replayEntries = async () => {
+    // Sent entries are removed and rejected ones marked failed, so this always advances
+    let entry;
+    while ((entry = state.items.find((item) => item.status === 'queued'))) {
+        const stored = await readStoredEntry(entry);
+        if (stored?.status !== 'queued') {
+            // Handled by another tab in the meantime
+            const { id } = entry;
+            setState({ items: stored ? state.items.map((item) => (item.id === id ? stored : item)) : state.items.filter((item) => item.id !== id) });
+            continue;
+        }
+        try {
+            await REPLAY[entry.kind](entry);
+            await removeQueued(entry.id);
+            console.log(`✅ Sent queued ${entry.kind}`);
+        } catch (error) {
+            if (isConnectionError(error)) {
+                // Still no connection: keep the rest in order and try again later
+                console.warn('⚠️ Replay interrupted, connection still down:', error.message);
+                retryTimer = setTimeout(replayQueue, RETRY_DELAY_MS);
+                return;
+            }
+            console.error(`❌ Queued ${entry.kind} was rejected:`, error);
+            updateEntry(entry.id, { status: 'failed', error: error.message || 'Could not be sent' });
+        }
+    }
+};
+
+/**
+ * Queue a chat message for sending once online
+ * @param {Object} message - { userId, chatId, clientId, content }
+ * @returns {Object} Queued entry
+ */
+export const queueMessage = ({ userId, chatId, clientId, content }) => (
+    addEntry({ kind: 'message', userId, chatId, clientId, content })
+);
+
+/**
+ * Queue a (preprocessed) photo for upload once online
+ * @param {Object} photo - { username, file, replaces?: S3 key of a photo it replaces }
+ * @returns {Object} Queued entry
+ */
+export const queuePhoto = ({ username, file, replaces = null }) => (
+    addEntry({ kind: 'photo', username, file, replaces })
+);
+
+/**
+ * Drop a queued or failed entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<void>}
+ */
+export const removeQueued = async (id) => {
+    setState({ items: state.items.filter((entry) => entry.id !== id) });
+    await store.delete(id).catch(() => {});
+};
+
+/**
+ * Whether an error means the request never got through (so it's safe to queue).
+ * Callers queue without trying first while the browser is offline.
+ * @param {Error} error - Error from a request
+ * @returns {boolean}
+ */
+export const shouldQueue = (error) => isConnectionError(error);
+
+/**
+ * Current outbox
+ * @returns {Object} { items, replaying }
+ */
+export const getOfflineQueueState = () => state;
+
+/**
+ * Listen for outbox changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeOfflineQueue = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// Restore what was queued before the app was closed, then try to send it
+store.values()
+    .then((entries) => {
+        const restored = entries.sort((a, b) => a.created_at - b.created_at);
+        const restoredIds = new Set(restored.map((entry) => entry.id));
+        setState({ items: [...restored, ...state.items.filter((entry) => !restoredIds.has(entry.id))] });
+        replayQueue();
+    })
+    .catch((error) => console.warn('⚠️ Could not read the offline queue:', error));
+
+subscribeConnectivity((online) => {
+    if (online) replayQueue();
+});
+
+// Unsent messages and photos must not outlive the session on a shared device
+subscribeSession((user) => {
+    if (user) return;
+    clearTimeout(retryTimer);
+    setState({ items: [] });
+    store.clear().catch(() => {});
+});
@@ -0,0 +1,34 @@
+/**
+ * Profile photo metadata
+ *
+ * `profile.photo_urls` is stored in the user's chosen order. Alongside it the
+ * profile keeps `primary_photo` (S3 key of the photo the stylist should use by
+ * default) and `photo_tags` ({ [s3Key]: string[] }) so the chat pipeline can
+ * pick a matching photo per product category. Both are written through
+ * updateUser, see queries.updatePhotoLayout.
+ */
+
+import { extractS3KeyFromUrl } from './api';
+
+export const PHOTO_TAGS = ['full body', 'upper body', 'casual', 'formal', 'front', 'side'];
+
+/**
+ * Photos of a user with their key, tags and primary flag, in display order
+ * @param {Object} user - User with profile
+ * @returns {Array} [{ url, s3Key, tags, isPrimary }]
+ */
+export const getProfilePhotos = (user) => {
+    const rawUrls = user?.profile?.photo_urls;
+    // Always an array, even if photo_urls comes back as a single string
+    const urls = Array.isArray(rawUrls) ? rawUrls : (rawUrls ? [rawUrls] : []);
+    const tags = user?.profile?.photo_tags || {};
+    const photos = urls.map((url) => {
+        const s3Key = extractS3KeyFromUrl(url) || url;
+        return { url, s3Key, tags: tags[s3Key] || [], isPrimary: false };
+    });
+
+    // Without an explicit (or with a since-deleted) primary, the first photo is used
+    const primary = photos.find((photo) => photo.s3Key === user?.profile?.primary_photo) || photos[0];
+    if (primary) primary.isPrimary = true;
+    return photos;
+};
@@ -0,0 +1,345 @@
+/**
+ * Cached reads and cache-aware mutations
+ *
+ * Pages read chats, their messages and the profile through hooks/useQuery.js and mutate them
+ * through the wrappers below, which write the server response into the cache
+ * (or invalidate exactly the affected entries) instead of refetching everything.
+ * The profile is mirrored into the session store (services/session.js), which
+ * persists it and brings in changes made in other tabs.
+ */
+
+import {
+    createChat as createChatRequest,
+    deleteChat as deleteChatRequest,
+    deletePhoto as deletePhotoRequest,
+    extractS3KeyFromUrl,
+    getChatMessages,
+    getChats,
+    getCurrentUser,
+    login,
+    updateChat as updateChatRequest,
+    updateUser as updateUserRequest,
+    uploadImageViaProxy as uploadImageViaProxyRequest,
+} from './api';
+import { isDevAuthMode } from './auth';
+import { getChatId } from '../lib/chatSessions';
+import { getProfilePhotos } from './photos';
+import { fetchQuery, getQueryData, invalidateQueries, setQueryData } from './queryCache';
+import { getSessionUser, setSessionUser, subscribeSession } from './session';
+
+export const queryKeys = {
+    chats: (userId) => ['chats', userId],
+    chatHistory: (userId) => ['chats', userId, 'history'],
+    chatMessages: (userId, chatId) => ['chatMessages', userId, chatId],
+    profile: (username) => ['profile', username],
+};
+
+/**
+ * Fetch the chat list, always as an array
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Chat sessions
+ */
+export const fetchChatList = async (userId) => {
+    console.log('📨 Fetching chats for user_id:', userId);
+    const data = await getChats(userId);
+    if (!Array.isArray(data)) {
+        console.error('❌ Invalid response format - expected array, got:', typeof data, data);
+        return [];
+    }
+    console.log(`📊 Total chats received: ${data.length}`);
+    return data;
+};
+
+/**
+ * Fetch every chat with its whole message history (for the search index)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Chat sessions with messages
+ */
+export const fetchChatHistory = async (userId) => {
+    const data = await getChats(userId, { includeMessages: true });
+    return Array.isArray(data) ? data : [];
+};
+
+const MESSAGE_PAGE_SIZE = 30;
+
+// A refetched latest page keeps the older pages loaded before it, as long as the two overlap
+const mergeLatestPage = (cached, page) => {
+    const messages = page?.messages || [];
+    const overlap = cached && messages.length > 0
+        ? cached.messages.findIndex((msg) => msg.id === messages[0].id)
+        : -1;
+    if (overlap === -1) return { messages, hasMore: Boolean(page?.has_more) };
+    return { messages: [...cached.messages.slice(0, overlap), ...messages], hasMore: cached.hasMore };
+};
+
+/**
+ * Fetch the latest page of a chat's messages
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat session ID
+ * @returns {Promise<Object>} { messages (oldest first), hasMore }
+ */
+export const fetchChatMessages = async (userId, chatId) => {
+    const page = await getChatMessages(userId, chatId, { limit: MESSAGE_PAGE_SIZE });
+    return mergeLatestPage(getQueryData(queryKeys.chatMessages(userId, chatId)), page);
+};
+
+/**
+ * Load the page of messages before the oldest cached one
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat session ID
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<boolean>} Whether even older messages remain
+ */
+export const loadOlderChatMessages = async (userId, chatId, options) => {
+    const key = queryKeys.chatMessages(userId, chatId);
+    const cached = getQueryData(key);
+    if (!cached?.hasMore) return false;
+
+    const oldestId = cached.messages[0]?.id;
+    if (oldestId == null) return false;
+    const page = await getChatMessages(userId, chatId, { before: oldestId, limit: MESSAGE_PAGE_SIZE, ...options });
+    const current = getQueryData(key);
+    // A refetch that didn't overlap replaced the list in the meantime: this page no longer fits
+    if (current?.messages[0]?.id !== oldestId) return Boolean(current?.hasMore);
+    setQueryData(key, { messages: [...(page.messages || []), ...current.messages], hasMore: Boolean(page.has_more) });
+    return Boolean(page.has_more);
+};
+
+/**
+ * A chat's whole history, loading every page not cached yet (e.g. to export it)
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat session ID
+ * @returns {Promise<Array>} Messages, oldest first
+ */
+export const fetchAllChatMessages = async (userId, chatId) => {
+    const key = queryKeys.chatMessages(userId, chatId);
+    // Always refetch the latest page: the cached one may be missing messages sent elsewhere
+    await fetchQuery(key, () => fetchChatMessages(userId, chatId), { force: true });
+    while (await loadOlderChatMessages(userId, chatId)) {
+        // Each round prepends one page
+    }
+    return getQueryData(key).messages;
+};
+
+// Dev-mode auth has no GET for the profile, only POST /api/login: that runs once
+// per page load and later revalidations keep the cached copy
+const devProfilesLoaded = new Set();
+
+/**
+ * Fetch the signed-in user's profile
+ * @param {string} username - Username of the session it's loaded for
+ * @returns {Promise<Object>} User data
+ */
+export const fetchProfile = async (username) => {
+    if (isDevAuthMode()) {
+        const cached = getQueryData(queryKeys.profile(username));
+        if (cached && devProfilesLoaded.has(username)) return cached;
+    }
+    const user = isDevAuthMode() ? await login(username) : await getCurrentUser();
+    // Signed out (or in as someone else) while this was loading: storing it
+    // would sign the old user back in on the next page load
+    if (getSessionUser()?.username !== username) return user;
+    if (isDevAuthMode()) devProfilesLoaded.add(username);
+    // Keep the stored copy in sync so the next page load starts from it
+    setSessionUser(user);
+    return user;
+};
+
+const setProfile = (username, user) => {
+    setQueryData(queryKeys.profile(username), user);
+    setSessionUser(user);
+};
+
+// A profile saved in another tab replaces this tab's cached copy
+subscribeSession((user, { remote }) => {
+    if (remote && user?.username) {
+        setQueryData(queryKeys.profile(user.username), user);
+    }
+});
+
+// The next sign-in loads the dev-mode profile again
+subscribeSession((user) => {
+    if (!user) devProfilesLoaded.clear();
+});
+
+/**
+ * Create a chat session and append it to the cached list
+ * @param {Object} chatData - Chat session data (must include user_id)
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} Created chat session
+ */
+export const createChat = async (chatData, options) => {
+    const chat = await createChatRequest(chatData, options);
+    setQueryData(queryKeys.chats(chatData.user_id), (chats = []) => [...chats, chat]);
+    return chat;
+};
+
+const patchCachedChat = (userId, chatId, patch) => {
+    setQueryData(queryKeys.chats(userId), (chats = []) => chats.map((chat) => (
+        getChatId(chat) === chatId ? { ...chat, ...patch } : chat
+    )));
+};
+
+/**
+ * Rename, pin or archive a chat. The cached list changes right away and is
+ * rolled back if the request fails.
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat session ID
+ * @param {Object} fields - { session_name?, pinned?, archived? }
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} Updated chat session
+ */
+export const updateChat = async (userId, chatId, fields, options) => {
+    const previous = getQueryData(queryKeys.chats(userId));
+    patchCachedChat(userId, chatId, fields);
+    try {
+        // The cached copy keeps its messages; the response may only carry the session fields
+        return await updateChatRequest(userId, chatId, fields, options);
+    } catch (error) {
+        if (previous) setQueryData(queryKeys.chats(userId), previous);
+        throw error;
+    }
+};
+
+/**
+ * Delete a chat and drop it from the cached list
+ * @param {string} userId - User ID
+ * @param {string} chatId - Chat session ID
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<void>}
+ */
+export const deleteChat = async (userId, chatId, options) => {
+    await deleteChatRequest(userId, chatId, options);
+    setQueryData(queryKeys.chats(userId), (chats = []) => chats.filter((chat) => getChatId(chat) !== chatId));
+};
+
+/**
+ * Refetch a user's chats and the messages on screen (e.g. after a message was answered)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const invalidateChats = (userId) => Promise.all([
+    invalidateQueries(queryKeys.chats(userId)),
+    invalidateQueries(['chatMessages', userId]),
+]).then(() => {});
+
+/**
+ * Update profile fields and cache the returned user
+ * @param {string} username - Username
+ * @param {Object} fields - Fields to update
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} Updated user data
+ */
+export const updateUser = async (username, fields, options) => {
+    const user = await updateUserRequest(username, fields, options);
+    setProfile(username, user);
+    return user;
+};
+
+/**
+ * Upload a photo and cache the returned user
+ * @param {string} username - Username
+ * @param {File} file - File to upload
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} Updated user data
+ */
+export const uploadImageViaProxy = async (username, file, options) => {
+    const user = await uploadImageViaProxyRequest(username, file, options);
+    setProfile(username, user);
+    return user;
+};
+
+/**
+ * Delete a photo and patch the cached profile's photo list
+ * @param {Object} user - Current user (the response only carries photo_urls)
+ * @param {string} s3Key - S3 key of the photo to delete
+ * @param {Object} [options] - { signal?: AbortSignal }
+ * @returns {Promise<Object>} Updated user data
+ */
+export const deletePhoto = async (user, s3Key, options) => {
+    const result = await deletePhotoRequest(user.username, s3Key, options);
+    const current = getQueryData(queryKeys.profile(user.username)) || user;
+    const updatedUser = {
+        ...current,
+        profile: {
+            ...current.profile,
+            photo_urls: result.photo_urls || [],
+        },
+    };
+    setProfile(user.username, updatedUser);
+    return updatedUser;
+};
+
+/**
+ * Put a newly uploaded photo in the place of the one it replaces - same
+ * position, primary flag and tags - then delete the old one
+ * @param {Object} user - User returned by the upload (the new photo comes last)
+ * @param {string} oldKey - S3 key of the replaced photo
+ * @returns {Promise<Object>} Updated user data
+ */
+export const replacePhoto = async (user, oldKey) => {
+    const keys = getProfilePhotos(user).map((photo) => photo.s3Key);
+    const newKey = keys[keys.length - 1];
+    if (newKey && newKey !== oldKey && keys.includes(oldKey)) {
+        const { primary_photo: primary, photo_tags: tags } = user.profile;
+        // The old photo goes last until it's deleted below
+        const layout = { photo_order: [...keys.slice(0, -1).map((key) => (key === oldKey ? newKey : key)), oldKey] };
+        if (primary === oldKey) layout.primary_photo = newKey;
+        if (tags?.[oldKey]) {
+            const { [oldKey]: oldTags, ...otherTags } = tags;
+            layout.photo_tags = { ...otherTags, [newKey]: oldTags };
+        }
+        try {
+            user = await updatePhotoLayout(user, layout);
+        } catch (error) {
+            // The edited copy is saved either way, just at the end of the list
+            console.warn('⚠️ Could not move the edited photo into place:', error);
+        }
+    }
+    return deletePhoto(user, oldKey);
+};
+
+/**
+ * Swap one photo URL for a freshly signed one in the cached and stored profile
+ * @param {string} username - Username
+ * @param {string} oldUrl - URL being replaced
+ * @param {string} newUrl - Replacement URL
+ */
+export const replacePhotoUrl = (username, oldUrl, newUrl) => {
+    const current = getQueryData(queryKeys.profile(username)) || getSessionUser();
+    const photoUrls = current?.profile?.photo_urls;
+    if (!Array.isArray(photoUrls) || !photoUrls.includes(oldUrl)) return;
+    setProfile(username, {
+        ...current,
+        profile: {
+            ...current.profile,
+            photo_urls: photoUrls.map((url) => (url === oldUrl ? newUrl : url)),
+        },
+    });
+};
+
+/**
+ * Save photo order, primary photo and/or tags. The cached profile updates
+ * immediately and is rolled back if the server rejects the change.
+ * @param {Object} user - Current user
+ * @param {Object} layout - Any of { photo_order: s3Key[], primary_photo: s3Key, photo_tags: { [s3Key]: string[] } }
+ * @returns {Promise<Object>} Updated user data
+ */
+export const updatePhotoLayout = async (user, layout) => {
+    const previous = getQueryData(queryKeys.profile(user.username)) || user;
+    const profile = { ...previous.profile };
+    if (layout.photo_order) {
+        const urlsByKey = new Map((profile.photo_urls || []).map((url) => [extractS3KeyFromUrl(url) || url, url]));
+        profile.photo_urls = layout.photo_order.map((key) => urlsByKey.get(key)).filter(Boolean);
+    }
+    if (layout.primary_photo !== undefined) profile.primary_photo = layout.primary_photo;
+    if (layout.photo_tags) profile.photo_tags = layout.photo_tags;
+    setProfile(user.username, { ...previous, profile });
+
+    try {
+        return await updateUser(user.username, layout);
+    } catch (error) {
+        setProfile(user.username, previous);
+        throw error;
+    }
+};
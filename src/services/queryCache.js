@@ -0,0 +1,163 @@
+/**
+ * Client-side query cache
+ *
+ * Entries are keyed by an array such as ['chats', userId] and hold the last
+ * fetched data. The cache:
+ *   - deduplicates in-flight requests for the same key
+ *   - serves cached data immediately while revalidating stale entries in the
+ *     background (stale-while-revalidate, see hooks/useQuery.js)
+ *   - lets mutations patch (setQueryData) or refetch (invalidateQueries) exactly
+ *     the entries they affect
+ *
+ * In-flight requests are not cancelled when a component unmounts: the result
+ * still lands in the cache for the next visit.
+ */
+
+const DEFAULT_STALE_TIME_MS = 30000;
+
+const entries = new Map();
+
+const hashKey = (key) => JSON.stringify(key);
+
+const getEntry = (key) => {
+    const hash = hashKey(key);
+    if (!entries.has(hash)) {
+        entries.set(hash, {
+            key,
+            data: undefined,
+            error: null,
+            updatedAt: 0,
+            promise: null,
+            fetcher: null,
+            // Bumped by invalidation so an in-flight (now outdated) response triggers a refetch
+            generation: 0,
+            listeners: new Set(),
+            snapshot: { data: undefined, error: null, isFetching: false, updatedAt: 0 },
+        });
+    }
+    return entries.get(hash);
+};
+
+// Snapshots are immutable so useSyncExternalStore can compare them by reference
+const notify = (entry) => {
+    entry.snapshot = {
+        data: entry.data,
+        error: entry.error,
+        isFetching: Boolean(entry.promise),
+        updatedAt: entry.updatedAt,
+    };
+    entry.listeners.forEach((listener) => listener());
+};
+
+const isPrefix = (prefix, key) => prefix.every((part, index) => hashKey(part) === hashKey(key[index]));
+
+/**
+ * Fetch a query, reusing a fresh cached value or an in-flight request
+ * @param {Array} key - Query key
+ * @param {Function} fetcher - Returns a promise of the data
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Ignore a fresh cached value
+ * @param {number} [options.staleTime=30000] - How long a value counts as fresh, in ms
+ * @returns {Promise<*>} The data
+ */
+export const fetchQuery = (key, fetcher, { force = false, staleTime = DEFAULT_STALE_TIME_MS } = {}) => {
+    const entry = getEntry(key);
+    entry.fetcher = fetcher;
+
+    if (entry.promise) return entry.promise;
+
+    const isFresh = entry.updatedAt > 0 && Date.now() - entry.updatedAt < staleTime;
+    if (!force && isFresh) return Promise.resolve(entry.data);
+
+    const generation = entry.generation;
+    entry.promise = Promise.resolve()
+        .then(() => fetcher())
+        .then((data) => {
+            entry.data = data;
+            entry.error = null;
+            entry.updatedAt = Date.now();
+            return data;
+        }, (error) => {
+            entry.error = error;
+            throw error;
+        })
+        .finally(() => {
+            entry.promise = null;
+            notify(entry);
+            if (entry.generation !== generation && entry.listeners.size > 0) {
+                fetchQuery(entry.key, entry.fetcher, { force: true }).catch(() => {});
+            }
+        });
+
+    notify(entry);
+    return entry.promise;
+};
+
+/**
+ * Read cached data without fetching
+ * @param {Array} key - Query key
+ * @returns {*} Cached data or undefined
+ */
+export const getQueryData = (key) => entries.get(hashKey(key))?.data;
+
+/**
+ * Write data into the cache (e.g. the server response of a mutation)
+ * @param {Array} key - Query key
+ * @param {*|Function} updater - New data, or a function of the previous data
+ */
+export const setQueryData = (key, updater) => {
+    const entry = getEntry(key);
+    entry.data = typeof updater === 'function' ? updater(entry.data) : updater;
+    entry.error = null;
+    entry.updatedAt = Date.now();
+    notify(entry);
+};
+
+/**
+ * Mark every entry whose key starts with the prefix as stale and refetch the
+ * ones that are currently on screen
+ * @param {Array} keyPrefix - e.g. ['chats'] or ['chats', userId]
+ * @returns {Promise<void>} Resolves when the refetches settle
+ */
+export const invalidateQueries = (keyPrefix) => {
+    const refetches = [];
+    entries.forEach((entry) => {
+        if (!isPrefix(keyPrefix, entry.key)) return;
+        entry.generation += 1;
+        entry.updatedAt = 0;
+        if (entry.listeners.size > 0 && entry.fetcher && !entry.promise) {
+            refetches.push(fetchQuery(entry.key, entry.fetcher, { force: true }).catch((error) => {
+                console.warn('Background refetch failed:', error);
+            }));
+        } else if (entry.promise) {
+            refetches.push(entry.promise.catch(() => {}));
+        }
+    });
+    return Promise.all(refetches).then(() => {});
+};
+
+/**
+ * Subscribe to changes of one entry
+ * @param {Array} key - Query key
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeQuery = (key, listener) => {
+    const entry = getEntry(key);
+    entry.listeners.add(listener);
+    return () => entry.listeners.delete(listener);
+};
+
+/**
+ * Current immutable state of an entry
+ * @param {Array} key - Query key
+ * @returns {Object} { data, error, isFetching, updatedAt }
+ */
+export const getQuerySnapshot = (key) => getEntry(key).snapshot;
+
+/**
+ * Drop everything (e.g. on logout)
+ */
+export const clearQueryCache = () => {
+    entries.clear();
+};
@@ -0,0 +1,29 @@
+/**
+ * Service worker registration (public/sw.js)
+ *
+ * Only production builds register it: in development it would serve stale
+ * modules over Vite's hot reload. Cached chats and images are dropped when the
+ * user signs out.
+ */
+
+import { subscribeSession } from './session';
+
+const isSupported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+/**
+ * Register the service worker once the page has loaded
+ */
+export const registerServiceWorker = () => {
+    if (!isSupported() || !import.meta.env.PROD) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js')
+            .then(() => console.log('✅ Service worker registered'))
+            .catch((error) => console.warn('⚠️ Service worker registration failed:', error));
+    });
+
+    // Another user may sign in on this device next
+    subscribeSession((user) => {
+        if (!user) navigator.serviceWorker.controller?.postMessage({ type: 'clear-user-data' });
+    });
+};
@@ -0,0 +1,104 @@
+/**
+ * Signed-in user store
+ *
+ * The one place that reads and writes the persisted user. Pages read it through
+ * hooks/useUser.js (via <SessionProvider>), and every mutation that returns a
+ * user (login, profile updates, uploads) goes through setSessionUser.
+ *
+ * The user is stored under `user` as { version, user }. Older shapes are
+ * upgraded on read by MIGRATIONS, so bumping STORAGE_VERSION only needs a new
+ * migration step. Other tabs pick up changes through the `storage` event, so a
+ * photo uploaded in one tab shows up in all of them.
+ */
+
+const STORAGE_KEY = 'user';
+const STORAGE_VERSION = 1;
+
+// MIGRATIONS[n] upgrades a stored value from version n to n + 1
+const MIGRATIONS = {
+    // Version 0: the bare user object, as written before the store existed
+    0: (user) => ({ version: 1, user }),
+};
+
+let currentUser;
+const listeners = new Set();
+
+const migrate = (stored) => {
+    let value = stored;
+    let version = Number.isInteger(value?.version) ? value.version : 0;
+    while (version < STORAGE_VERSION) {
+        const step = MIGRATIONS[version];
+        if (!step) return null;
+        value = step(value);
+        version = value.version;
+    }
+    return value;
+};
+
+// Parse, upgrade and (when upgraded) rewrite a stored value
+const parseStored = (raw) => {
+    if (!raw) return null;
+    try {
+        const stored = JSON.parse(raw);
+        const migrated = migrate(stored);
+        if (migrated && migrated !== stored) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(migrated));
+        }
+        return migrated?.user || null;
+    } catch (error) {
+        console.warn('⚠️ Discarding unreadable stored user:', error);
+        return null;
+    }
+};
+
+const emit = (options) => listeners.forEach((listener) => listener(currentUser, options));
+
+/**
+ * The signed-in user, or null
+ * @returns {Object|null}
+ */
+export const getSessionUser = () => {
+    if (currentUser === undefined) {
+        currentUser = parseStored(localStorage.getItem(STORAGE_KEY));
+    }
+    return currentUser;
+};
+
+/**
+ * Replace (or update) the signed-in user and persist it
+ * @param {Object|null|Function} userOrUpdater - New user, or (current) => new user
+ */
+export const setSessionUser = (userOrUpdater) => {
+    const user = typeof userOrUpdater === 'function' ? userOrUpdater(getSessionUser()) : userOrUpdater;
+    currentUser = user || null;
+    if (currentUser) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, user: currentUser }));
+    } else {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+    emit({ remote: false });
+};
+
+/**
+ * Forget the signed-in user (logout, expired session)
+ */
+export const clearSession = () => setSessionUser(null);
+
+/**
+ * Listen for user changes
+ * @param {Function} listener - (user, { remote }) => void; remote is true for changes made in another tab
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeSession = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+        // key is null when another tab cleared the whole storage
+        if (event.key !== STORAGE_KEY && event.key !== null) return;
+        currentUser = parseStored(event.key === null ? null : event.newValue);
+        emit({ remote: true });
+    });
+}
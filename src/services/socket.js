@@ -0,0 +1,243 @@
+/**
+ * Reconnecting WebSocket client
+ *
+ * Wire protocol (JSON frames):
+ *   client → server  { type: 'ping' }                 heartbeat
+ *   server → client  { type: 'pong' }                 heartbeat reply
+ *   client → server  { type, id, ... }                any frame sent with send()
+ *   server → client  { type: 'ack', id }              acknowledges frame `id`
+ *   server → client  { type, reply_to?, ... }         everything else, delivered to onMessage listeners
+ *
+ * The connection is kept alive with heartbeats and re-established with
+ * exponential backoff until close() is called.
+ */
+
+const DEFAULTS = {
+    heartbeatIntervalMs: 25000,
+    pongTimeoutMs: 10000,
+    ackTimeoutMs: 5000,
+    reconnectBaseMs: 500,
+    reconnectMaxMs: 30000,
+};
+
+let frameCounter = 0;
+
+/**
+ * Generate a client-side frame ID
+ * @returns {string} Unique ID
+ */
+export const createFrameId = () => (
+    globalThis.crypto?.randomUUID?.() ?? `frame-${Date.now()}-${++frameCounter}`
+);
+
+/**
+ * Create a WebSocket client with heartbeats, reconnects and acknowledgements
+ * @param {string|Function} url - WebSocket URL, or a function returning it (re-evaluated on every connect)
+ * @param {Object} [options] - Overrides for heartbeat/ack/backoff timings (see DEFAULTS)
+ * @returns {Object} { connect, close, send, onMessage, onStatusChange, getStatus }
+ */
+export const createSocketClient = (url, options = {}) => {
+    const settings = { ...DEFAULTS, ...options };
+    const messageListeners = new Set();
+    const statusListeners = new Set();
+    const pendingAcks = new Map();
+
+    let ws = null;
+    let status = 'idle';
+    let shouldReconnect = false;
+    let reconnectAttempt = 0;
+    let reconnectTimer = null;
+    let heartbeatTimer = null;
+    let pongTimer = null;
+
+    const setStatus = (next) => {
+        if (status === next) return;
+        status = next;
+        statusListeners.forEach((listener) => listener(status));
+    };
+
+    const stopHeartbeat = () => {
+        clearInterval(heartbeatTimer);
+        clearTimeout(pongTimer);
+        heartbeatTimer = null;
+        pongTimer = null;
+    };
+
+    const startHeartbeat = () => {
+        stopHeartbeat();
+        heartbeatTimer = setInterval(() => {
+            if (ws?.readyState !== WebSocket.OPEN) return;
+            ws.send(JSON.stringify({ type: 'ping' }));
+            clearTimeout(pongTimer);
+            pongTimer = setTimeout(() => {
+                // No pong: the connection is half-open, drop it and reconnect
+                console.warn('⚠️ WebSocket heartbeat timed out, reconnecting');
+                ws?.close(4000, 'heartbeat timeout');
+            }, settings.pongTimeoutMs);
+        }, settings.heartbeatIntervalMs);
+    };
+
+    const rejectPendingAcks = (reason) => {
+        pendingAcks.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new Error(reason));
+        });
+        pendingAcks.clear();
+    };
+
+    const scheduleReconnect = () => {
+        if (!shouldReconnect) return;
+        const ceiling = Math.min(settings.reconnectMaxMs, settings.reconnectBaseMs * 2 ** reconnectAttempt);
+        const delay = Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+        reconnectAttempt += 1;
+        setStatus('reconnecting');
+        reconnectTimer = setTimeout(open, delay);
+    };
+
+    const handleFrame = (event) => {
+        let frame;
+        try {
+            frame = JSON.parse(event.data);
+        } catch {
+            // Non-JSON frames are delivered as plain text messages
+            frame = { type: 'message', content: event.data };
+        }
+
+        if (frame.type === 'pong') {
+            clearTimeout(pongTimer);
+            return;
+        }
+
+        if (frame.type === 'ack') {
+            const pending = pendingAcks.get(frame.id);
+            if (pending) {
+                clearTimeout(pending.timer);
+                pendingAcks.delete(frame.id);
+                pending.resolve(frame);
+            }
+            return;
+        }
+
+        messageListeners.forEach((listener) => listener(frame));
+    };
+
+    function open() {
+        clearTimeout(reconnectTimer);
+        const target = typeof url === 'function' ? url() : url;
+        if (!target || typeof WebSocket === 'undefined') {
+            setStatus('closed');
+            return;
+        }
+
+        setStatus(reconnectAttempt > 0 ? 'reconnecting' : 'connecting');
+        let socket;
+        try {
+            socket = new WebSocket(target);
+        } catch (error) {
+            console.warn('WebSocket connection failed:', error);
+            scheduleReconnect();
+            return;
+        }
+        ws = socket;
+
+        socket.onopen = () => {
+            reconnectAttempt = 0;
+            setStatus('open');
+            startHeartbeat();
+        };
+
+        socket.onmessage = handleFrame;
+
+        socket.onclose = () => {
+            if (ws !== socket) return;
+            ws = null;
+            stopHeartbeat();
+            rejectPendingAcks('WebSocket closed before acknowledgement');
+            setStatus('closed');
+            scheduleReconnect();
+        };
+
+        // onclose always follows onerror, which handles the reconnect
+        socket.onerror = () => {};
+    }
+
+    // Reconnect straight away when the browser comes back online
+    const handleOnline = () => {
+        if (shouldReconnect && status !== 'open' && status !== 'connecting') {
+            reconnectAttempt = 0;
+            open();
+        }
+    };
+
+    return {
+        /**
+         * Open the connection (no-op when already connected)
+         */
+        connect() {
+            if (shouldReconnect) return;
+            shouldReconnect = true;
+            window.addEventListener('online', handleOnline);
+            open();
+        },
+
+        /**
+         * Close the connection and stop reconnecting
+         */
+        close() {
+            shouldReconnect = false;
+            window.removeEventListener('online', handleOnline);
+            clearTimeout(reconnectTimer);
+            stopHeartbeat();
+            rejectPendingAcks('WebSocket closed');
+            const socket = ws;
+            ws = null;
+            socket?.close(1000, 'client closed');
+            setStatus('closed');
+        },
+
+        /**
+         * Send a frame and wait for the server acknowledgement
+         * @param {Object} frame - Frame payload; an `id` is added when missing
+         * @returns {Promise<Object>} Resolves with the ack frame. Rejects with `unsent: true`
+         *   when the frame was never written; otherwise the server may have received it
+         */
+        send(frame) {
+            if (ws?.readyState !== WebSocket.OPEN) {
+                return Promise.reject(Object.assign(new Error('WebSocket is not connected'), { unsent: true }));
+            }
+            const id = frame.id ?? createFrameId();
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    pendingAcks.delete(id);
+                    reject(new Error('WebSocket acknowledgement timed out'));
+                }, settings.ackTimeoutMs);
+                pendingAcks.set(id, { resolve, reject, timer });
+                ws.send(JSON.stringify({ ...frame, id }));
+            });
+        },
+
+        /**
+         * Listen for incoming frames (pong and ack frames are handled internally)
+         * @param {Function} listener - Called with each parsed frame
+         * @returns {Function} Unsubscribe
+         */
+        onMessage(listener) {
+            messageListeners.add(listener);
+            return () => messageListeners.delete(listener);
+        },
+
+        /**
+         * Listen for status changes: connecting | open | reconnecting | closed
+         * @param {Function} listener - Called with the new status
+         * @returns {Function} Unsubscribe
+         */
+        onStatusChange(listener) {
+            statusListeners.add(listener);
+            return () => statusListeners.delete(listener);
+        },
+
+        getStatus() {
+            return status;
+        },
+    };
+};
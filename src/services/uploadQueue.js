@@ -0,0 +1,157 @@
+/**
+ * Upload queue
+ *
+ * Holds the files picked or dropped by the user and uploads them a few at a
+ * time. Every item carries its own preview, status, progress and error, and
+ * can be cancelled, retried or removed independently:
+ *
+ *   queued → processing → uploading → confirming → done
+ *                              ↘ error (retry → queued) / cancelled
+ *                              ↘ deferred (handed to the offline queue, services/offlineQueue.js)
+ *
+ * The queue is framework-free; hooks/useUploadQueue.js binds it to React.
+ */
+
+import { isAbortError } from './errors';
+
+const DEFAULT_CONCURRENCY = 2;
+
+let itemCounter = 0;
+
+/**
+ * Create an upload queue
+ * @param {Object} options
+ * @param {Function} options.upload - (file, { signal, onProgress, meta }) => Promise; onProgress takes { phase, loaded, total },
+ *   resolving with { deferred: true } when the file will be uploaded later
+ * @param {Function} [options.validate] - (file) => error message or null; invalid files are queued as errors
+ * @param {number} [options.concurrency=2] - Uploads running at the same time
+ * @returns {Object} { add, retry, cancel, remove, clearFinished, subscribe, getItems, destroy }
+ */
+export const createUploadQueue = ({ upload, validate = () => null, concurrency = DEFAULT_CONCURRENCY }) => {
+    let items = [];
+    let active = 0;
+    const controllers = new Map();
+    const listeners = new Set();
+
+    const emit = () => listeners.forEach((listener) => listener());
+
+    const update = (id, patch) => {
+        items = items.map((item) => (item.id === id ? { ...item, ...patch } : item));
+        emit();
+    };
+
+    const run = async (item) => {
+        active++;
+        const controller = new AbortController();
+        controllers.set(item.id, controller);
+        update(item.id, { status: 'processing', loaded: 0, error: null });
+
+        try {
+            const result = await upload(item.file, {
+                signal: controller.signal,
+                meta: item.meta,
+                onProgress: ({ phase, loaded, total }) => update(item.id, { status: phase, loaded, total }),
+            });
+            if (result?.deferred) {
+                update(item.id, { status: 'deferred', loaded: 0 });
+            } else {
+                update(item.id, { status: 'done', loaded: item.file.size, total: item.file.size });
+            }
+        } catch (error) {
+            if (isAbortError(error) || controller.signal.aborted) {
+                update(item.id, { status: 'cancelled' });
+            } else {
+                console.error(`❌ Upload of ${item.file.name} failed:`, error);
+                update(item.id, { status: 'error', error: error.message || 'Upload failed' });
+            }
+        } finally {
+            controllers.delete(item.id);
+            active--;
+            pump();
+        }
+    };
+
+    const pump = () => {
+        while (active < concurrency) {
+            const next = items.find((item) => item.status === 'queued');
+            if (!next) return;
+            run(next);
+        }
+    };
+
+    const release = (item) => URL.revokeObjectURL(item.previewUrl);
+
+    return {
+        /**
+         * Queue files for upload
+         * @param {FileList|File[]} files
+         * @param {Object} [meta] - Passed through to upload() (e.g. the photo an edit replaces)
+         */
+        add: (files, meta = null) => {
+            const added = Array.from(files).map((file) => {
+                const error = validate(file);
+                return {
+                    id: `upload-${++itemCounter}`,
+                    file,
+                    meta,
+                    previewUrl: URL.createObjectURL(file),
+                    status: error ? 'error' : 'queued',
+                    // Invalid files can't succeed on a retry
+                    retryable: !error,
+                    loaded: 0,
+                    total: file.size,
+                    error,
+                };
+            });
+            items = [...items, ...added];
+            emit();
+            pump();
+        },
+
+        retry: (id) => {
+            const item = items.find((entry) => entry.id === id);
+            if (!item?.retryable || !['error', 'cancelled'].includes(item.status)) return;
+            update(id, { status: 'queued', error: null, loaded: 0 });
+            pump();
+        },
+
+        cancel: (id) => {
+            const item = items.find((entry) => entry.id === id);
+            if (item?.status === 'queued') {
+                update(id, { status: 'cancelled' });
+            }
+            controllers.get(id)?.abort();
+        },
+
+        remove: (id) => {
+            controllers.get(id)?.abort();
+            const item = items.find((entry) => entry.id === id);
+            if (item) release(item);
+            items = items.filter((entry) => entry.id !== id);
+            emit();
+        },
+
+        // Drop finished items (done or deferred, or cancelled/failed ones the user gave up on)
+        clearFinished: () => {
+            const finished = items.filter((item) => ['done', 'deferred', 'error', 'cancelled'].includes(item.status));
+            finished.forEach(release);
+            items = items.filter((item) => !finished.includes(item));
+            emit();
+        },
+
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+
+        getItems: () => items,
+
+        // Cancel everything and free the previews
+        destroy: () => {
+            controllers.forEach((controller) => controller.abort());
+            items.forEach(release);
+            items = [];
+            emit();
+        },
+    };
+};
@@ -0,0 +1,189 @@
+/**
+ * Photo uploads
+ *
+ * Files go straight to S3 through presigned URLs, with progress events and
+ * cancellation:
+ *   - small files: one PUT to the URL from getUploadUrl
+ *   - large files: a multipart upload whose finished parts are remembered in
+ *     localStorage, so uploading the same file again resumes where it stopped
+ * Once stored, the S3 key is attached to the profile with updateUser.
+ *
+ * If the direct path fails at the network level (typically a bucket without
+ * CORS for this origin) the file is sent through the backend proxy instead.
+ */
+
+import {
+    abortMultipartUpload,
+    completeMultipartUpload,
+    getMultipartPartUrls,
+    getUploadUrl,
+    startMultipartUpload,
+    uploadFileToS3,
+} from './api';
+import { isAbortError, NetworkError } from './errors';
+import { recordImageUrl } from './imageUrls';
+import { updateUser, uploadImageViaProxy } from './queries';
+
+// Files above this size are uploaded in parts
+export const MULTIPART_THRESHOLD = 5 * 1024 * 1024;
+const PART_CONCURRENCY = 3;
+const RESUME_STORAGE_KEY = 'aura:uploads';
+// Unfinished uploads older than this are started over
+const MAX_RESUME_AGE_MS = 24 * 60 * 60 * 1000;
+
+const fileFingerprint = (username, file) => `${username}:${file.name}:${file.size}:${file.lastModified}`;
+
+const readResumeStates = () => {
+    try {
+        return JSON.parse(localStorage.getItem(RESUME_STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+const readResumeState = (fingerprint) => {
+    const session = readResumeStates()[fingerprint];
+    if (!session || Date.now() - session.started_at > MAX_RESUME_AGE_MS) return null;
+    return session;
+};
+
+const saveResumeState = (fingerprint, session) => {
+    const states = readResumeStates();
+    if (session) {
+        states[fingerprint] = session;
+    } else {
+        delete states[fingerprint];
+    }
+    localStorage.setItem(RESUME_STORAGE_KEY, JSON.stringify(states));
+};
+
+const directUpload = async (username, file, { signal, onProgress }) => {
+    const { upload_url: uploadUrl, s3_key: s3Key, image_url: imageUrl, expires_in: expiresIn } = await getUploadUrl(
+        username, file.name, file.type, { signal }
+    );
+    await uploadFileToS3(uploadUrl, file, { signal, onProgress: ({ loaded }) => onProgress(loaded) });
+    return { s3Key, imageUrl, expiresIn };
+};
+
+const multipartUpload = async (username, file, { signal, onProgress }) => {
+    const fingerprint = fileFingerprint(username, file);
+    let session = readResumeState(fingerprint);
+    if (session) {
+        console.log(`🔁 Resuming upload of ${file.name}: ${Object.keys(session.etags).length} part(s) already stored`);
+    } else {
+        const started = await startMultipartUpload(username, file, { signal });
+        session = { ...started, etags: {}, started_at: Date.now() };
+        saveResumeState(fingerprint, session);
+    }
+
+    const partSize = session.part_size;
+    const partCount = Math.ceil(file.size / partSize);
+    const partBlob = (partNumber) => file.slice((partNumber - 1) * partSize, partNumber * partSize);
+
+    const pendingParts = [];
+    let storedBytes = 0;
+    for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+        if (session.etags[partNumber]) {
+            storedBytes += partBlob(partNumber).size;
+        } else {
+            pendingParts.push(partNumber);
+        }
+    }
+
+    const inFlight = {};
+    const reportProgress = () => {
+        onProgress(storedBytes + Object.values(inFlight).reduce((sum, loaded) => sum + loaded, 0));
+    };
+    reportProgress();
+
+    // One failed part stops the others; what finished stays stored for a resume
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        const { parts: partUrls } = pendingParts.length > 0
+            ? await getMultipartPartUrls(username, session.upload_id, session.s3_key, pendingParts, { signal })
+            : { parts: [] };
+        const queue = [...partUrls];
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const { part_number: partNumber, upload_url: uploadUrl } = queue.shift();
+                const blob = partBlob(partNumber);
+                const response = await uploadFileToS3(uploadUrl, blob, {
+                    signal: controller.signal,
+                    onProgress: ({ loaded }) => {
+                        inFlight[partNumber] = loaded;
+                        reportProgress();
+                    },
+                });
+                const etag = response.headers.get('ETag');
+                if (!etag) {
+                    throw new Error('Upload failed: storage did not expose the ETag header (check the bucket CORS settings)');
+                }
+                delete inFlight[partNumber];
+                storedBytes += blob.size;
+                session.etags[partNumber] = etag;
+                saveResumeState(fingerprint, session);
+                reportProgress();
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(PART_CONCURRENCY, queue.length) }, () => worker().catch((error) => {
+            controller.abort(error);
+            throw error;
+        })));
+
+        const parts = Object.entries(session.etags)
+            .map(([partNumber, etag]) => ({ part_number: Number(partNumber), etag }))
+            .sort((a, b) => a.part_number - b.part_number);
+        const result = await completeMultipartUpload(username, session.upload_id, session.s3_key, parts, { signal });
+        saveResumeState(fingerprint, null);
+        return { s3Key: result.s3_key, imageUrl: result.image_url, expiresIn: result.expires_in };
+    } catch (error) {
+        if (signal?.aborted) {
+            // Cancelled by the user: discard the parts instead of keeping them for a resume
+            saveResumeState(fingerprint, null);
+            abortMultipartUpload(username, session.upload_id, session.s3_key).catch((abortError) => {
+                console.warn('⚠️ Failed to abort multipart upload:', abortError);
+            });
+        }
+        throw error;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+/**
+ * Upload a photo and attach it to the user's profile
+ * @param {string} username - Username
+ * @param {File} file - Image file
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the upload
+ * @param {Function} [options.onProgress] - Called with { phase, loaded, total };
+ *   phase is uploading | confirming | fallback (proxy upload, no byte progress)
+ * @returns {Promise<Object>} Updated user data
+ */
+export const uploadPhoto = async (username, file, { signal, onProgress } = {}) => {
+    const report = (phase, loaded) => onProgress?.({ phase, loaded, total: file.size });
+    const useMultipart = file.size > MULTIPART_THRESHOLD;
+
+    let uploaded;
+    try {
+        const upload = useMultipart ? multipartUpload : directUpload;
+        uploaded = await upload(username, file, { signal, onProgress: (loaded) => report('uploading', loaded) });
+    } catch (error) {
+        if (isAbortError(error) || signal?.aborted || !(error instanceof NetworkError)) throw error;
+        // Parts already reached S3, so it isn't CORS: keep them for a resume rather than start over
+        const resumable = useMultipart && readResumeState(fileFingerprint(username, file));
+        if (resumable && Object.keys(resumable.etags).length > 0) throw error;
+        console.warn('⚠️ Direct upload failed, falling back to the backend proxy:', error);
+        report('fallback', 0);
+        return uploadImageViaProxy(username, file, { signal });
+    }
+
+    report('confirming', file.size);
+    recordImageUrl(uploaded.s3Key, uploaded.imageUrl, uploaded.expiresIn);
+    return updateUser(username, { s3_key: uploaded.s3Key }, { signal });
+};